@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import { logger } from '../utils/logger.js';
+import { dbCommandDuration } from '../utils/metrics.js';
 
 const connectDB = async () => {
   try {
@@ -10,12 +11,28 @@ const connectDB = async () => {
       serverSelectionTimeoutMS: 5000, // Keep trying to send operations for 5 seconds
       socketTimeoutMS: 45000, // Close sockets after 45 seconds of inactivity
       bufferCommands: false, // Disable mongoose buffering
+      monitorCommands: true, // Emit command events for the latency metrics
     };
 
     const conn = await mongoose.connect(mongoURI, options);
     
     logger.info(`✅ MongoDB Connected: ${conn.connection.host}`);
     
+    // Time every command for the /metrics endpoint
+    const client = conn.connection.getClient();
+    client.on('commandSucceeded', (event) => {
+      dbCommandDuration.observe(
+        { command: event.commandName, success: 'true' },
+        event.duration / 1000
+      );
+    });
+    client.on('commandFailed', (event) => {
+      dbCommandDuration.observe(
+        { command: event.commandName, success: 'false' },
+        event.duration / 1000
+      );
+    });
+
     // Handle connection events
     mongoose.connection.on('error', (err) => {
       logger.error('MongoDB connection error:', err);
@@ -29,17 +46,16 @@ const connectDB = async () => {
       logger.info('MongoDB reconnected');
     });
 
-    // Graceful shutdown
-    process.on('SIGINT', async () => {
-      await mongoose.connection.close();
-      logger.info('MongoDB connection closed through app termination');
-      process.exit(0);
-    });
-
   } catch (error) {
     logger.error('MongoDB connection failed:', error);
     process.exit(1);
   }
 };
 
-export { connectDB };
+// Close the connection during graceful shutdown
+const disconnectDB = async () => {
+  await mongoose.connection.close();
+  logger.info('MongoDB connection closed through app termination');
+};
+
+export { connectDB, disconnectDB };
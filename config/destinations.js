@@ -0,0 +1,26 @@
+// Built-in CRM endpoints, keyed by destination name. Their URLs carry
+// secret tokens, so they are read from the environment variables named here.
+export const BUILT_IN_DESTINATIONS = {
+  // Marketing and advertising categories
+  MARKETING_API: 'MARKETING_API_URL',
+  // WhatsApp and broadcast categories
+  WHATSAPP_API: 'WHATSAPP_API_URL',
+};
+
+export const DEFAULT_DESTINATION = 'MARKETING_API';
+
+/**
+ * Resolve the URLs of the built-in endpoints that are configured
+ * @returns {Object} - URLs keyed by destination name
+ */
+export const getBuiltInEndpoints = () => {
+  const endpoints = {};
+
+  for (const [name, envVar] of Object.entries(BUILT_IN_DESTINATIONS)) {
+    if (process.env[envVar]) {
+      endpoints[name] = process.env[envVar];
+    }
+  }
+
+  return endpoints;
+};
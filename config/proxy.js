@@ -0,0 +1,30 @@
+import { logger } from '../utils/logger.js';
+
+// Read the Express "trust proxy" setting from TRUST_PROXY. Only the
+// proxies in front of the service may be trusted: trusting every hop
+// lets any client choose its own IP with X-Forwarded-For, which would
+// get it past the webhook IP allowlist.
+//
+//   TRUST_PROXY=1                         one proxy hop (e.g. a load balancer)
+//   TRUST_PROXY=loopback,10.0.0.0/8       proxies by address or subnet
+//   TRUST_PROXY= (or false)               no proxy; use the socket address
+const getTrustProxySetting = () => {
+  const value = (process.env.TRUST_PROXY || '').trim();
+
+  if (!value || value === 'false') {
+    return false;
+  }
+
+  if (value === 'true') {
+    logger.warn('TRUST_PROXY=true is treated as a single proxy hop; set the hop count or proxy addresses instead');
+    return 1;
+  }
+
+  if (/^\d+$/.test(value)) {
+    return parseInt(value);
+  }
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
+export { getTrustProxySetting };
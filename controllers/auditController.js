@@ -0,0 +1,146 @@
+import AuditEvent from "../models/AuditEvent.js";
+import { logger } from "../utils/logger.js";
+import { parseDateBoundary } from "../utils/dateTime.js";
+
+// Get audit events with pagination and filtering, newest first
+export const getAuditEvents = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      action,
+      entityType,
+      entityId,
+      actor,
+      startDate,
+      endDate,
+    } = req.query;
+
+    // Repeated or bracketed parameters parse as arrays and objects, which
+    // would put operators like $ne into the filter
+    const invalid = Object.entries({
+      action,
+      entityType,
+      entityId,
+      actor,
+      startDate,
+      endDate,
+    }).filter(([, value]) => value !== undefined && typeof value !== "string");
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalid.map(([name]) => name).join(", ")}`,
+      });
+    }
+
+    // Build filter object
+    const filter = {};
+
+    if (action) filter.action = action;
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = entityId;
+    if (actor) filter["actor.username"] = actor;
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = parseDateBoundary(startDate);
+      if (endDate) filter.createdAt.$lte = parseDateBoundary(endDate, true);
+
+      if (Object.values(filter.createdAt).includes(null)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid date range",
+        });
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      AuditEvent.countDocuments(filter),
+    ]);
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Audit events retrieved successfully", {
+      count: events.length,
+      total,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: events,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve audit events", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Get the audit history of a lead, oldest first. Deleted leads keep their
+// history.
+export const getLeadHistory = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { leadid } = req.params;
+
+    const events = await AuditEvent.find({
+      entityType: "lead",
+      entityId: leadid,
+    })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    if (events.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No history found for lead",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: events,
+      processingTime: Date.now() - startTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve lead history", {
+      error: error.message,
+      leadid: req.params.leadid,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,119 @@
+import User from "../models/User.js";
+import { logger } from "../utils/logger.js";
+import { issueTokens, verifyRefreshToken } from "../utils/authTokens.js";
+
+// Log in with a username and password
+export const login = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { username, password } = req.validatedLogin;
+
+    const user = await User.findOne({ username }).select("+password");
+    const valid = user ? await user.comparePassword(password) : false;
+
+    if (!valid || !user.active) {
+      logger.warn("Login failed", {
+        username,
+        ip: req.ip,
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid username or password",
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("User logged in", {
+      username,
+      role: user.role,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user,
+        ...issueTokens(user),
+      },
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to log in", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Exchange a refresh token for a new token pair
+export const refresh = async (req, res, next) => {
+  const startTime = Date.now();
+
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Refresh token is required",
+      });
+    }
+
+    const claims = verifyRefreshToken(refreshToken);
+    const user = await User.findById(claims.sub);
+
+    if (!user || !user.active || user.tokenVersion !== claims.version) {
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token has been revoked",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: issueTokens(user),
+      processingTime: Date.now() - startTime,
+    });
+  } catch (error) {
+    // Invalid and expired tokens are answered by errorHandler
+    if (
+      error.name === "JsonWebTokenError" ||
+      error.name === "TokenExpiredError"
+    ) {
+      return next(error);
+    }
+
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to refresh token", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Get the logged in user
+export const getCurrentUser = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user,
+  });
+};
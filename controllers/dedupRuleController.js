@@ -0,0 +1,275 @@
+import mongoose from "mongoose";
+import DedupRule from "../models/DedupRule.js";
+import { logger } from "../utils/logger.js";
+import { invalidateDedupRules } from "../utils/dedupEngine.js";
+import { getAuditContext, recordAuditEvent } from "../utils/auditLog.js";
+
+// Get all dedup rules in evaluation order
+export const getDedupRules = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const filter = {};
+    if (req.query.enabled !== undefined) {
+      filter.enabled = req.query.enabled === "true";
+    }
+
+    const rules = await DedupRule.find(filter)
+      .sort({ priority: -1, createdAt: 1 })
+      .lean();
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Dedup rules retrieved successfully", {
+      count: rules.length,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: rules,
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve dedup rules", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Get dedup rule by ID
+export const getDedupRuleById = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid ID format",
+      });
+    }
+
+    const rule = await DedupRule.findById(id).lean();
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Dedup rule not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+      processingTime: Date.now() - startTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve dedup rule", {
+      error: error.message,
+      id: req.params.id,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Create a dedup rule
+export const createDedupRule = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const rule = await DedupRule.create(req.validatedRule);
+    invalidateDedupRules();
+
+    await recordAuditEvent({
+      action: "dedup_rule.created",
+      entityType: "dedup_rule",
+      entityId: rule._id,
+      context: getAuditContext(req),
+      newValue: rule.toObject(),
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Dedup rule created successfully", {
+      rule: rule.name,
+      action: rule.action,
+      processingTime,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      processingTime,
+    });
+  } catch (error) {
+    handleRuleWriteError(error, req, res, startTime);
+  }
+};
+
+// Update a dedup rule
+export const updateDedupRule = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid ID format",
+      });
+    }
+
+    const rule = await DedupRule.findById(id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Dedup rule not found",
+      });
+    }
+
+    const oldValue = rule.toObject();
+
+    rule.set(req.validatedRule);
+    await rule.save();
+    invalidateDedupRules();
+
+    await recordAuditEvent({
+      action: "dedup_rule.updated",
+      entityType: "dedup_rule",
+      entityId: rule._id,
+      context: getAuditContext(req),
+      oldValue,
+      newValue: rule.toObject(),
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Dedup rule updated successfully", {
+      rule: rule.name,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+      processingTime,
+    });
+  } catch (error) {
+    handleRuleWriteError(error, req, res, startTime);
+  }
+};
+
+// Delete a dedup rule
+export const deleteDedupRule = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid ID format",
+      });
+    }
+
+    const rule = await DedupRule.findByIdAndDelete(id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Dedup rule not found",
+      });
+    }
+
+    invalidateDedupRules();
+
+    await recordAuditEvent({
+      action: "dedup_rule.deleted",
+      entityType: "dedup_rule",
+      entityId: rule._id,
+      context: getAuditContext(req),
+      oldValue: rule.toObject(),
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Dedup rule deleted successfully", {
+      rule: rule.name,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Dedup rule deleted successfully",
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to delete dedup rule", {
+      error: error.message,
+      id: req.params.id,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+const handleRuleWriteError = (error, req, res, startTime) => {
+  const processingTime = Date.now() - startTime;
+
+  logger.error("Failed to save dedup rule", {
+    error: error.message,
+    id: req.params.id,
+    processingTime,
+  });
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "Dedup rule name already exists",
+    });
+  }
+
+  if (error.name === "ValidationError") {
+    const validationErrors = Object.values(error.errors).map((err) => ({
+      field: err.path,
+      message: err.message,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: validationErrors,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: "Internal server error",
+  });
+};
@@ -0,0 +1,73 @@
+import DeliveryAttempt, {
+  DELIVERY_ATTEMPT_STATUSES,
+} from "../models/DeliveryAttempt.js";
+import { logger } from "../utils/logger.js";
+
+// Get the delivery attempts made for a lead, newest first
+export const getLeadAttempts = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { leadid } = req.params;
+    const { page = 1, limit = 50, destination, success, status } = req.query;
+
+    if (status !== undefined && !DELIVERY_ATTEMPT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${DELIVERY_ATTEMPT_STATUSES.join(", ")}`,
+      });
+    }
+
+    // Build filter object
+    const filter = { leadid };
+
+    if (destination) filter.destination = destination;
+    if (success !== undefined) filter.success = success === "true";
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [attempts, total] = await Promise.all([
+      DeliveryAttempt.find(filter)
+        .sort({ attemptedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      DeliveryAttempt.countDocuments(filter),
+    ]);
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Delivery attempts retrieved successfully", {
+      leadid,
+      count: attempts.length,
+      total,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: attempts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve delivery attempts", {
+      error: error.message,
+      leadid: req.params.leadid,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,384 @@
+import Destination from "../models/Destination.js";
+import RoutingRule from "../models/RoutingRule.js";
+import { logger } from "../utils/logger.js";
+import { getCircuitStates, resetCircuit } from "../utils/circuitBreaker.js";
+import { getAuditContext, recordAuditEvent } from "../utils/auditLog.js";
+import {
+  getDestination,
+  invalidateDestinations,
+  isBuiltInDestination,
+  listDestinations,
+} from "../utils/destinationRegistry.js";
+
+// Destination URLs can carry tokens (the built-in ones always do), so
+// users below admin only see the scheme and host. Auth settings are cut
+// down to their type and header values are hidden for the same reason.
+const REDACTED = "[redacted]";
+
+const redactUrl = (url) => {
+  try {
+    const { protocol, host } = new URL(url);
+    return `${protocol}//${host}/${REDACTED}`;
+  } catch {
+    return REDACTED;
+  }
+};
+
+/**
+ * Hide a destination's credentials from users who can't manage it
+ * @param {Object} destination - Destination from the registry
+ * @param {Object} user - Requesting user
+ * @returns {Object} - The destination, redacted below admin
+ */
+const presentDestination = (destination, user) => {
+  if (user?.hasRole("admin")) {
+    return destination;
+  }
+
+  return {
+    ...destination,
+    url: redactUrl(destination.url),
+    auth: { type: destination.auth?.type || "none" },
+    ...(destination.headers && {
+      headers: Object.fromEntries(
+        Object.keys(destination.headers).map((header) => [header, REDACTED])
+      ),
+    }),
+  };
+};
+
+// Get all destinations, including the built-in endpoints
+export const getDestinations = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const destinations = await listDestinations();
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Destinations retrieved successfully", {
+      count: destinations.length,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: destinations.map((destination) =>
+        presentDestination(destination, req.user)
+      ),
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve destinations", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Get destination by name
+export const getDestinationByName = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { name } = req.params;
+
+    const destination = await getDestination(name);
+
+    if (!destination) {
+      return res.status(404).json({
+        success: false,
+        message: "Destination not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: presentDestination(destination, req.user),
+      processingTime: Date.now() - startTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve destination", {
+      error: error.message,
+      name: req.params.name,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Register a destination. Registering a built-in name overrides it.
+export const createDestination = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const destination = await Destination.create(req.validatedDestination);
+    invalidateDestinations();
+
+    await recordAuditEvent({
+      action: "destination.created",
+      entityType: "destination",
+      entityId: destination.name,
+      context: getAuditContext(req),
+      newValue: destination.toObject({ flattenMaps: true }),
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Destination created successfully", {
+      name: destination.name,
+      processingTime,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: destination,
+      processingTime,
+    });
+  } catch (error) {
+    handleDestinationWriteError(error, req, res, startTime);
+  }
+};
+
+// Update a registered destination
+export const updateDestination = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { name } = req.params;
+
+    const destination = await Destination.findOne({ name });
+
+    if (!destination) {
+      return res.status(404).json({
+        success: false,
+        message: isBuiltInDestination(name)
+          ? "Built-in destination must be registered before it can be updated"
+          : "Destination not found",
+      });
+    }
+
+    const oldValue = destination.toObject({ flattenMaps: true });
+
+    // The transform template is replaced as a whole
+    destination.set(req.validatedDestination);
+    await destination.save();
+    invalidateDestinations();
+
+    await recordAuditEvent({
+      action: "destination.updated",
+      entityType: "destination",
+      entityId: name,
+      context: getAuditContext(req),
+      oldValue,
+      newValue: destination.toObject({ flattenMaps: true }),
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Destination updated successfully", {
+      name,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: destination,
+      processingTime,
+    });
+  } catch (error) {
+    handleDestinationWriteError(error, req, res, startTime);
+  }
+};
+
+// Delete a registered destination
+export const deleteDestination = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { name } = req.params;
+
+    // Deleting an override falls back to the built-in endpoint, anything
+    // else would leave routing rules pointing at nothing
+    if (!isBuiltInDestination(name)) {
+      const inUse = await RoutingRule.exists({ destinations: name });
+
+      if (inUse) {
+        return res.status(409).json({
+          success: false,
+          message: "Destination is used by routing rules",
+        });
+      }
+    }
+
+    const destination = await Destination.findOneAndDelete({ name });
+
+    if (!destination) {
+      return res.status(404).json({
+        success: false,
+        message: "Destination not found",
+      });
+    }
+
+    invalidateDestinations();
+
+    await recordAuditEvent({
+      action: "destination.deleted",
+      entityType: "destination",
+      entityId: name,
+      context: getAuditContext(req),
+      oldValue: destination.toObject({ flattenMaps: true }),
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Destination deleted successfully", {
+      name,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Destination deleted successfully",
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to delete destination", {
+      error: error.message,
+      name: req.params.name,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Get the circuit breaker state of every destination that has been called
+export const getCircuitBreakers = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const breakers = getCircuitStates();
+
+    res.status(200).json({
+      success: true,
+      data: breakers,
+      processingTime: Date.now() - startTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve circuit breakers", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Close a destination's circuit breaker so forwarding resumes immediately.
+// Only resets the breaker held by the instance serving the request.
+export const resetCircuitBreaker = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { name } = req.params;
+
+    if (!resetCircuit(name)) {
+      return res.status(404).json({
+        success: false,
+        message: "No circuit breaker for destination",
+      });
+    }
+
+    await recordAuditEvent({
+      action: "circuit_breaker.reset",
+      entityType: "destination",
+      entityId: name,
+      context: getAuditContext(req),
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Circuit breaker reset", {
+      name,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Circuit breaker reset successfully",
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to reset circuit breaker", {
+      error: error.message,
+      name: req.params.name,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+const handleDestinationWriteError = (error, req, res, startTime) => {
+  const processingTime = Date.now() - startTime;
+
+  logger.error("Failed to save destination", {
+    error: error.message,
+    name: req.params.name || req.validatedDestination?.name,
+    processingTime,
+  });
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "Destination name already exists",
+    });
+  }
+
+  if (error.name === "ValidationError") {
+    const validationErrors = Object.values(error.errors).map((err) => ({
+      field: err.path,
+      message: err.message,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: validationErrors,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: "Internal server error",
+  });
+};
@@ -0,0 +1,188 @@
+import mongoose from "mongoose";
+import ImportJob, { IMPORT_JOB_STATUSES } from "../models/ImportJob.js";
+import { logger } from "../utils/logger.js";
+import { getAuditContext } from "../utils/auditLog.js";
+import { startImportJob } from "../utils/leadImporter.js";
+
+/**
+ * Work out an import file's format from the request or the file itself
+ * @param {Object} req - Express request with the uploaded file
+ * @returns {string|null} - "csv", "jsonl", or null when unknown
+ */
+const detectFormat = (req) => {
+  const requested = req.body.format || req.query.format;
+  if (requested) {
+    return ["csv", "jsonl"].includes(requested) ? requested : null;
+  }
+
+  const name = (req.file.originalname || "").toLowerCase();
+  if (/\.(jsonl|ndjson)$/.test(name)) return "jsonl";
+  if (name.endsWith(".csv")) return "csv";
+
+  return req.file.mimetype === "text/csv" ? "csv" : null;
+};
+
+// Upload a CSV or JSON-lines file of leads to import in the background.
+// Responds straight away with the job, which can be polled for progress.
+export const importLeads = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const format = detectFormat(req);
+
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: "Import files must be CSV or JSON lines (format=csv|jsonl)",
+      });
+    }
+
+    const forward = [req.body.forward, req.query.forward].includes("true");
+
+    const job = await ImportJob.create({
+      filename: req.file.originalname,
+      format,
+      forward,
+      createdBy: { userId: req.user._id, username: req.user.username },
+    });
+
+    startImportJob(job, req.file.buffer, getAuditContext(req));
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Lead import queued", {
+      importJob: job._id,
+      filename: job.filename,
+      format,
+      forward,
+      size: req.file.size,
+      createdBy: req.user.username,
+      processingTime,
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to queue lead import", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Get import jobs, newest first, without their row errors
+export const getImportJobs = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    if (status !== undefined && !IMPORT_JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${IMPORT_JOB_STATUSES.join(", ")}`,
+      });
+    }
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [jobs, total] = await Promise.all([
+      ImportJob.find(filter)
+        .select("-rowErrors")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      ImportJob.countDocuments(filter),
+    ]);
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Import jobs retrieved successfully", {
+      count: jobs.length,
+      total,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: jobs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve import jobs", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Get an import job with its progress and row errors
+export const getImportJobById = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid ID format",
+      });
+    }
+
+    const job = await ImportJob.findById(id).lean();
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Import job not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job,
+      processingTime: Date.now() - startTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve import job", {
+      error: error.message,
+      id: req.params.id,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -1,6 +1,91 @@
 import Lead from "../models/Lead.js";
 import { logger } from "../utils/logger.js";
-import { processAndForwardLead } from "../utils/apiService.js";
+import { enqueueLeadForwarding } from "../utils/forwardQueue.js";
+import { RETRYABLE_STATUSES } from "../utils/retryScheduler.js";
+import { getAuditContext, recordAuditEvent } from "../utils/auditLog.js";
+import {
+  TIME_INTERVALS,
+  addInterval,
+  getSourceTimezone,
+  parseDateBoundary,
+  truncateToInterval,
+} from "../utils/dateTime.js";
+import { formatDateValue } from "../utils/payloadTransformer.js";
+import {
+  latencyBinExpression,
+  summarizeLatencies,
+} from "../utils/statistics.js";
+import { leadsDuplicated } from "../utils/metrics.js";
+import {
+  buildCursorFilter,
+  decodeCursor,
+  encodeCursor,
+  parseProjection,
+} from "../utils/pagination.js";
+import { literalRegex, parseList } from "../utils/queryFilters.js";
+import { parseIndianPhone } from "../utils/contactNormalization.js";
+import {
+  DEFAULT_EXPORT_COLUMNS,
+  EXPORT_COLUMNS,
+  streamCsv,
+  streamXlsx,
+} from "../utils/leadExport.js";
+
+// Acknowledge a lead JustDial has already sent. Resends are counted, and
+// changed fields are applied to the stored lead and optionally
+// re-forwarded.
+const handleDuplicateLead = async (req, res, leadData, startTime) => {
+  leadsDuplicated.inc();
+
+  const lead = await Lead.findOne({ leadid: leadData.leadid });
+  const changes = lead.recordResend(leadData);
+
+  const reforward =
+    changes !== null &&
+    !lead.deletedAt &&
+    process.env.DUPLICATE_REFORWARD_CHANGED === "true";
+
+  if (reforward) {
+    lead.resetForwarding();
+  }
+
+  await lead.save();
+
+  if (changes) {
+    await recordAuditEvent({
+      action: "lead.revised",
+      entityType: "lead",
+      entityId: lead.leadid,
+      context: getAuditContext(req),
+      // Only the field names: the values can be contact details, which are
+      // kept in the lead's revisions and purged along with the lead
+      metadata: { changedFields: Object.keys(changes), reforward },
+    });
+  }
+
+  if (reforward) {
+    try {
+      await enqueueLeadForwarding(lead.leadid);
+    } catch (error) {
+      // The lead stays pending and is queued by the worker's recovery sweep
+      logger.error("Failed to queue changed lead for forwarding", {
+        leadid: lead.leadid,
+        error: error.message,
+      });
+    }
+  }
+
+  logger.warn("Duplicate lead received", {
+    leadid: lead.leadid,
+    duplicateCount: lead.duplicateCount,
+    changedFields: changes ? Object.keys(changes) : [],
+    reforward,
+    processingTime: Date.now() - startTime,
+  });
+
+  // JustDial treats anything but RECEIVED as a failure and resends
+  res.status(200).send("RECEIVED");
+};
 
 // Create a new lead
 export const createLead = async (req, res) => {
@@ -10,64 +95,45 @@ export const createLead = async (req, res) => {
     const leadData = req.sanitizedLead || req.validatedLead;
 
     // Check if lead already exists
-    const existingLead = await Lead.findOne({ leadid: leadData.leadid }).lean();
+    const existingLead = await Lead.exists({ leadid: leadData.leadid });
 
     if (existingLead) {
-      logger.warn("Duplicate lead attempt", {
-        leadid: leadData.leadid,
-        processingTime: Date.now() - startTime,
-      });
-
-      return res.status(409).json({
-        success: false,
-        message: "Lead already exists",
-        leadid: leadData.leadid,
-      });
+      return await handleDuplicateLead(req, res, leadData, startTime);
     }
 
     // Create new lead
     const lead = new Lead(leadData);
-    await lead.save();
 
-    // Forward lead to appropriate external API
-    let apiForwardingResult = null;
     try {
-      apiForwardingResult = await processAndForwardLead(leadData);
-
-      if (apiForwardingResult.success) {
-        // Update lead status to processed if API call was successful
-        lead.status = "processed";
-        lead.processingTime = Date.now() - startTime;
-        await lead.save();
-
-        logger.info("Lead forwarded to external API successfully", {
-          leadid: lead.leadid,
-          apiEndpoint: apiForwardingResult.apiEndpoint,
-          category: apiForwardingResult.category,
-          processingTime: apiForwardingResult.processingTime,
-        });
-      } else {
-        // Mark as failed if API call failed
-        lead.status = "failed";
-        lead.processingTime = Date.now() - startTime;
-        await lead.save();
-
-        logger.error("Lead forwarding to external API failed", {
-          leadid: lead.leadid,
-          error: apiForwardingResult.error,
-          category: apiForwardingResult.category,
-        });
-      }
-    } catch (error) {
-      // Mark as failed if API call throws an exception
-      lead.status = "failed";
-      lead.processingTime = Date.now() - startTime;
       await lead.save();
+    } catch (error) {
+      // Lost a race with a concurrent resend of the same lead
+      if (error.code === 11000) {
+        return await handleDuplicateLead(req, res, leadData, startTime);
+      }
+      throw error;
+    }
 
-      logger.error("Lead forwarding to external API failed with exception", {
+    await recordAuditEvent({
+      action: "lead.created",
+      entityType: "lead",
+      entityId: lead.leadid,
+      context: getAuditContext(req),
+      newValue: { status: lead.status },
+      metadata: { method: req.method },
+    });
+
+    // Queue the lead for forwarding so JustDial is acknowledged immediately;
+    // the forward worker delivers it to the external API in the background
+    let queued = false;
+    try {
+      await enqueueLeadForwarding(lead.leadid);
+      queued = true;
+    } catch (error) {
+      // The lead stays pending and is queued by the worker's recovery sweep
+      logger.error("Failed to queue lead for forwarding", {
         leadid: lead.leadid,
         error: error.message,
-        category: leadData.category,
       });
     }
 
@@ -77,7 +143,7 @@ export const createLead = async (req, res) => {
       leadid: lead.leadid,
       processingTime,
       method: req.method,
-      apiForwardingSuccess: apiForwardingResult?.success || false,
+      queued,
     });
 
     // Return success response as per requirements
@@ -91,14 +157,6 @@ export const createLead = async (req, res) => {
       processingTime,
     });
 
-    // Handle specific MongoDB errors
-    if (error.code === 11000) {
-      return res.status(409).json({
-        success: false,
-        message: "Lead already exists",
-      });
-    }
-
     if (error.name === "ValidationError") {
       const validationErrors = Object.values(error.errors).map((err) => ({
         field: err.path,
@@ -119,79 +177,468 @@ export const createLead = async (req, res) => {
   }
 };
 
+// Fields leads can be sorted by; each is indexed
+const LEAD_SORT_FIELDS = [
+  "createdAt",
+  "enquiredAt",
+  "date",
+  "status",
+  "city",
+  "category",
+];
+
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Fetch one page of leads matching a filter. Pages are read with the
+ * cursor returned as nextCursor, or by page number for existing clients
+ * (which gets slower the deeper it goes). Text searches sorted by
+ * relevance only support page numbers.
+ * @param {Object} filter - Lead filter
+ * @param {Object} query - Request query with the paging parameters
+ * @param {Object} [options]
+ * @param {boolean} [options.textSearch=false] - Whether the filter has a
+ * $text clause to sort by relevance
+ * @returns {Promise<Object>} - `{ leads, pagination }`, or `{ error }`
+ * when the paging parameters are invalid
+ */
+const findLeadPage = async (filter, query, { textSearch = false } = {}) => {
+  const {
+    page,
+    limit = 50,
+    cursor,
+    fields,
+    includeTotal = "true",
+    sortBy = textSearch ? "relevance" : "createdAt",
+    sortOrder = "desc",
+  } = query;
+
+  const byRelevance = textSearch && sortBy === "relevance";
+
+  if (!byRelevance && !LEAD_SORT_FIELDS.includes(sortBy)) {
+    return {
+      error: `sortBy must be one of: ${[
+        ...(textSearch ? ["relevance"] : []),
+        ...LEAD_SORT_FIELDS,
+      ].join(", ")}`,
+    };
+  }
+
+  if (byRelevance && cursor) {
+    return { error: "Results sorted by relevance are paged by page number" };
+  }
+
+  const { projection, invalid } = parseProjection(
+    fields,
+    Object.keys(Lead.schema.paths).map((path) => path.split(".")[0])
+  );
+
+  if (invalid.length > 0) {
+    return { error: `Unknown fields: ${invalid.join(", ")}` };
+  }
+
+  const direction = sortOrder === "desc" ? -1 : 1;
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+
+  let pageFilter = filter;
+  let skip = 0;
+
+  if (cursor) {
+    const position = decodeCursor(cursor, sortBy, direction);
+
+    if (!position) {
+      return { error: "Invalid cursor" };
+    }
+
+    pageFilter = {
+      $and: [filter, buildCursorFilter(position, sortBy, direction)],
+    };
+  } else if (page) {
+    skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+  }
+
+  // The sort field is always returned so the next cursor can be built
+  let select = projection && { ...projection, [sortBy]: 1 };
+  let sort = { [sortBy]: direction, _id: direction };
+
+  if (byRelevance) {
+    const score = { $meta: "textScore" };
+    select = { ...projection, score };
+    sort = { score, _id: -1 };
+  }
+
+  // Fetch one extra lead to know whether there is another page
+  const [results, total] = await Promise.all([
+    Lead.find(pageFilter, select)
+      .sort(sort)
+      .skip(skip)
+      .limit(pageSize + 1)
+      .lean(),
+    includeTotal === "false" ? null : Lead.countDocuments(filter),
+  ]);
+
+  const hasMore = results.length > pageSize;
+  const leads = hasMore ? results.slice(0, pageSize) : results;
+
+  const pagination = {
+    limit: pageSize,
+    hasMore,
+    nextCursor:
+      hasMore && !byRelevance
+        ? encodeCursor(leads[leads.length - 1], sortBy, direction)
+        : null,
+  };
+
+  // Offset paging, including the first page of a listing without a page
+  // number, reports the page as it always has
+  if (!cursor) {
+    pagination.page = Math.max(parseInt(page) || 1, 1);
+  }
+
+  if (total !== null) {
+    pagination.total = total;
+    pagination.pages = Math.ceil(total / pageSize);
+  }
+
+  return { leads, pagination };
+};
+
+/**
+ * Build the lead filter for the list and export query parameters.
+ * Trashed leads are only listed in the trash.
+ * @param {Object} query - Request query
+ * @returns {Object} - `{ filter }`, or `{ error }` when a parameter is
+ * invalid
+ */
+const buildLeadListFilter = (query) => {
+  const { city, category, leadtype, status, startDate, endDate, invalidPhone } =
+    query;
+
+  // Repeated or bracketed parameters parse as arrays and objects, which
+  // would put operators like $ne into the filter
+  const invalid = Object.entries({
+    city,
+    category,
+    leadtype,
+    status,
+    startDate,
+    endDate,
+  }).filter(([, value]) => value !== undefined && typeof value !== "string");
+
+  if (invalid.length > 0) {
+    return {
+      error: `Invalid ${invalid.map(([name]) => name).join(", ")}`,
+    };
+  }
+
+  const filter = { deletedAt: null };
+
+  if (city) filter.city = literalRegex(city);
+  if (category) filter.category = literalRegex(category);
+  if (leadtype) filter.leadtype = leadtype;
+  if (status) filter.status = status;
+  if (invalidPhone === "true") {
+    filter.$or = [
+      { "normalizedPhones.mobile.valid": false },
+      { "normalizedPhones.phone.valid": false },
+    ];
+  }
+
+  if (startDate || endDate) {
+    filter.enquiredAt = {};
+    if (startDate) filter.enquiredAt.$gte = parseDateBoundary(startDate);
+    if (endDate) filter.enquiredAt.$lte = parseDateBoundary(endDate, true);
+
+    if (Object.values(filter.enquiredAt).includes(null)) {
+      return { error: "Invalid date range" };
+    }
+  }
+
+  return { filter };
+};
+
 // Get all leads with pagination and filtering
 export const getLeads = async (req, res) => {
   const startTime = Date.now();
 
+  try {
+    const { filter, error: filterError } = buildLeadListFilter(req.query);
+
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
+    const { leads, pagination, error } = await findLeadPage(filter, req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Leads retrieved successfully", {
+      count: leads.length,
+      total: pagination.total,
+      cursor: Boolean(req.query.cursor),
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: leads,
+      pagination,
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve leads", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Search leads. Free text matches name, company, area and email through
+// the text index; every other filter matches exactly, with multi-value
+// filters given repeated or comma-separated.
+export const searchLeads = async (req, res) => {
+  const startTime = Date.now();
+
   try {
     const {
-      page = 1,
-      limit = 50,
+      q,
+      phone,
       city,
       category,
       leadtype,
       status,
-      startDate,
-      endDate,
-      sortBy = "createdAt",
-      sortOrder = "desc",
+      pincodeFrom,
+      pincodeTo,
+      createdFrom,
+      createdTo,
+      enquiredFrom,
+      enquiredTo,
     } = req.query;
 
-    // Build filter object
-    const filter = {};
+    const filter = { deletedAt: null };
+    const text = typeof q === "string" ? q.trim() : "";
+
+    if (text) {
+      filter.$text = { $search: text };
+    }
 
-    if (city) filter.city = new RegExp(city, "i");
-    if (category) filter.category = new RegExp(category, "i");
-    if (leadtype) filter.leadtype = leadtype;
-    if (status) filter.status = status;
+    if (phone) {
+      const parsed = parseIndianPhone(phone);
 
-    if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) filter.date.$gte = new Date(startDate);
-      if (endDate) filter.date.$lte = new Date(endDate);
+      if (!parsed?.valid) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid phone number",
+        });
+      }
+
+      filter["contactKeys.phones"] = parsed.e164;
     }
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === "desc" ? -1 : 1;
+    const cities = parseList(city);
+    if (cities.length > 0) {
+      filter.city = { $in: cities.map((value) => literalRegex(value, true)) };
+    }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const categories = parseList(category);
+    if (categories.length > 0) {
+      filter.category = {
+        $in: categories.map((value) => literalRegex(value, true)),
+      };
+    }
 
-    // Execute queries
-    const [leads, total] = await Promise.all([
-      Lead.find(filter).sort(sort).skip(skip).limit(parseInt(limit)).lean(),
-      Lead.countDocuments(filter),
-    ]);
+    const leadtypes = parseList(leadtype);
+    if (leadtypes.length > 0) filter.leadtype = { $in: leadtypes };
+
+    const statuses = parseList(status);
+    if (statuses.length > 0) filter.status = { $in: statuses };
+
+    if (pincodeFrom || pincodeTo) {
+      if (
+        [pincodeFrom, pincodeTo].some(
+          (pincode) => pincode && !/^[0-9]{6}$/.test(pincode)
+        )
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Pincode range bounds must be 6-digit pincodes",
+        });
+      }
+
+      filter.pincode = {};
+      if (pincodeFrom) filter.pincode.$gte = pincodeFrom;
+      if (pincodeTo) filter.pincode.$lte = pincodeTo;
+    }
+
+    for (const [field, from, to] of [
+      ["createdAt", createdFrom, createdTo],
+      ["enquiredAt", enquiredFrom, enquiredTo],
+    ]) {
+      if (!from && !to) continue;
+
+      filter[field] = {};
+      if (from) filter[field].$gte = parseDateBoundary(from);
+      if (to) filter[field].$lte = parseDateBoundary(to, true);
+
+      if (Object.values(filter[field]).includes(null)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${field} range`,
+        });
+      }
+    }
+
+    const { leads, pagination, error } = await findLeadPage(filter, req.query, {
+      textSearch: Boolean(text),
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
 
     const processingTime = Date.now() - startTime;
 
-    logger.info("Leads retrieved successfully", {
+    logger.info("Lead search completed", {
       count: leads.length,
-      total,
-      page: parseInt(page),
+      total: pagination.total,
+      text: Boolean(text),
       processingTime,
     });
 
     res.status(200).json({
       success: true,
       data: leads,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit)),
-      },
+      pagination,
       processingTime,
     });
   } catch (error) {
     const processingTime = Date.now() - startTime;
 
-    logger.error("Failed to retrieve leads", {
+    logger.error("Lead search failed", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Export the leads matching the list filters as CSV or XLSX. Leads are
+// streamed from a cursor, so exports of any size use constant memory.
+export const exportLeads = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const {
+      format = "csv",
+      columns,
+      sortBy = "createdAt",
+      sortOrder = "desc",
+    } = req.query;
+
+    if (!["csv", "xlsx"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "format must be csv or xlsx",
+      });
+    }
+
+    if (!LEAD_SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `sortBy must be one of: ${LEAD_SORT_FIELDS.join(", ")}`,
+      });
+    }
+
+    const selected = columns ? parseList(columns) : DEFAULT_EXPORT_COLUMNS;
+    const unknown = selected.filter((column) => !EXPORT_COLUMNS[column]);
+
+    if (selected.length === 0 || unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown columns: ${unknown.join(", ")}. Available columns: ${Object.keys(EXPORT_COLUMNS).join(", ")}`,
+      });
+    }
+
+    const { filter, error } = buildLeadListFilter(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const direction = sortOrder === "desc" ? -1 : 1;
+    const cursor = Lead.find(filter)
+      .sort({ [sortBy]: direction, _id: direction })
+      .lean()
+      .cursor();
+
+    // Stop reading from MongoDB if the client goes away
+    res.on("close", () => cursor.close().catch(() => {}));
+
+    const filename = `leads-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.status(200);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    let count;
+    if (format === "xlsx") {
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      count = await streamXlsx(cursor, selected, res);
+    } else {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      count = await streamCsv(cursor, selected, res);
+    }
+
+    logger.info("Leads exported successfully", {
+      format,
+      count,
+      columns: selected.length,
+      exportedBy: req.user?.username,
+      processingTime: Date.now() - startTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Lead export failed", {
       error: error.message,
       processingTime,
     });
 
+    // Once streaming has started the only way to signal failure is to
+    // cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -206,7 +653,7 @@ export const getLeadById = async (req, res) => {
   try {
     const { leadid } = req.params;
 
-    const lead = await Lead.findOne({ leadid }).lean();
+    const lead = await Lead.findOne({ leadid, deletedAt: null }).lean();
 
     if (!lead) {
       logger.warn("Lead not found", {
@@ -263,11 +710,7 @@ export const updateLeadStatus = async (req, res) => {
       });
     }
 
-    const lead = await Lead.findOneAndUpdate(
-      { leadid },
-      { status },
-      { new: true, runValidators: true }
-    );
+    const lead = await Lead.findOne({ leadid, deletedAt: null });
 
     if (!lead) {
       logger.warn("Lead not found for status update", {
@@ -281,6 +724,19 @@ export const updateLeadStatus = async (req, res) => {
       });
     }
 
+    const previousStatus = lead.status;
+    lead.status = status;
+    await lead.save();
+
+    await recordAuditEvent({
+      action: "lead.status_updated",
+      entityType: "lead",
+      entityId: leadid,
+      context: getAuditContext(req),
+      oldValue: { status: previousStatus },
+      newValue: { status },
+    });
+
     const processingTime = Date.now() - startTime;
 
     logger.info("Lead status updated successfully", {
@@ -310,6 +766,38 @@ export const updateLeadStatus = async (req, res) => {
   }
 };
 
+// Get the leads linked to a lead as its duplicates
+export const getLeadDuplicates = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { leadid } = req.params;
+
+    const duplicates = await Lead.find({ duplicateOf: leadid, deletedAt: null })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: duplicates,
+      processingTime: Date.now() - startTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve lead duplicates", {
+      error: error.message,
+      leadid: req.params.leadid,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
 // Get lead statistics
 export const getLeadStats = async (req, res) => {
   const startTime = Date.now();
@@ -318,16 +806,23 @@ export const getLeadStats = async (req, res) => {
     const { startDate, endDate, city, category } = req.query;
 
     // Build filter object
-    const filter = {};
+    const filter = { deletedAt: null };
 
     if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) filter.date.$gte = new Date(startDate);
-      if (endDate) filter.date.$lte = new Date(endDate);
+      filter.enquiredAt = {};
+      if (startDate) filter.enquiredAt.$gte = parseDateBoundary(startDate);
+      if (endDate) filter.enquiredAt.$lte = parseDateBoundary(endDate, true);
+
+      if (Object.values(filter.enquiredAt).includes(null)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid date range",
+        });
+      }
     }
 
-    if (city) filter.city = new RegExp(city, "i");
-    if (category) filter.category = new RegExp(category, "i");
+    if (city) filter.city = literalRegex(city);
+    if (category) filter.category = literalRegex(category);
 
     // Aggregate statistics
     const stats = await Lead.aggregate([
@@ -342,9 +837,37 @@ export const getLeadStats = async (req, res) => {
           processedLeads: {
             $sum: { $cond: [{ $eq: ["$status", "processed"] }, 1, 0] },
           },
+          partiallyProcessedLeads: {
+            $sum: {
+              $cond: [{ $eq: ["$status", "partially_processed"] }, 1, 0],
+            },
+          },
           failedLeads: {
             $sum: { $cond: [{ $eq: ["$status", "failed"] }, 1, 0] },
           },
+          deferredLeads: {
+            $sum: { $cond: [{ $eq: ["$status", "deferred"] }, 1, 0] },
+          },
+          duplicateLeads: {
+            $sum: { $cond: [{ $eq: ["$status", "duplicate"] }, 1, 0] },
+          },
+          importedLeads: {
+            $sum: { $cond: [{ $eq: ["$status", "imported"] }, 1, 0] },
+          },
+          deadLetterLeads: {
+            $sum: { $cond: [{ $eq: ["$status", "dead_letter"] }, 1, 0] },
+          },
+          dndLeads: {
+            $sum: {
+              $cond: [
+                {
+                  $or: [{ $eq: ["$dncmobile", 1] }, { $eq: ["$dncphone", 1] }],
+                },
+                1,
+                0,
+              ],
+            },
+          },
           avgProcessingTime: { $avg: "$processingTime" },
         },
       },
@@ -376,24 +899,51 @@ export const getLeadStats = async (req, res) => {
       { $limit: 10 },
     ]);
 
-    const processingTime = Date.now() - startTime;
-
-    logger.info("Lead statistics retrieved successfully", {
-      processingTime,
-    });
-
-    res.status(200).json({
+    // Get leads affected by each DND policy action, counting a lead once
+    // per action however many destinations applied it
+    const dndStats = await Lead.aggregate([
+      { $match: { ...filter, "deliveries.dndAction": { $exists: true } } },
+      { $unwind: "$deliveries" },
+      { $match: { "deliveries.dndAction": { $exists: true } } },
+      {
+        $group: {
+          _id: { action: "$deliveries.dndAction", lead: "$_id" },
+        },
+      },
+      {
+        $group: {
+          _id: "$_id.action",
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { count: -1 } },
+    ]);
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Lead statistics retrieved successfully", {
+      processingTime,
+    });
+
+    res.status(200).json({
       success: true,
       data: {
         overview: stats[0] || {
           totalLeads: 0,
           pendingLeads: 0,
           processedLeads: 0,
+          partiallyProcessedLeads: 0,
           failedLeads: 0,
+          deferredLeads: 0,
+          duplicateLeads: 0,
+          importedLeads: 0,
+          deadLetterLeads: 0,
+          dndLeads: 0,
           avgProcessingTime: 0,
         },
         cityStats,
         categoryStats,
+        dndStats,
       },
       processingTime,
     });
@@ -412,14 +962,274 @@ export const getLeadStats = async (req, res) => {
   }
 };
 
-// Retry failed lead forwarding
+const TIMESERIES_GROUPS = [
+  "status",
+  "category",
+  "city",
+  "leadtype",
+  "destination",
+];
+
+// Default range charted for each interval when no start date is given
+const TIMESERIES_DEFAULT_DAYS = { hour: 2, day: 30, week: 182, month: 365 };
+
+const MAX_TIMESERIES_BUCKETS = 1000;
+
+// Get lead counts bucketed by hour, day, week or month in the source
+// timezone (IST by default), optionally split by a lead field or by
+// destination, with forwarding latency percentiles per bucket. Empty
+// buckets are included so gaps in lead flow show up.
+export const getLeadTimeseries = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const {
+      interval = "day",
+      groupBy,
+      dateField = "createdAt",
+      startDate,
+      endDate,
+    } = req.query;
+
+    if (!TIME_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: `interval must be one of: ${TIME_INTERVALS.join(", ")}`,
+      });
+    }
+
+    if (groupBy && !TIMESERIES_GROUPS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of: ${TIMESERIES_GROUPS.join(", ")}`,
+      });
+    }
+
+    if (!["createdAt", "enquiredAt"].includes(dateField)) {
+      return res.status(400).json({
+        success: false,
+        message: "dateField must be createdAt or enquiredAt",
+      });
+    }
+
+    const timezone = getSourceTimezone();
+    const rangeEnd = endDate ? parseDateBoundary(endDate, true) : new Date();
+    const rangeStart = startDate
+      ? parseDateBoundary(startDate)
+      : rangeEnd &&
+        new Date(
+          rangeEnd.getTime() -
+            TIMESERIES_DEFAULT_DAYS[interval] * 24 * 60 * 60 * 1000
+        );
+
+    if (!rangeStart || !rangeEnd || rangeStart > rangeEnd) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range",
+      });
+    }
+
+    // Lay out every bucket in the range up front
+    const buckets = new Map();
+    for (
+      let start = truncateToInterval(rangeStart, interval, timezone);
+      start <= rangeEnd;
+      start = addInterval(start, interval, timezone)
+    ) {
+      if (buckets.size >= MAX_TIMESERIES_BUCKETS) {
+        return res.status(400).json({
+          success: false,
+          message: `Date range spans more than ${MAX_TIMESERIES_BUCKETS} ${interval} buckets`,
+        });
+      }
+
+      buckets.set(start.getTime(), {
+        start,
+        label: formatDateValue(
+          start,
+          interval === "hour" ? "YYYY-MM-DD HH:mm" : "YYYY-MM-DD",
+          timezone
+        ),
+        total: 0,
+        ...(groupBy && { groups: {} }),
+        latencies: [],
+      });
+    }
+
+    const match = {
+      deletedAt: null,
+      [dateField]: { $gte: rangeStart, $lte: rangeEnd },
+    };
+    const bucketStart = {
+      $dateTrunc: {
+        date: `$${dateField}`,
+        unit: interval,
+        timezone,
+        startOfWeek: "monday",
+      },
+    };
+
+    const pipeline = [{ $match: match }];
+
+    // Split by destination counts deliveries rather than leads
+    if (groupBy === "destination") {
+      pipeline.push({ $unwind: "$deliveries" });
+    }
+
+    pipeline.push({
+      $group: {
+        _id: {
+          bucket: bucketStart,
+          ...(groupBy && {
+            group:
+              groupBy === "destination"
+                ? "$deliveries.destination"
+                : `$${groupBy}`,
+          }),
+        },
+        count: { $sum: 1 },
+      },
+    });
+
+    // Forwarding latency of leads that have been forwarded, counted into
+    // histogram bins so each bucket holds a bounded number of rows however
+    // many leads it has
+    const latencyPipeline = [
+      { $match: { ...match, processingTime: { $gt: 0 } } },
+      {
+        $group: {
+          _id: {
+            bucket: bucketStart,
+            bin: latencyBinExpression("$processingTime"),
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ];
+
+    const [results, latencyBins] = await Promise.all([
+      Lead.aggregate(pipeline).allowDiskUse(true),
+      Lead.aggregate(latencyPipeline).allowDiskUse(true),
+    ]);
+
+    for (const { _id, count } of results) {
+      const bucket = buckets.get(_id.bucket.getTime());
+      if (!bucket) continue;
+
+      bucket.total += count;
+
+      if (groupBy) {
+        const group = _id.group ?? "unknown";
+        bucket.groups[group] = (bucket.groups[group] || 0) + count;
+      }
+    }
+
+    for (const { _id, count } of latencyBins) {
+      buckets
+        .get(_id.bucket.getTime())
+        ?.latencies.push({ bin: _id.bin, count });
+    }
+
+    const series = [...buckets.values()].map(({ latencies, ...bucket }) => {
+      const { p50, p95, p99, count } = summarizeLatencies(latencies);
+      return { ...bucket, latency: { count, p50, p95, p99 } };
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Lead timeseries retrieved successfully", {
+      interval,
+      groupBy,
+      buckets: series.length,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        interval,
+        groupBy: groupBy || null,
+        dateField,
+        timezone,
+        startDate: rangeStart,
+        endDate: rangeEnd,
+        buckets: series,
+      },
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve lead timeseries", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Hand a lead to the forward queue on an operator's request. The lead is
+ * moved to pending first so the retry scheduler leaves it alone; the
+ * forward worker delivers it, so a lead is never sent by two processes
+ * at once.
+ * @param {Object} lead - The lead
+ * @param {Array<string>} fromStatuses - Statuses the lead may be queued from
+ * @param {string} trigger - "manual" or "bulk"
+ * @param {Object} req - Express request, for the audit event
+ * @returns {Promise<boolean>} - Whether the lead was queued
+ */
+const queueLeadForward = async (lead, fromStatuses, trigger, req) => {
+  if (lead.status !== "pending") {
+    const claimed = await Lead.updateOne(
+      { _id: lead._id, status: { $in: fromStatuses }, deletedAt: null },
+      { $set: { status: "pending", nextRetryAt: null } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+      return false;
+    }
+
+    await recordAuditEvent({
+      action: "lead.retry_scheduled",
+      entityType: "lead",
+      entityId: lead.leadid,
+      context: getAuditContext(req),
+      oldValue: { status: lead.status },
+      newValue: { status: "pending" },
+      metadata: { trigger },
+    });
+  }
+
+  try {
+    await enqueueLeadForwarding(lead.leadid, { trigger });
+  } catch (error) {
+    // The lead stays pending and is queued by the worker's recovery sweep
+    logger.error("Failed to queue lead for forwarding", {
+      leadid: lead.leadid,
+      trigger,
+      error: error.message,
+    });
+  }
+
+  return true;
+};
+
+// Retry forwarding a lead. The forward is queued and the outcome recorded
+// on the lead by the forward worker.
 export const retryLeadForwarding = async (req, res) => {
   const startTime = Date.now();
 
   try {
     const { leadid } = req.params;
 
-    const lead = await Lead.findOne({ leadid });
+    const lead = await Lead.findOne({ leadid, deletedAt: null })
+      .select("leadid status")
+      .lean();
 
     if (!lead) {
       logger.warn("Lead not found for retry", {
@@ -433,55 +1243,36 @@ export const retryLeadForwarding = async (req, res) => {
       });
     }
 
-    if (lead.status !== "failed") {
+    const queued =
+      RETRYABLE_STATUSES.includes(lead.status) &&
+      (await queueLeadForward(lead, RETRYABLE_STATUSES, "manual", req));
+
+    if (!queued) {
       return res.status(400).json({
         success: false,
-        message: "Lead is not in failed status",
+        message:
+          "Lead is not in failed, partially processed or deferred status",
         currentStatus: lead.status,
       });
     }
 
-    // Retry forwarding to external API
-    const apiForwardingResult = await processAndForwardLead(lead.toObject());
+    const processingTime = Date.now() - startTime;
 
-    if (apiForwardingResult.success) {
-      // Update lead status to processed if API call was successful
-      lead.status = "processed";
-      lead.processingTime = Date.now() - startTime;
-      await lead.save();
+    logger.info("Lead forwarding retry queued", {
+      leadid: lead.leadid,
+      previousStatus: lead.status,
+      processingTime,
+    });
 
-      logger.info("Lead forwarding retry successful", {
-        leadid: lead.leadid,
-        apiEndpoint: apiForwardingResult.apiEndpoint,
-        category: apiForwardingResult.category,
-        processingTime: apiForwardingResult.processingTime,
-      });
-
-      res.status(200).json({
-        success: true,
-        message: "Lead forwarding retry successful",
-        data: {
-          leadid: lead.leadid,
-          status: lead.status,
-          apiEndpoint: apiForwardingResult.apiEndpoint,
-          category: apiForwardingResult.category,
-        },
-        processingTime: Date.now() - startTime,
-      });
-    } else {
-      logger.error("Lead forwarding retry failed", {
+    res.status(202).json({
+      success: true,
+      message: "Lead queued for forwarding",
+      data: {
         leadid: lead.leadid,
-        error: apiForwardingResult.error,
-        category: apiForwardingResult.category,
-      });
-
-      res.status(500).json({
-        success: false,
-        message: "Lead forwarding retry failed",
-        error: apiForwardingResult.error,
-        processingTime: Date.now() - startTime,
-      });
-    }
+        status: "pending",
+      },
+      processingTime,
+    });
   } catch (error) {
     const processingTime = Date.now() - startTime;
 
@@ -498,7 +1289,15 @@ export const retryLeadForwarding = async (req, res) => {
   }
 };
 
-// Bulk forward multiple leads to external APIs
+// Leads bulk forwarding leaves alone: delivered or duplicate leads have
+// nothing to send, and dead-lettered leads are requeued explicitly
+const BULK_FORWARD_EXCLUDED_STATUSES = [
+  "processed",
+  "dead_letter",
+  "duplicate",
+];
+
+// Queue multiple leads for forwarding to external APIs
 export const bulkForwardLeads = async (req, res) => {
   const startTime = Date.now();
 
@@ -521,7 +1320,12 @@ export const bulkForwardLeads = async (req, res) => {
     }
 
     // Find all leads by IDs
-    const leads = await Lead.find({ leadid: { $in: leadIds } });
+    const leads = await Lead.find({
+      leadid: { $in: leadIds.map(String) },
+      deletedAt: null,
+    })
+      .select("leadid status")
+      .lean();
 
     if (leads.length === 0) {
       return res.status(404).json({
@@ -530,127 +1334,222 @@ export const bulkForwardLeads = async (req, res) => {
       });
     }
 
-    // Track results
-    const results = {
+    const forwardableStatuses = Lead.schema
+      .path("status")
+      .enumValues.filter(
+        (status) => !BULK_FORWARD_EXCLUDED_STATUSES.includes(status)
+      );
+
+    const details = [];
+
+    for (const lead of leads) {
+      const queued =
+        forwardableStatuses.includes(lead.status) &&
+        (await queueLeadForward(lead, forwardableStatuses, "bulk", req));
+
+      details.push(
+        queued
+          ? { leadid: lead.leadid, status: "queued" }
+          : { leadid: lead.leadid, status: "skipped", leadStatus: lead.status }
+      );
+    }
+
+    const summary = {
       total: leads.length,
-      successful: 0,
-      failed: 0,
+      queued: details.filter((detail) => detail.status === "queued").length,
+      skipped: details.filter((detail) => detail.status === "skipped").length,
       notFound: leadIds.length - leads.length,
-      details: [],
     };
 
-    // Process each lead
-    const processingPromises = leads.map(async (lead) => {
-      const leadStartTime = Date.now();
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Bulk lead forwarding queued", {
+      ...summary,
+      processingTime,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: "Leads queued for forwarding",
+      summary,
+      details,
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Bulk lead forwarding failed", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
 
+// List dead-lettered leads
+export const getDeadLetterLeads = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const filter = { status: "dead_letter", deletedAt: null };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [leads, total] = await Promise.all([
+      Lead.find(filter)
+        .sort({ deadLetteredAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Lead.countDocuments(filter),
+    ]);
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Dead-lettered leads retrieved successfully", {
+      count: leads.length,
+      total,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: leads,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve dead-lettered leads", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Requeue dead-lettered leads for forwarding with a fresh attempt budget
+export const requeueDeadLetterLeads = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { leadIds, all } = req.body;
+
+    if (all !== true && (!Array.isArray(leadIds) || leadIds.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "leadIds array is required unless all is true",
+      });
+    }
+
+    // Lead IDs are matched as strings; objects could carry query operators
+    if (
+      all !== true &&
+      !leadIds.every(
+        (leadid) =>
+          (typeof leadid === "string" && leadid.trim() !== "") ||
+          Number.isFinite(leadid)
+      )
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "leadIds must only contain lead IDs",
+      });
+    }
+
+    const filter = { status: "dead_letter", deletedAt: null };
+    if (all !== true) filter.leadid = { $in: leadIds.map(String) };
+
+    const leads = await Lead.find(filter).select("leadid").lean();
+
+    if (leads.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No dead-lettered leads found",
+      });
+    }
+
+    const requeued = [];
+    const failed = [];
+
+    // A lead that can't be requeued is reported rather than abandoning
+    // the leads after it
+    for (const { _id, leadid } of leads) {
       try {
-        // Forward lead to external API
-        const apiForwardingResult = await processAndForwardLead(
-          lead.toObject()
+        const reset = await Lead.updateOne(
+          { _id, status: "dead_letter" },
+          {
+            $set: {
+              status: "pending",
+              attemptCount: 0,
+              nextRetryAt: null,
+              deadLetteredAt: null,
+            },
+          }
         );
 
-        const processingTime = Date.now() - leadStartTime;
-
-        if (apiForwardingResult.success) {
-          // Update lead status to processed
-          lead.status = "processed";
-          lead.processingTime = processingTime;
-          await lead.save();
-
-          results.successful++;
-
-          logger.info("Bulk lead forwarding successful", {
-            leadid: lead.leadid,
-            apiEndpoint: apiForwardingResult.apiEndpoint,
-            category: apiForwardingResult.category,
-            processingTime,
-          });
-
-          return {
-            leadid: lead.leadid,
-            status: "success",
-            apiEndpoint: apiForwardingResult.apiEndpoint,
-            category: apiForwardingResult.category,
-            processingTime,
-          };
-        } else {
-          // Mark as failed
-          lead.status = "failed";
-          lead.processingTime = processingTime;
-          await lead.save();
-
-          results.failed++;
-
-          logger.error("Bulk lead forwarding failed", {
-            leadid: lead.leadid,
-            error: apiForwardingResult.error,
-            category: apiForwardingResult.category,
-          });
-
-          return {
-            leadid: lead.leadid,
-            status: "failed",
-            error: apiForwardingResult.error,
-            category: apiForwardingResult.category,
-            processingTime,
-          };
-        }
-      } catch (error) {
-        const processingTime = Date.now() - leadStartTime;
-
-        // Mark as failed
-        lead.status = "failed";
-        lead.processingTime = processingTime;
-        await lead.save();
+        if (reset.modifiedCount === 0) continue;
 
-        results.failed++;
+        await recordAuditEvent({
+          action: "lead.requeued",
+          entityType: "lead",
+          entityId: leadid,
+          context: getAuditContext(req),
+          oldValue: { status: "dead_letter" },
+          newValue: { status: "pending", attemptCount: 0 },
+        });
 
-        logger.error("Bulk lead forwarding failed with exception", {
-          leadid: lead.leadid,
+        // If this fails the lead is left pending, and the worker's
+        // recovery sweep queues it later
+        await enqueueLeadForwarding(leadid);
+        requeued.push(leadid);
+      } catch (error) {
+        logger.error("Failed to requeue dead-lettered lead", {
+          leadid,
           error: error.message,
-          category: lead.category,
         });
 
-        return {
-          leadid: lead.leadid,
-          status: "failed",
-          error: error.message,
-          category: lead.category,
-          processingTime,
-        };
+        failed.push({ leadid, error: error.message });
       }
-    });
-
-    // Wait for all processing to complete
-    const processingResults = await Promise.all(processingPromises);
-    results.details = processingResults;
+    }
 
-    const totalProcessingTime = Date.now() - startTime;
+    const processingTime = Date.now() - startTime;
 
-    logger.info("Bulk lead forwarding completed", {
-      total: results.total,
-      successful: results.successful,
-      failed: results.failed,
-      notFound: results.notFound,
-      processingTime: totalProcessingTime,
+    logger.info("Dead-lettered leads requeued", {
+      requeued: requeued.length,
+      failed: failed.length,
+      processingTime,
     });
 
     res.status(200).json({
       success: true,
-      message: "Bulk lead forwarding completed",
-      summary: {
-        total: results.total,
-        successful: results.successful,
-        failed: results.failed,
-        notFound: results.notFound,
+      message: "Dead-lettered leads requeued",
+      data: {
+        requeued: requeued.length,
+        leadIds: requeued,
+        failed,
       },
-      details: results.details,
-      processingTime: totalProcessingTime,
+      processingTime,
     });
   } catch (error) {
     const processingTime = Date.now() - startTime;
 
-    logger.error("Bulk lead forwarding failed", {
+    logger.error("Failed to requeue dead-lettered leads", {
       error: error.message,
       processingTime,
     });
@@ -658,19 +1557,23 @@ export const bulkForwardLeads = async (req, res) => {
     res.status(500).json({
       success: false,
       message: "Internal server error",
-      error: error.message,
     });
   }
 };
 
-// Delete lead (for admin purposes)
+// Move a lead to the trash. It is purged after the retention period
+// unless restored.
 export const deleteLead = async (req, res) => {
   const startTime = Date.now();
 
   try {
     const { leadid } = req.params;
 
-    const lead = await Lead.findOneAndDelete({ leadid });
+    const lead = await Lead.findOneAndUpdate(
+      { leadid, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy: req.user.username } },
+      { new: true }
+    ).lean();
 
     if (!lead) {
       logger.warn("Lead not found for deletion", {
@@ -684,16 +1587,29 @@ export const deleteLead = async (req, res) => {
       });
     }
 
+    await recordAuditEvent({
+      action: "lead.deleted",
+      entityType: "lead",
+      entityId: leadid,
+      context: getAuditContext(req),
+      oldValue: { deletedAt: null },
+      newValue: { deletedAt: lead.deletedAt },
+    });
+
     const processingTime = Date.now() - startTime;
 
-    logger.info("Lead deleted successfully", {
+    logger.info("Lead moved to trash", {
       leadid,
       processingTime,
     });
 
     res.status(200).json({
       success: true,
-      message: "Lead deleted successfully",
+      message: "Lead moved to trash",
+      data: {
+        leadid,
+        deletedAt: lead.deletedAt,
+      },
       processingTime,
     });
   } catch (error) {
@@ -711,3 +1627,129 @@ export const deleteLead = async (req, res) => {
     });
   }
 };
+
+// List trashed leads, most recently deleted first
+export const getTrashedLeads = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const filter = { deletedAt: { $ne: null } };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [leads, total] = await Promise.all([
+      Lead.find(filter)
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Lead.countDocuments(filter),
+    ]);
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Trashed leads retrieved successfully", {
+      count: leads.length,
+      total,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: leads,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve trashed leads", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Restore a trashed lead
+export const restoreLead = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { leadid } = req.params;
+
+    const lead = await Lead.findOneAndUpdate(
+      { leadid, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null }, $unset: { deletedBy: 1 } }
+    ).lean();
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found in trash",
+      });
+    }
+
+    // Its forward job may have been skipped while it was trashed
+    if (lead.status === "pending") {
+      try {
+        await enqueueLeadForwarding(leadid);
+      } catch (error) {
+        // The lead is queued by the worker's recovery sweep
+        logger.error("Failed to queue restored lead for forwarding", {
+          leadid,
+          error: error.message,
+        });
+      }
+    }
+
+    await recordAuditEvent({
+      action: "lead.restored",
+      entityType: "lead",
+      entityId: leadid,
+      context: getAuditContext(req),
+      oldValue: { deletedAt: lead.deletedAt, deletedBy: lead.deletedBy },
+      newValue: { deletedAt: null },
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Lead restored from trash", {
+      leadid,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Lead restored successfully",
+      data: {
+        leadid,
+        status: lead.status,
+      },
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to restore lead", {
+      error: error.message,
+      leadid: req.params.leadid,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+import { logger } from "../utils/logger.js";
+import { getForwardQueueDepth } from "../utils/forwardQueue.js";
+import {
+  METRICS_CONTENT_TYPE,
+  forwardQueueDepth,
+  forwardWorkerInFlight,
+  mongoConnectionState,
+  renderMetrics,
+} from "../utils/metrics.js";
+
+const CONNECTION_STATES = [
+  "disconnected",
+  "connected",
+  "connecting",
+  "disconnecting",
+];
+
+// Expose the service's metrics in the Prometheus text format. Gauges are
+// read when scraped; the queue depth is left at its last value when
+// MongoDB can't be reached.
+export const getMetrics = async (req, res) => {
+  try {
+    const readyState = mongoose.connection.readyState;
+
+    for (const [index, state] of CONNECTION_STATES.entries()) {
+      mongoConnectionState.set({ state }, readyState === index ? 1 : 0);
+    }
+
+    if (readyState === 1) {
+      try {
+        const depth = await getForwardQueueDepth();
+
+        forwardQueueDepth.set({ status: "queued" }, depth.queued);
+        forwardQueueDepth.set({ status: "processing" }, depth.processing);
+        forwardWorkerInFlight.set({}, depth.inFlight);
+      } catch (error) {
+        logger.warn("Failed to read forward queue depth for metrics", {
+          error: error.message,
+        });
+      }
+    }
+
+    res.set("Content-Type", METRICS_CONTENT_TYPE);
+    res.status(200).send(renderMetrics());
+  } catch (error) {
+    logger.error("Failed to render metrics", {
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
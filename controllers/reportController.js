@@ -0,0 +1,335 @@
+import Lead from "../models/Lead.js";
+import DeliveryAttempt, {
+  UNSENT_ATTEMPT_STATUSES,
+} from "../models/DeliveryAttempt.js";
+import { logger } from "../utils/logger.js";
+import { parseDateBoundary } from "../utils/dateTime.js";
+
+const DEFAULT_REPORT_DAYS = 7;
+
+// Most frequent error codes listed per destination
+const TOP_ERROR_CODES = 5;
+
+/**
+ * Resolve the reporting period from the query, defaulting to the last
+ * seven days
+ * @param {Object} query - Request query with startDate and endDate
+ * @returns {Object|null} - `{ start, end }`, or null when invalid
+ */
+const getReportPeriod = ({ startDate, endDate }) => {
+  const end = endDate ? parseDateBoundary(endDate, true) : new Date();
+  const start = startDate
+    ? parseDateBoundary(startDate)
+    : end &&
+      new Date(end.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+
+  if (!start || !end || start > end) {
+    return null;
+  }
+
+  return { start, end };
+};
+
+const toRate = (part, whole) =>
+  whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null;
+
+// Get delivery metrics per destination for leads received in a period:
+// delivery counts by outcome, success rate, time from receipt to
+// delivery, and the most common error classes of the requests sent.
+export const getDestinationReport = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const period = getReportPeriod(req.query);
+
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range",
+      });
+    }
+
+    const [deliveryStats, attemptStats, errorStats] = await Promise.all([
+      // Where each lead's delivery to each destination stands now
+      Lead.aggregate([
+        {
+          $match: {
+            deletedAt: null,
+            createdAt: { $gte: period.start, $lte: period.end },
+          },
+        },
+        { $unwind: "$deliveries" },
+        {
+          $group: {
+            _id: "$deliveries.destination",
+            total: { $sum: 1 },
+            delivered: {
+              $sum: {
+                $cond: [{ $eq: ["$deliveries.status", "delivered"] }, 1, 0],
+              },
+            },
+            blocked: {
+              $sum: {
+                $cond: [{ $eq: ["$deliveries.status", "blocked"] }, 1, 0],
+              },
+            },
+            // Undelivered leads that have been given up on
+            failed: {
+              $sum: {
+                $cond: [
+                  {
+                    $and: [
+                      {
+                        $in: ["$deliveries.status", ["failed", "deferred"]],
+                      },
+                      { $eq: ["$status", "dead_letter"] },
+                    ],
+                  },
+                  1,
+                  0,
+                ],
+              },
+            },
+            // Undelivered leads that will still be retried
+            retrying: {
+              $sum: {
+                $cond: [
+                  {
+                    $and: [
+                      {
+                        $in: [
+                          "$deliveries.status",
+                          ["pending", "failed", "deferred"],
+                        ],
+                      },
+                      { $ne: ["$status", "dead_letter"] },
+                    ],
+                  },
+                  1,
+                  0,
+                ],
+              },
+            },
+            avgTimeToDeliveryMs: {
+              $avg: {
+                $cond: [
+                  { $eq: ["$deliveries.status", "delivered"] },
+                  { $subtract: ["$deliveries.deliveredAt", "$createdAt"] },
+                  "$$REMOVE",
+                ],
+              },
+            },
+          },
+        },
+      ]),
+      DeliveryAttempt.aggregate([
+        {
+          $match: {
+            attemptedAt: { $gte: period.start, $lte: period.end },
+            status: { $nin: UNSENT_ATTEMPT_STATUSES },
+          },
+        },
+        {
+          $group: {
+            _id: "$destination",
+            attempts: { $sum: 1 },
+            failedAttempts: {
+              $sum: { $cond: ["$success", 0, 1] },
+            },
+            avgLatencyMs: { $avg: "$latencyMs" },
+          },
+        },
+      ]),
+      DeliveryAttempt.aggregate([
+        {
+          $match: {
+            attemptedAt: { $gte: period.start, $lte: period.end },
+            status: { $nin: UNSENT_ATTEMPT_STATUSES },
+            success: false,
+          },
+        },
+        {
+          $group: {
+            _id: { destination: "$destination", errorCode: "$errorCode" },
+            count: { $sum: 1 },
+          },
+        },
+        { $sort: { count: -1 } },
+      ]),
+    ]);
+
+    const destinations = new Map();
+    const getEntry = (name) => {
+      if (!destinations.has(name)) {
+        destinations.set(name, {
+          destination: name,
+          total: 0,
+          delivered: 0,
+          failed: 0,
+          retrying: 0,
+          blocked: 0,
+          successRate: null,
+          avgTimeToDeliveryMs: null,
+          attempts: 0,
+          failedAttempts: 0,
+          avgLatencyMs: null,
+          topErrors: [],
+        });
+      }
+      return destinations.get(name);
+    };
+
+    for (const { _id, avgTimeToDeliveryMs, ...counts } of deliveryStats) {
+      const entry = getEntry(_id);
+      Object.assign(entry, counts);
+
+      // Blocked deliveries were never meant to be sent
+      entry.successRate = toRate(entry.delivered, entry.total - entry.blocked);
+      entry.avgTimeToDeliveryMs =
+        avgTimeToDeliveryMs === null ? null : Math.round(avgTimeToDeliveryMs);
+    }
+
+    for (const { _id, avgLatencyMs, ...counts } of attemptStats) {
+      const entry = getEntry(_id);
+      Object.assign(entry, counts);
+      entry.avgLatencyMs =
+        avgLatencyMs === null ? null : Math.round(avgLatencyMs);
+    }
+
+    for (const { _id, count } of errorStats) {
+      const entry = getEntry(_id.destination);
+
+      if (entry.topErrors.length < TOP_ERROR_CODES) {
+        entry.topErrors.push({ errorCode: _id.errorCode || "UNKNOWN", count });
+      }
+    }
+
+    const report = [...destinations.values()].sort((a, b) =>
+      a.destination.localeCompare(b.destination)
+    );
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Destination report generated", {
+      destinations: report.length,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        startDate: period.start,
+        endDate: period.end,
+        destinations: report,
+      },
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to generate destination report", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Get how far leads received in a period got: received, not duplicates,
+// forwarded, and where the forwarded leads ended up
+export const getLeadFunnel = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const period = getReportPeriod(req.query);
+
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range",
+      });
+    }
+
+    const countStatus = (statuses) => ({
+      $sum: { $cond: [{ $in: ["$status", statuses] }, 1, 0] },
+    });
+
+    const [stats] = await Lead.aggregate([
+      {
+        $match: {
+          deletedAt: null,
+          createdAt: { $gte: period.start, $lte: period.end },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          received: { $sum: 1 },
+          duplicates: countStatus(["duplicate"]),
+          imported: countStatus(["imported"]),
+          forwarded: {
+            $sum: { $cond: [{ $gt: ["$attemptCount", 0] }, 1, 0] },
+          },
+          delivered: countStatus(["processed"]),
+          partiallyDelivered: countStatus(["partially_processed"]),
+          retrying: countStatus(["failed", "deferred"]),
+          deadLettered: countStatus(["dead_letter"]),
+          pending: countStatus(["pending"]),
+        },
+      },
+      { $project: { _id: 0 } },
+    ]);
+
+    const funnel = stats || {
+      received: 0,
+      duplicates: 0,
+      imported: 0,
+      forwarded: 0,
+      delivered: 0,
+      partiallyDelivered: 0,
+      retrying: 0,
+      deadLettered: 0,
+      pending: 0,
+    };
+
+    const unique = funnel.received - funnel.duplicates;
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Lead funnel generated", {
+      received: funnel.received,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        startDate: period.start,
+        endDate: period.end,
+        funnel: { ...funnel, unique },
+        rates: {
+          unique: toRate(unique, funnel.received),
+          forwarded: toRate(funnel.forwarded, unique),
+          delivered: toRate(funnel.delivered, funnel.forwarded),
+        },
+      },
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to generate lead funnel", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,341 @@
+import mongoose from "mongoose";
+import RoutingRule from "../models/RoutingRule.js";
+import { logger } from "../utils/logger.js";
+import {
+  invalidateRoutingRules,
+  resolveRoute,
+} from "../utils/routingEngine.js";
+import { isKnownDestination } from "../utils/destinationRegistry.js";
+import { getAuditContext, recordAuditEvent } from "../utils/auditLog.js";
+
+// Get all routing rules in evaluation order
+export const getRoutingRules = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const filter = {};
+    if (req.query.enabled !== undefined) {
+      filter.enabled = req.query.enabled === "true";
+    }
+
+    const rules = await RoutingRule.find(filter)
+      .sort({ isFallback: 1, priority: -1, createdAt: 1 })
+      .lean();
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Routing rules retrieved successfully", {
+      count: rules.length,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: rules,
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve routing rules", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Get routing rule by ID
+export const getRoutingRuleById = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid ID format",
+      });
+    }
+
+    const rule = await RoutingRule.findById(id).lean();
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Routing rule not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+      processingTime: Date.now() - startTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve routing rule", {
+      error: error.message,
+      id: req.params.id,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Create a routing rule
+export const createRoutingRule = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const ruleData = req.validatedRule;
+
+    const unknownDestination = await findUnknownDestination(
+      ruleData.destinations
+    );
+
+    if (unknownDestination) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown destination: ${unknownDestination}`,
+      });
+    }
+
+    const rule = await RoutingRule.create(ruleData);
+    invalidateRoutingRules();
+
+    await recordAuditEvent({
+      action: "routing_rule.created",
+      entityType: "routing_rule",
+      entityId: rule._id,
+      context: getAuditContext(req),
+      newValue: rule.toObject(),
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Routing rule created successfully", {
+      rule: rule.name,
+      destinations: rule.destinations,
+      processingTime,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      processingTime,
+    });
+  } catch (error) {
+    handleRuleWriteError(error, req, res, startTime);
+  }
+};
+
+// Update a routing rule
+export const updateRoutingRule = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { id } = req.params;
+    const updates = req.validatedRule;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid ID format",
+      });
+    }
+
+    const unknownDestination = await findUnknownDestination(
+      updates.destinations
+    );
+
+    if (unknownDestination) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown destination: ${unknownDestination}`,
+      });
+    }
+
+    const rule = await RoutingRule.findById(id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Routing rule not found",
+      });
+    }
+
+    const oldValue = rule.toObject();
+
+    // Conditions are replaced as a whole
+    rule.set(updates);
+    await rule.save();
+    invalidateRoutingRules();
+
+    await recordAuditEvent({
+      action: "routing_rule.updated",
+      entityType: "routing_rule",
+      entityId: rule._id,
+      context: getAuditContext(req),
+      oldValue,
+      newValue: rule.toObject(),
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Routing rule updated successfully", {
+      rule: rule.name,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+      processingTime,
+    });
+  } catch (error) {
+    handleRuleWriteError(error, req, res, startTime);
+  }
+};
+
+// Delete a routing rule
+export const deleteRoutingRule = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid ID format",
+      });
+    }
+
+    const rule = await RoutingRule.findByIdAndDelete(id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Routing rule not found",
+      });
+    }
+
+    invalidateRoutingRules();
+
+    await recordAuditEvent({
+      action: "routing_rule.deleted",
+      entityType: "routing_rule",
+      entityId: rule._id,
+      context: getAuditContext(req),
+      oldValue: rule.toObject(),
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Routing rule deleted successfully", {
+      rule: rule.name,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Routing rule deleted successfully",
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to delete routing rule", {
+      error: error.message,
+      id: req.params.id,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Show which destinations a lead would be routed to
+export const resolveRoutingRule = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const route = await resolveRoute(req.body || {});
+
+    res.status(200).json({
+      success: true,
+      data: route,
+      processingTime: Date.now() - startTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to resolve routing rule", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+const findUnknownDestination = async (destinations = []) => {
+  for (const destination of destinations) {
+    if (!(await isKnownDestination(destination))) {
+      return destination;
+    }
+  }
+  return null;
+};
+
+const handleRuleWriteError = (error, req, res, startTime) => {
+  const processingTime = Date.now() - startTime;
+
+  logger.error("Failed to save routing rule", {
+    error: error.message,
+    id: req.params.id,
+    processingTime,
+  });
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "Routing rule name already exists",
+    });
+  }
+
+  if (error.name === "ValidationError") {
+    const validationErrors = Object.values(error.errors).map((err) => ({
+      field: err.path,
+      message: err.message,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: validationErrors,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: "Internal server error",
+  });
+};
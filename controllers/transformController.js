@@ -0,0 +1,83 @@
+import Lead from "../models/Lead.js";
+import { logger } from "../utils/logger.js";
+import { getDestination } from "../utils/destinationRegistry.js";
+import { applyTransform } from "../utils/payloadTransformer.js";
+import { formatLeadPhones } from "../utils/contactNormalization.js";
+
+// Preview the payload a lead would be forwarded with. An inline transform
+// template takes precedence over the destination's stored one.
+export const previewTransform = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { destination: name, leadid, lead, transform } = req.validatedPreview;
+
+    let destination = null;
+    if (name) {
+      destination = await getDestination(name);
+
+      if (!destination) {
+        return res.status(404).json({
+          success: false,
+          message: "Destination not found",
+        });
+      }
+    }
+
+    let leadData;
+    if (leadid) {
+      leadData = await Lead.findOne({ leadid }).lean();
+
+      if (!leadData) {
+        return res.status(404).json({
+          success: false,
+          message: "Lead not found",
+        });
+      }
+    } else {
+      leadData = {
+        ...lead,
+        date: lead.date ? new Date(lead.date) : lead.date,
+      };
+    }
+
+    // Numbers are sent in the form the destination receives them
+    if (destination) {
+      leadData = formatLeadPhones(leadData, destination.phoneFormat);
+    }
+
+    const payload = applyTransform(
+      leadData,
+      transform || destination?.transform
+    );
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Transform preview generated", {
+      destination: name,
+      leadid: leadData.leadid,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        destination: name || null,
+        payload,
+      },
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to generate transform preview", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,183 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import { logger } from "../utils/logger.js";
+import { getAuditContext, recordAuditEvent } from "../utils/auditLog.js";
+
+// Get all users
+export const getUsers = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const users = await User.find().sort({ username: 1 });
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Users retrieved successfully", {
+      count: users.length,
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: users,
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    logger.error("Failed to retrieve users", {
+      error: error.message,
+      processingTime,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Create a user
+export const createUser = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const user = await User.create(req.validatedUser);
+
+    await recordAuditEvent({
+      action: "user.created",
+      entityType: "user",
+      entityId: user._id,
+      context: getAuditContext(req),
+      newValue: { username: user.username, role: user.role },
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("User created successfully", {
+      username: user.username,
+      role: user.role,
+      createdBy: req.user.username,
+      processingTime,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: user,
+      processingTime,
+    });
+  } catch (error) {
+    handleUserWriteError(error, req, res, startTime);
+  }
+};
+
+// Update a user's role, status or password. Deactivating a user or
+// changing their password logs them out once their access token expires.
+export const updateUser = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID",
+      });
+    }
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Admins can't lock themselves out
+    if (
+      user._id.equals(req.user._id) &&
+      (req.validatedUser.active === false ||
+        (req.validatedUser.role && req.validatedUser.role !== "admin"))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot deactivate or demote yourself",
+      });
+    }
+
+    const oldValue = { role: user.role, active: user.active };
+
+    user.set(req.validatedUser);
+    if (req.validatedUser.active === false) {
+      user.tokenVersion += 1;
+    }
+    await user.save();
+
+    // Passwords are never recorded, only that one was set
+    await recordAuditEvent({
+      action: "user.updated",
+      entityType: "user",
+      entityId: user._id,
+      context: getAuditContext(req),
+      oldValue,
+      newValue: { role: user.role, active: user.active },
+      metadata: { passwordChanged: Boolean(req.validatedUser.password) },
+    });
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info("User updated successfully", {
+      username: user.username,
+      updatedBy: req.user.username,
+      fields: Object.keys(req.validatedUser).filter(
+        (field) => field !== "password"
+      ),
+      processingTime,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: user,
+      processingTime,
+    });
+  } catch (error) {
+    handleUserWriteError(error, req, res, startTime);
+  }
+};
+
+const handleUserWriteError = (error, req, res, startTime) => {
+  const processingTime = Date.now() - startTime;
+
+  logger.error("Failed to save user", {
+    error: error.message,
+    id: req.params.id,
+    processingTime,
+  });
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "Username already exists",
+    });
+  }
+
+  if (error.name === "ValidationError") {
+    const validationErrors = Object.values(error.errors).map((err) => ({
+      field: err.path,
+      message: err.message,
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: validationErrors,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: "Internal server error",
+  });
+};
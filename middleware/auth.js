@@ -0,0 +1,55 @@
+import User from '../models/User.js';
+import { verifyAccessToken } from '../utils/authTokens.js';
+import { logger } from '../utils/logger.js';
+
+// Require a valid access token from an active user. Token errors are
+// answered by errorHandler.
+export const authenticate = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const claims = verifyAccessToken(token);
+
+    // Look the user up so deactivation and role changes apply immediately
+    const user = await User.findById(claims.sub);
+
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        message: 'User is not active'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Require at least the given role; use after authenticate
+export const authorize = (role) => (req, res, next) => {
+  if (!req.user?.hasRole(role)) {
+    logger.warn('Access denied', {
+      username: req.user?.username,
+      role: req.user?.role,
+      requiredRole: role,
+      method: req.method,
+      url: req.originalUrl
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions'
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,43 @@
+import multer from 'multer';
+import { logger } from '../utils/logger.js';
+
+const getMaxFileSize = () =>
+  (parseInt(process.env.IMPORT_MAX_FILE_SIZE_MB) || 10) * 1024 * 1024;
+
+// Accept a single lead import file in the "file" field. Import files are
+// small enough to hold in memory while the job runs.
+export const uploadImportFile = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxFileSize(), files: 1 }
+  });
+
+  upload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      logger.warn('Import file upload rejected', {
+        code: err.code,
+        error: err.message
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE'
+          ? `Import file cannot exceed ${getMaxFileSize() / 1024 / 1024}MB`
+          : err.message
+      });
+    }
+
+    if (err) {
+      return next(err);
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'An import file is required in the "file" field'
+      });
+    }
+
+    next();
+  });
+};
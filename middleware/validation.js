@@ -1,5 +1,16 @@
 import Joi from 'joi';
 import { logger } from '../utils/logger.js';
+import { TRANSFORM_SOURCES } from '../utils/payloadTransformer.js';
+import { USER_ROLES } from '../models/User.js';
+import { DND_ACTIONS } from '../utils/dndPolicy.js';
+import { DESTINATION_SECRET_PATTERN, DESTINATION_SECRET_PREFIX } from '../utils/destinationAuth.js';
+import { PHONE_FORMATS, normalizeLeadPhones } from '../utils/contactNormalization.js';
+import {
+  leadsReceived,
+  leadsValidated,
+  leadsRejected,
+  validationDuration
+} from '../utils/metrics.js';
 
 // Lead validation schema
 const leadSchema = Joi.object({
@@ -186,6 +197,35 @@ const leadSchema = Joi.object({
     })
 });
 
+// Validate raw lead data as sent by JustDial or read from an import file.
+// Returns the validated lead, or the errors found.
+export const validateLeadData = (data) => {
+  // Convert string values to appropriate types for validation
+  const processedData = {
+    ...data,
+    dncmobile: data.dncmobile ? parseInt(data.dncmobile) : data.dncmobile,
+    dncphone: data.dncphone ? parseInt(data.dncphone) : data.dncphone,
+    date: data.date ? new Date(data.date) : data.date
+  };
+
+  const { error, value } = leadSchema.validate(processedData, {
+    abortEarly: false,
+    stripUnknown: true,
+    allowUnknown: false
+  });
+
+  if (error) {
+    return {
+      errors: error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }))
+    };
+  }
+
+  return { value };
+};
+
 // Validation middleware
 export const validateLead = (req, res, next) => {
   const startTime = Date.now();
@@ -194,26 +234,15 @@ export const validateLead = (req, res, next) => {
     // Handle both GET and POST requests
     const data = req.method === 'GET' ? req.query : req.body;
     
-    // Convert string values to appropriate types for validation
-    const processedData = {
-      ...data,
-      dncmobile: data.dncmobile ? parseInt(data.dncmobile) : data.dncmobile,
-      dncphone: data.dncphone ? parseInt(data.dncphone) : data.dncphone,
-      date: data.date ? new Date(data.date) : data.date
-    };
-    
-    const { error, value } = leadSchema.validate(processedData, {
-      abortEarly: false,
-      stripUnknown: true,
-      allowUnknown: false
-    });
+    leadsReceived.inc({ method: req.method });
+
+    const validationStart = performance.now();
+    const { value, errors: validationErrors } = validateLeadData(data);
+    validationDuration.observe({}, (performance.now() - validationStart) / 1000);
     
-    if (error) {
-      const validationErrors = error.details.map(detail => ({
-        field: detail.path.join('.'),
-        message: detail.message
-      }));
-      
+    if (validationErrors) {
+      leadsRejected.inc();
+
       logger.warn('Lead validation failed', {
         leadid: data.leadid,
         errors: validationErrors,
@@ -227,6 +256,8 @@ export const validateLead = (req, res, next) => {
       });
     }
     
+    leadsValidated.inc();
+
     // Store validated data in request
     req.validatedLead = value;
     
@@ -250,21 +281,41 @@ export const validateLead = (req, res, next) => {
   }
 };
 
+// Tidy validated lead data before it is stored
+export const sanitizeLeadData = (data) => {
+  // Sanitize string fields
+  const sanitizedData = {};
+  Object.keys(data).forEach(key => {
+    if (typeof data[key] === 'string') {
+      // Remove extra whitespace and trim
+      sanitizedData[key] = data[key].trim().replace(/\s+/g, ' ');
+    } else {
+      sanitizedData[key] = data[key];
+    }
+  });
+
+  // Parse the numbers into E.164; invalid numbers are flagged, not rejected
+  sanitizedData.normalizedPhones = normalizeLeadPhones(sanitizedData);
+
+  return sanitizedData;
+};
+
 // Sanitization middleware
 export const sanitizeLead = (req, res, next) => {
   try {
     const data = req.validatedLead || (req.method === 'GET' ? req.query : req.body);
     
-    // Sanitize string fields
-    const sanitizedData = {};
-    Object.keys(data).forEach(key => {
-      if (typeof data[key] === 'string') {
-        // Remove extra whitespace and trim
-        sanitizedData[key] = data[key].trim().replace(/\s+/g, ' ');
-      } else {
-        sanitizedData[key] = data[key];
-      }
-    });
+    const sanitizedData = sanitizeLeadData(data);
+
+    const invalidPhones = Object.keys(sanitizedData.normalizedPhones)
+      .filter(field => sanitizedData.normalizedPhones[field]?.valid === false);
+
+    if (invalidPhones.length > 0) {
+      logger.warn('Lead has invalid phone numbers', {
+        leadid: sanitizedData.leadid,
+        fields: invalidPhones
+      });
+    }
     
     req.sanitizedLead = sanitizedData;
     next();
@@ -273,3 +324,494 @@ export const sanitizeLead = (req, res, next) => {
     next(err);
   }
 };
+
+// Build a middleware that validates the request body against a schema
+const validateBody = (schema, label, property) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const validationErrors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+
+    logger.warn(`${label} validation failed`, {
+      errors: validationErrors
+    });
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: validationErrors
+    });
+  }
+
+  req[property] = value;
+  next();
+};
+
+// Routing rule validation schema
+const routingRuleSchema = Joi.object({
+  name: Joi.string()
+    .required()
+    .max(255)
+    .trim()
+    .messages({
+      'string.empty': 'Rule name is required',
+      'any.required': 'Rule name is required',
+      'string.max': 'Rule name cannot exceed 255 characters'
+    }),
+
+  description: Joi.string()
+    .max(1000)
+    .trim()
+    .allow(''),
+
+  enabled: Joi.boolean(),
+
+  priority: Joi.number()
+    .integer()
+    .messages({
+      'number.base': 'Priority must be a number'
+    }),
+
+  isFallback: Joi.boolean(),
+
+  conditions: Joi.object({
+    category: Joi.object({
+      value: Joi.string().required().max(255).trim(),
+      matchType: Joi.string()
+        .valid('exact', 'case_insensitive', 'regex')
+        .messages({
+          'any.only': 'Category match type must be exact, case_insensitive or regex'
+        })
+    }).custom((category, helpers) => {
+      if (category.matchType === 'regex') {
+        try {
+          new RegExp(category.value);
+        } catch (err) {
+          return helpers.message(`Invalid category pattern: ${err.message}`);
+        }
+      }
+      return category;
+    }),
+
+    cities: Joi.array().items(Joi.string().max(255).trim()),
+
+    leadtypes: Joi.array().items(
+      Joi.string()
+        .valid('company', 'category')
+        .messages({
+          'any.only': 'Lead type must be either "company" or "category"'
+        })
+    ),
+
+    pincodeRanges: Joi.array().items(
+      Joi.object({
+        from: Joi.string().required().pattern(/^[0-9]+$/),
+        to: Joi.string().required().pattern(/^[0-9]+$/)
+      })
+        .custom((range, helpers) => {
+          if (parseInt(range.from) > parseInt(range.to)) {
+            return helpers.message('Pincode range start must not exceed its end');
+          }
+          return range;
+        })
+        .messages({
+          'string.pattern.base': 'Pincode range must contain only numbers'
+        })
+    ),
+
+    parentids: Joi.array().items(Joi.string().max(255).trim())
+  }),
+
+  destinations: Joi.array()
+    .items(Joi.string().trim())
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'At least one destination is required',
+      'array.unique': 'Destinations must not repeat',
+      'any.required': 'At least one destination is required'
+    })
+});
+
+// Partial updates may omit the required fields
+const routingRuleUpdateSchema = routingRuleSchema.fork(
+  ['name', 'destinations'],
+  (schema) => schema.optional()
+);
+
+// Routing rule validation middleware
+export const validateRoutingRule = (req, res, next) => {
+  const schema = req.method === 'PATCH' ? routingRuleUpdateSchema : routingRuleSchema;
+  return validateBody(schema, 'Routing rule', 'validatedRule')(req, res, next);
+};
+
+// Dedup rule validation schema
+const dedupRuleSchema = Joi.object({
+  name: Joi.string()
+    .required()
+    .max(255)
+    .trim()
+    .messages({
+      'string.empty': 'Rule name is required',
+      'any.required': 'Rule name is required',
+      'string.max': 'Rule name cannot exceed 255 characters'
+    }),
+
+  description: Joi.string()
+    .max(1000)
+    .trim()
+    .allow(''),
+
+  enabled: Joi.boolean(),
+
+  priority: Joi.number()
+    .integer()
+    .messages({
+      'number.base': 'Priority must be a number'
+    }),
+
+  matchOn: Joi.array()
+    .items(Joi.string().valid('phone', 'email'))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'any.only': 'Match fields must be phone or email',
+      'array.min': 'At least one match field is required',
+      'any.required': 'At least one match field is required'
+    }),
+
+  windowMinutes: Joi.number()
+    .integer()
+    .min(1)
+    .max(525600)
+    .messages({
+      'number.min': 'Window must be at least 1 minute',
+      'number.max': 'Window cannot exceed one year'
+    }),
+
+  scope: Joi.string()
+    .valid('global', 'category', 'destination')
+    .messages({
+      'any.only': 'Scope must be global, category or destination'
+    }),
+
+  action: Joi.string()
+    .valid('suppress', 'merge', 'forward')
+    .messages({
+      'any.only': 'Action must be suppress, merge or forward'
+    })
+});
+
+// Partial updates may omit the required fields
+const dedupRuleUpdateSchema = dedupRuleSchema.fork(
+  ['name', 'matchOn'],
+  (schema) => schema.optional()
+);
+
+// Dedup rule validation middleware
+export const validateDedupRule = (req, res, next) => {
+  const schema = req.method === 'PATCH' ? dedupRuleUpdateSchema : dedupRuleSchema;
+  return validateBody(schema, 'Dedup rule', 'validatedRule')(req, res, next);
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const transformSourceSchema = Joi.string()
+  .valid(...TRANSFORM_SOURCES)
+  .messages({
+    'any.only': `Source must be one of: ${TRANSFORM_SOURCES.join(', ')}`
+  });
+
+// Payload transform template validation schema
+const transformSchema = Joi.object({
+  base: Joi.string()
+    .valid('default', 'lead', 'none')
+    .messages({
+      'any.only': 'Transform base must be default, lead or none'
+    }),
+
+  fields: Joi.array().items(
+    Joi.object({
+      target: Joi.string()
+        .required()
+        .max(255)
+        .trim()
+        .messages({
+          'string.empty': 'Mapping target is required',
+          'any.required': 'Mapping target is required'
+        }),
+
+      type: Joi.string()
+        .valid('field', 'constant', 'concat', 'date')
+        .default('field')
+        .messages({
+          'any.only': 'Mapping type must be field, constant, concat or date'
+        }),
+
+      source: transformSourceSchema.when('type', {
+        is: 'field',
+        then: Joi.required()
+      }),
+
+      sources: Joi.array()
+        .items(transformSourceSchema)
+        .min(1)
+        .when('type', { is: 'concat', then: Joi.required() }),
+
+      separator: Joi.string().allow(''),
+
+      value: Joi.any().when('type', { is: 'constant', then: Joi.required() }),
+
+      format: Joi.string().max(50),
+
+      timezone: Joi.string()
+        .custom((timezone, helpers) =>
+          isValidTimezone(timezone) ? timezone : helpers.message(`Unknown timezone: ${timezone}`)
+        ),
+
+      fallback: Joi.any()
+    })
+  ),
+
+  exclude: Joi.array().items(Joi.string().trim()),
+
+  omitEmpty: Joi.boolean()
+});
+
+// Only variables set aside for destination secrets may be named, so a
+// destination can't be pointed at the service's own settings
+const envVarSchema = Joi.string()
+  .pattern(DESTINATION_SECRET_PATTERN)
+  .messages({
+    'string.pattern.base': `Secret environment variable names must start with ${DESTINATION_SECRET_PREFIX} and contain only A-Z, 0-9 and _`
+  });
+
+// Destination auth validation schema; secrets are referenced by the name of
+// the environment variable that holds them
+const authSchema = Joi.object({
+  type: Joi.string()
+    .required()
+    .valid('none', 'bearer', 'basic', 'api_key', 'hmac')
+    .messages({
+      'any.only': 'Auth type must be none, bearer, basic, api_key or hmac'
+    }),
+  tokenEnv: envVarSchema.when('type', { is: 'bearer', then: Joi.required() }),
+  usernameEnv: envVarSchema.when('type', { is: 'basic', then: Joi.required() }),
+  passwordEnv: envVarSchema.when('type', { is: 'basic', then: Joi.required() }),
+  apiKeyEnv: envVarSchema.when('type', { is: 'api_key', then: Joi.required() }),
+  location: Joi.string()
+    .valid('header', 'query')
+    .messages({
+      'any.only': 'API key location must be header or query'
+    }),
+  name: Joi.string().max(255).pattern(/^[A-Za-z0-9_-]+$/),
+  secretEnv: envVarSchema.when('type', { is: 'hmac', then: Joi.required() }),
+  algorithm: Joi.string()
+    .valid('sha256', 'sha512', 'sha1')
+    .messages({
+      'any.only': 'HMAC algorithm must be sha256, sha512 or sha1'
+    })
+});
+
+// Destination validation schema
+const destinationSchema = Joi.object({
+  name: Joi.string()
+    .required()
+    .max(100)
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .messages({
+      'string.empty': 'Destination name is required',
+      'any.required': 'Destination name is required',
+      'string.max': 'Destination name cannot exceed 100 characters',
+      'string.pattern.base': 'Destination name may only contain letters, numbers, _ and -'
+    }),
+
+  description: Joi.string()
+    .max(1000)
+    .trim()
+    .allow(''),
+
+  url: Joi.string()
+    .required()
+    .uri({ scheme: ['http', 'https'] })
+    .messages({
+      'any.required': 'Destination URL is required',
+      'string.uri': 'Destination URL must be a valid http(s) URL',
+      'string.uriCustomScheme': 'Destination URL must be a valid http(s) URL'
+    }),
+
+  enabled: Joi.boolean(),
+
+  method: Joi.string()
+    .uppercase()
+    .valid('POST', 'PUT', 'PATCH')
+    .messages({
+      'any.only': 'Method must be POST, PUT or PATCH'
+    }),
+
+  contentType: Joi.string()
+    .valid('json', 'form')
+    .messages({
+      'any.only': 'Content type must be json or form'
+    }),
+
+  // Secrets belong in auth, which reads them from the environment
+  headers: Joi.object()
+    .pattern(Joi.string(), Joi.string().max(1000))
+    .custom((headers, helpers) => {
+      for (const name of Object.keys(headers)) {
+        if (!/^[A-Za-z0-9-]+$/.test(name)) {
+          return helpers.message(`Invalid header name: ${name}`);
+        }
+        if (name.toLowerCase() === 'authorization') {
+          return helpers.message('Use auth settings instead of an Authorization header');
+        }
+      }
+      return headers;
+    }),
+
+  connectTimeoutMs: Joi.number()
+    .integer()
+    .min(100)
+    .max(60000)
+    .messages({
+      'number.min': 'Connect timeout must be at least 100ms',
+      'number.max': 'Connect timeout cannot exceed 60000ms'
+    }),
+
+  timeoutMs: Joi.number()
+    .integer()
+    .min(1000)
+    .max(120000)
+    .messages({
+      'number.min': 'Timeout must be at least 1000ms',
+      'number.max': 'Timeout cannot exceed 120000ms'
+    }),
+
+  auth: authSchema,
+
+  transform: transformSchema,
+
+  circuitBreaker: Joi.object({
+    failureRateThreshold: Joi.number().min(0).max(1),
+    minimumRequests: Joi.number().integer().min(1),
+    windowMs: Joi.number().integer().min(1000),
+    openDurationMs: Joi.number().integer().min(1000),
+    halfOpenProbes: Joi.number().integer().min(1)
+  }),
+
+  phoneFormat: Joi.string()
+    .valid(...PHONE_FORMATS)
+    .messages({
+      'any.only': `Phone format must be one of: ${PHONE_FORMATS.join(', ')}`
+    }),
+
+  dnd: Joi.object({
+    action: Joi.string()
+      .valid(...DND_ACTIONS)
+      .messages({
+        'any.only': `DND action must be one of: ${DND_ACTIONS.join(', ')}`
+      }),
+    tagField: Joi.string()
+      .max(100)
+      .trim()
+  })
+});
+
+// The name identifies the destination and cannot be changed
+const destinationUpdateSchema = destinationSchema
+  .fork(['url'], (schema) => schema.optional())
+  .fork(['name'], (schema) => schema.forbidden());
+
+// Destination validation middleware
+export const validateDestination = (req, res, next) => {
+  const schema = req.method === 'PATCH' ? destinationUpdateSchema : destinationSchema;
+  return validateBody(schema, 'Destination', 'validatedDestination')(req, res, next);
+};
+
+// Transform preview validation middleware
+export const validateTransformPreview = validateBody(
+  Joi.object({
+    destination: Joi.string(),
+    leadid: Joi.string().trim(),
+    lead: Joi.object().unknown(true),
+    transform: transformSchema
+  })
+    .xor('leadid', 'lead')
+    .or('destination', 'transform')
+    .messages({
+      'object.xor': 'Provide either leadid or lead',
+      'object.missing': 'Provide leadid or lead, and destination or transform'
+    }),
+  'Transform preview',
+  'validatedPreview'
+);
+
+// Login validation middleware
+export const validateLogin = validateBody(
+  Joi.object({
+    username: Joi.string().required().trim().lowercase(),
+    password: Joi.string().required()
+  }),
+  'Login',
+  'validatedLogin'
+);
+
+// User validation schema
+const userSchema = Joi.object({
+  username: Joi.string()
+    .required()
+    .max(50)
+    .trim()
+    .lowercase()
+    .pattern(/^[a-z0-9._-]+$/)
+    .messages({
+      'any.required': 'Username is required',
+      'string.max': 'Username cannot exceed 50 characters',
+      'string.pattern.base': 'Username may only contain letters, numbers, ., _ and -'
+    }),
+
+  password: Joi.string()
+    .required()
+    .min(8)
+    .max(128)
+    .messages({
+      'any.required': 'Password is required',
+      'string.min': 'Password must be at least 8 characters'
+    }),
+
+  role: Joi.string()
+    .valid(...USER_ROLES)
+    .messages({
+      'any.only': 'Role must be viewer, operator or admin'
+    }),
+
+  active: Joi.boolean()
+});
+
+// The username identifies the user and cannot be changed
+const userUpdateSchema = userSchema
+  .fork(['password'], (schema) => schema.optional())
+  .fork(['username'], (schema) => schema.forbidden())
+  .min(1);
+
+// User validation middleware
+export const validateUser = (req, res, next) => {
+  const schema = req.method === 'PATCH' ? userUpdateSchema : userSchema;
+  return validateBody(schema, 'User', 'validatedUser')(req, res, next);
+};
@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import net from 'net';
+import { logger } from '../utils/logger.js';
+
+// Rejected ingestion requests since startup, by reason
+const rejections = {
+  ip: 0,
+  token: 0,
+  signature: 0
+};
+
+let allowlistCache = { source: null, blockList: null };
+
+// Parse WEBHOOK_IP_ALLOWLIST ("203.0.113.7,198.51.100.0/24,2001:db8::/32")
+// once per distinct value
+const getAllowlist = () => {
+  const source = process.env.WEBHOOK_IP_ALLOWLIST || '';
+
+  if (allowlistCache.source !== source) {
+    const entries = source.split(',').map(entry => entry.trim()).filter(Boolean);
+    let blockList = null;
+
+    if (entries.length > 0) {
+      blockList = new net.BlockList();
+
+      for (const entry of entries) {
+        const [address, prefix] = entry.split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+        try {
+          if (prefix === undefined) {
+            blockList.addAddress(address, type);
+          } else {
+            blockList.addSubnet(address, Number(prefix), type);
+          }
+        } catch (error) {
+          logger.error('Ignoring invalid webhook allowlist entry', { entry, error: error.message });
+        }
+      }
+    }
+
+    allowlistCache = { source, blockList };
+  }
+
+  return allowlistCache.blockList;
+};
+
+const isAllowedIp = (ip) => {
+  const blockList = getAllowlist();
+  if (!blockList) return true;
+  if (!ip) return false;
+
+  // IPv4 clients of a dual-stack server show up as ::ffff:a.b.c.d
+  const address = ip.startsWith('::ffff:') && net.isIPv4(ip.substring(7)) ? ip.substring(7) : ip;
+
+  return blockList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// The token may be sent as a query parameter, which is all JustDial
+// supports, or as a header
+const hasValidToken = (req) => {
+  const expected = process.env.WEBHOOK_TOKEN;
+  if (!expected) return true;
+
+  const param = process.env.WEBHOOK_TOKEN_PARAM || 'token';
+  const token = req.get('X-Webhook-Token') || req.query[param];
+
+  // Keep the token out of the lead data
+  delete req.query[param];
+
+  return typeof token === 'string' && safeEqual(token, expected);
+};
+
+// POST bodies are signed as received; GET requests sign the query string
+const hasValidSignature = (req) => {
+  const secret = process.env.WEBHOOK_HMAC_SECRET;
+  if (!secret) return true;
+
+  const header = process.env.WEBHOOK_SIGNATURE_HEADER || 'X-Signature';
+  const signature = (req.get(header) || '').replace(/^sha256=/, '');
+  if (!signature) return false;
+
+  const payload = req.method === 'GET'
+    ? req.originalUrl.split('?')[1] || ''
+    : req.rawBody || '';
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(payload)
+    .digest('hex');
+
+  return safeEqual(signature.toLowerCase(), expected);
+};
+
+const reject = (req, res, reason, status, message) => {
+  rejections[reason]++;
+
+  logger.warn('Webhook request rejected', {
+    reason,
+    ip: req.ip,
+    method: req.method,
+    userAgent: req.get('User-Agent')
+  });
+
+  return res.status(status).json({
+    success: false,
+    message
+  });
+};
+
+// Authenticate requests to the lead ingestion endpoint. Each check only
+// applies once its environment variable is set.
+export const webhookAuth = (req, res, next) => {
+  if (!isAllowedIp(req.ip)) {
+    return reject(req, res, 'ip', 403, 'Forbidden');
+  }
+
+  if (!hasValidToken(req)) {
+    return reject(req, res, 'token', 401, 'Invalid or missing webhook token');
+  }
+
+  if (!hasValidSignature(req)) {
+    return reject(req, res, 'signature', 401, 'Invalid or missing webhook signature');
+  }
+
+  next();
+};
+
+// Keep the raw request body for signature verification; passed as the
+// `verify` option of the body parsers
+export const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+export const getWebhookAuthStats = () => ({
+  rejections: {
+    ...rejections,
+    total: rejections.ip + rejections.token + rejections.signature
+  },
+  checks: {
+    ipAllowlist: Boolean(getAllowlist()),
+    token: Boolean(process.env.WEBHOOK_TOKEN),
+    signature: Boolean(process.env.WEBHOOK_HMAC_SECRET)
+  }
+});
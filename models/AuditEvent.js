@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+export const AUDIT_ACTIONS = [
+  "lead.created",
+  "lead.imported",
+  "lead.revised",
+  "lead.deduplicated",
+  "lead.forward_attempted",
+  "lead.retry_scheduled",
+  "lead.status_updated",
+  "lead.requeued",
+  "lead.deleted",
+  "lead.restored",
+  "lead.purged",
+  "routing_rule.created",
+  "routing_rule.updated",
+  "routing_rule.deleted",
+  "dedup_rule.created",
+  "dedup_rule.updated",
+  "dedup_rule.deleted",
+  "destination.created",
+  "destination.updated",
+  "destination.deleted",
+  "circuit_breaker.reset",
+  "user.created",
+  "user.updated",
+];
+
+const auditEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: true,
+      enum: AUDIT_ACTIONS,
+    },
+    entityType: {
+      type: String,
+      required: true,
+      enum: ["lead", "routing_rule", "dedup_rule", "destination", "user"],
+    },
+    // leadid, rule ID, destination name or user ID
+    entityId: {
+      type: String,
+      required: true,
+    },
+    // Who made the change: a logged in user, the JustDial webhook or the
+    // service itself (forward worker, retry scheduler)
+    actor: {
+      type: {
+        type: String,
+        enum: ["user", "webhook", "system"],
+        required: true,
+      },
+      userId: mongoose.Schema.Types.ObjectId,
+      username: String,
+      role: String,
+    },
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed,
+    metadata: mongoose.Schema.Types.Mixed,
+    ip: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditEventSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ "actor.username": 1, createdAt: -1 });
+auditEventSchema.index({ createdAt: -1 });
+
+const AuditEvent = mongoose.model("AuditEvent", auditEventSchema);
+
+export default AuditEvent;
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+const dedupRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      unique: true,
+      trim: true,
+      maxlength: [255, "Rule name cannot exceed 255 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // Rules are evaluated from the highest priority down; first match wins
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    // A lead is a duplicate when any of these contact details match
+    matchOn: {
+      type: [String],
+      enum: {
+        values: ["phone", "email"],
+        message: "Match fields must be phone or email",
+      },
+      validate: {
+        validator: function (v) {
+          return Array.isArray(v) && v.length > 0;
+        },
+        message: "At least one match field is required",
+      },
+    },
+    // Only leads received this recently are matched against
+    windowMinutes: {
+      type: Number,
+      min: [1, "Window must be at least 1 minute"],
+      max: [525600, "Window cannot exceed one year"],
+      default: 24 * 60,
+    },
+    // global: any lead; category: leads in the same category;
+    // destination: leads sent to one of the same destinations
+    scope: {
+      type: String,
+      enum: {
+        values: ["global", "category", "destination"],
+        message: "Scope must be global, category or destination",
+      },
+      default: "global",
+    },
+    // suppress: don't forward the duplicate; merge: don't forward it and
+    // fill in missing details on the primary lead; forward: link it to the
+    // primary lead but forward it as usual
+    action: {
+      type: String,
+      enum: {
+        values: ["suppress", "merge", "forward"],
+        message: "Action must be suppress, merge or forward",
+      },
+      default: "suppress",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dedupRuleSchema.index({ enabled: 1, priority: -1 });
+
+const DedupRule = mongoose.model("DedupRule", dedupRuleSchema);
+
+export default DedupRule;
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+import { FORWARD_ERROR_CODES } from "../utils/forwardErrors.js";
+
+// Attempts that ended before a request was sent: blocked by the DND
+// policy, deferred by an open circuit, an unknown or disabled destination,
+// or a failed transform
+export const UNSENT_ATTEMPT_STATUSES = [
+  "blocked",
+  "deferred",
+  "unavailable",
+  "transform_failed",
+];
+
+export const DELIVERY_ATTEMPT_STATUSES = [
+  "delivered",
+  "failed",
+  ...UNSENT_ATTEMPT_STATUSES,
+];
+
+const getRetentionDays = () =>
+  parseInt(process.env.DELIVERY_LOG_RETENTION_DAYS) || 30;
+
+// One attempt to send a lead to a destination. The request URL and auth
+// headers are never stored since they can carry secrets.
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    leadid: {
+      type: String,
+      required: true,
+    },
+    destination: {
+      type: String,
+      required: true,
+    },
+    attemptedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_ATTEMPT_STATUSES,
+      required: true,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    request: {
+      method: String,
+      headers: mongoose.Schema.Types.Mixed,
+      // Transformed payload as sent
+      payload: mongoose.Schema.Types.Mixed,
+    },
+    response: {
+      status: Number,
+      headers: mongoose.Schema.Types.Mixed,
+      body: String,
+      bodyTruncated: Boolean,
+    },
+    latencyMs: Number,
+    errorCode: {
+      type: String,
+      enum: Object.values(FORWARD_ERROR_CODES),
+    },
+    error: String,
+  },
+  {
+    timestamps: false,
+  }
+);
+
+deliveryAttemptSchema.index({ leadid: 1, attemptedAt: -1 });
+deliveryAttemptSchema.index({ destination: 1, attemptedAt: -1 });
+// Attempts hold the payload sent, so they expire after the retention period
+deliveryAttemptSchema.index(
+  { attemptedAt: 1 },
+  { expireAfterSeconds: getRetentionDays() * 24 * 60 * 60 }
+);
+
+const DeliveryAttempt = mongoose.model(
+  "DeliveryAttempt",
+  deliveryAttemptSchema
+);
+
+export default DeliveryAttempt;
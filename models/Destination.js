@@ -0,0 +1,259 @@
+import mongoose from "mongoose";
+import { DND_ACTIONS } from "../utils/dndPolicy.js";
+import { PHONE_FORMATS } from "../utils/contactNormalization.js";
+import {
+  DESTINATION_SECRET_PATTERN,
+  DESTINATION_SECRET_PREFIX,
+} from "../utils/destinationAuth.js";
+
+// Maps one field of the outgoing payload
+const fieldMappingSchema = new mongoose.Schema(
+  {
+    target: {
+      type: String,
+      required: [true, "Mapping target is required"],
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: {
+        values: ["field", "constant", "concat", "date"],
+        message: "Mapping type must be field, constant, concat or date",
+      },
+      default: "field",
+    },
+    // Lead field read by "field" and "date" mappings
+    source: String,
+    // Lead fields joined by "concat" mappings
+    sources: {
+      type: [String],
+      default: undefined,
+    },
+    separator: String,
+    // Value written by "constant" mappings
+    value: mongoose.Schema.Types.Mixed,
+    // Date format and timezone for "date" mappings
+    format: String,
+    timezone: String,
+    // Value used when the mapping resolves to nothing
+    fallback: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+const transformSchema = new mongoose.Schema(
+  {
+    base: {
+      type: String,
+      enum: {
+        values: ["default", "lead", "none"],
+        message: "Transform base must be default, lead or none",
+      },
+      default: "default",
+    },
+    fields: {
+      type: [fieldMappingSchema],
+      default: [],
+    },
+    exclude: {
+      type: [String],
+      default: [],
+    },
+    omitEmpty: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+// Secrets are never stored; auth settings name the environment
+// variables that hold them
+const ENV_VAR_PATTERN = [
+  DESTINATION_SECRET_PATTERN,
+  `Secret environment variable names must start with ${DESTINATION_SECRET_PREFIX} and contain only A-Z, 0-9 and _`,
+];
+
+const authSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: {
+        values: ["none", "bearer", "basic", "api_key", "hmac"],
+        message: "Auth type must be none, bearer, basic, api_key or hmac",
+      },
+      default: "none",
+    },
+    // bearer
+    tokenEnv: { type: String, match: ENV_VAR_PATTERN },
+    // basic
+    usernameEnv: { type: String, match: ENV_VAR_PATTERN },
+    passwordEnv: { type: String, match: ENV_VAR_PATTERN },
+    // api_key
+    apiKeyEnv: { type: String, match: ENV_VAR_PATTERN },
+    location: {
+      type: String,
+      enum: {
+        values: ["header", "query"],
+        message: "API key location must be header or query",
+      },
+      default: "header",
+    },
+    // Header (api_key, hmac) or query parameter (api_key) name
+    name: String,
+    // hmac
+    secretEnv: { type: String, match: ENV_VAR_PATTERN },
+    algorithm: {
+      type: String,
+      enum: {
+        values: ["sha256", "sha512", "sha1"],
+        message: "HMAC algorithm must be sha256, sha512 or sha1",
+      },
+      default: "sha256",
+    },
+  },
+  { _id: false }
+);
+
+// Overrides for the circuit breaker environment defaults
+const circuitBreakerSchema = new mongoose.Schema(
+  {
+    failureRateThreshold: {
+      type: Number,
+      min: [0, "Failure rate threshold must be between 0 and 1"],
+      max: [1, "Failure rate threshold must be between 0 and 1"],
+    },
+    minimumRequests: {
+      type: Number,
+      min: [1, "Minimum requests must be at least 1"],
+    },
+    windowMs: {
+      type: Number,
+      min: [1000, "Window must be at least 1000ms"],
+    },
+    openDurationMs: {
+      type: Number,
+      min: [1000, "Open duration must be at least 1000ms"],
+    },
+    halfOpenProbes: {
+      type: Number,
+      min: [1, "Half-open probes must be at least 1"],
+    },
+  },
+  { _id: false }
+);
+
+// How leads with DND numbers are sent; the action falls back to the
+// DND_DEFAULT_POLICY environment variable
+const dndSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: {
+        values: DND_ACTIONS,
+        message: "DND action must be allow, strip, mask, tag or block",
+      },
+    },
+    // Payload field set to true by the "tag" action
+    tagField: {
+      type: String,
+      trim: true,
+      maxlength: [100, "DND tag field cannot exceed 100 characters"],
+    },
+  },
+  { _id: false }
+);
+
+const destinationSchema = new mongoose.Schema(
+  {
+    // Name referenced by routing rules and lead deliveries
+    name: {
+      type: String,
+      required: [true, "Destination name is required"],
+      unique: true,
+      trim: true,
+      maxlength: [100, "Destination name cannot exceed 100 characters"],
+      match: [
+        /^[A-Za-z0-9_-]+$/,
+        "Destination name may only contain letters, numbers, _ and -",
+      ],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+    },
+    url: {
+      type: String,
+      required: [true, "Destination URL is required"],
+      trim: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    method: {
+      type: String,
+      enum: {
+        values: ["POST", "PUT", "PATCH"],
+        message: "Method must be POST, PUT or PATCH",
+      },
+      default: "POST",
+    },
+    contentType: {
+      type: String,
+      enum: {
+        values: ["json", "form"],
+        message: "Content type must be json or form",
+      },
+      default: "json",
+    },
+    // Extra request headers; must not contain secrets
+    headers: {
+      type: Map,
+      of: String,
+      default: undefined,
+    },
+    // Time allowed to open a connection to the destination
+    connectTimeoutMs: {
+      type: Number,
+      min: [100, "Connect timeout must be at least 100ms"],
+      max: [60000, "Connect timeout cannot exceed 60000ms"],
+      default: 10 * 1000,
+    },
+    // Time allowed to wait for the response once connected
+    timeoutMs: {
+      type: Number,
+      min: [1000, "Timeout must be at least 1000ms"],
+      max: [120000, "Timeout cannot exceed 120000ms"],
+      default: 30 * 1000,
+    },
+    // Form of the lead's numbers sent to the destination: as received,
+    // E.164 or 10-digit national
+    phoneFormat: {
+      type: String,
+      enum: {
+        values: PHONE_FORMATS,
+        message: "Phone format must be raw, e164 or national",
+      },
+      default: "raw",
+    },
+    auth: {
+      type: authSchema,
+      default: () => ({}),
+    },
+    transform: {
+      type: transformSchema,
+      default: () => ({}),
+    },
+    circuitBreaker: circuitBreakerSchema,
+    dnd: dndSchema,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Destination = mongoose.model("Destination", destinationSchema);
+
+export default Destination;
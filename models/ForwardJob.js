@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+// Outbox entry for forwarding a saved lead to the external CRM APIs.
+// There is at most one job per lead; re-forwarding a lead re-arms its job.
+const forwardJobSchema = new mongoose.Schema(
+  {
+    leadid: {
+      type: String,
+      required: [true, "Lead ID is required"],
+      unique: true,
+      trim: true,
+      maxlength: [255, "Lead ID cannot exceed 255 characters"],
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "failed"],
+      default: "queued",
+    },
+    // What asked for the lead to be forwarded, recorded on its attempt
+    trigger: {
+      type: String,
+      enum: ["queue", "manual", "bulk"],
+      default: "queue",
+    },
+    // Number of times a worker has claimed this job
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Earliest time a worker may claim the job
+    availableAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Lease held by the worker currently processing the job
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Set when the lead is enqueued again while a worker holds the job
+    requeueRequested: {
+      type: Boolean,
+      default: false,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes used by the worker to claim due jobs and expired leases
+forwardJobSchema.index({ status: 1, availableAt: 1 });
+forwardJobSchema.index({ status: 1, lockedUntil: 1 });
+
+const ForwardJob = mongoose.model("ForwardJob", forwardJobSchema);
+
+export default ForwardJob;
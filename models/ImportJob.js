@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+// Most row errors kept on a job; the counts still cover every row
+export const MAX_IMPORT_ERRORS = 1000;
+
+export const IMPORT_JOB_STATUSES = ["queued", "running", "completed", "failed"];
+
+// A row of an import file that was not imported
+const importErrorSchema = new mongoose.Schema(
+  {
+    // 1-based row number, not counting a CSV header
+    row: Number,
+    leadid: String,
+    details: [
+      {
+        _id: false,
+        field: String,
+        message: String,
+      },
+    ],
+  },
+  { _id: false }
+);
+
+// Background job importing leads from an uploaded CSV or JSON-lines file
+const importJobSchema = new mongoose.Schema(
+  {
+    filename: {
+      type: String,
+      trim: true,
+    },
+    format: {
+      type: String,
+      enum: ["csv", "jsonl"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: IMPORT_JOB_STATUSES,
+      default: "queued",
+    },
+    // Queue imported leads for forwarding instead of only storing them
+    forward: {
+      type: Boolean,
+      default: false,
+    },
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+    imported: {
+      type: Number,
+      default: 0,
+    },
+    duplicates: {
+      type: Number,
+      default: 0,
+    },
+    failed: {
+      type: Number,
+      default: 0,
+    },
+    rowErrors: {
+      type: [importErrorSchema],
+      default: [],
+    },
+    // Set when the whole job failed, e.g. the file could not be parsed
+    error: String,
+    createdBy: {
+      userId: mongoose.Schema.Types.ObjectId,
+      username: String,
+    },
+    startedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importJobSchema.index({ createdAt: -1 });
+
+const ImportJob = mongoose.model("ImportJob", importJobSchema);
+
+export default ImportJob;
@@ -1,4 +1,115 @@
 import mongoose from "mongoose";
+import { FORWARD_ERROR_CODES } from "../utils/forwardErrors.js";
+import { computeRetryDelay, getRetryPolicy } from "../utils/retryPolicy.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { LEAD_FIELDS } from "../utils/payloadTransformer.js";
+import {
+  getContactKeys,
+  normalizeLeadPhones,
+} from "../utils/contactNormalization.js";
+import { combineDateAndTime, parseDateBoundary } from "../utils/dateTime.js";
+
+// Resent payloads that differ from the stored lead; only the most recent
+// revisions are kept
+const MAX_REVISIONS = 20;
+
+// Delivery state of a lead for one destination
+const deliverySchema = new mongoose.Schema(
+  {
+    destination: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "delivered", "failed", "deferred", "blocked"],
+      default: "pending",
+    },
+    // DND policy applied to the lead's numbers for this destination
+    dndAction: {
+      type: String,
+      enum: ["strip", "mask", "tag", "block"],
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastAttemptAt: Date,
+    lastError: String,
+    lastErrorCode: {
+      type: String,
+      enum: Object.values(FORWARD_ERROR_CODES),
+    },
+    deliveredAt: Date,
+  },
+  { _id: false }
+);
+
+// A mobile or phone number parsed into E.164
+const normalizedPhoneSchema = new mongoose.Schema(
+  {
+    e164: String,
+    type: {
+      type: String,
+      enum: ["mobile", "landline"],
+    },
+    valid: Boolean,
+  },
+  { _id: false }
+);
+
+// Changes made to a lead by a resent payload
+const revisionSchema = new mongoose.Schema(
+  {
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Changed fields, as { field: { from, to } }
+    changes: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+// One forwarding attempt made for a lead
+const forwardAttemptSchema = new mongoose.Schema(
+  {
+    attemptedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    trigger: {
+      type: String,
+      enum: ["queue", "manual", "bulk"],
+      default: "queue",
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    // Outcome per destination sent to in this attempt
+    results: {
+      type: [
+        {
+          _id: false,
+          destination: String,
+          success: Boolean,
+          deferred: Boolean,
+          blocked: Boolean,
+          error: String,
+          errorCode: String,
+        },
+      ],
+      default: [],
+    },
+    error: String,
+    processingTime: {
+      type: Number, // in milliseconds
+      default: 0,
+    },
+  },
+  { _id: false }
+);
 
 const leadSchema = new mongoose.Schema(
   {
@@ -143,6 +254,9 @@ const leadSchema = new mongoose.Schema(
         message: "Please provide a valid time in HH:MM:SS format",
       },
     },
+    // date and time combined in the source timezone (IST by default);
+    // filters and stats use this instead of date
+    enquiredAt: Date,
     branchpin: {
       type: String,
       trim: true,
@@ -170,13 +284,101 @@ const leadSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "processed", "failed"],
+      enum: [
+        "pending",
+        "processed",
+        "partially_processed",
+        "failed",
+        "deferred",
+        "dead_letter",
+        "duplicate",
+        "imported",
+      ],
       default: "pending",
     },
+    // How the lead reached the service
+    source: {
+      type: String,
+      enum: ["webhook", "import"],
+      default: "webhook",
+    },
+    // Import job that created the lead
+    importJob: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ImportJob",
+    },
     processingTime: {
       type: Number, // in milliseconds
       default: 0,
     },
+    // Per-destination delivery tracking
+    deliveries: {
+      type: [deliverySchema],
+      default: [],
+    },
+    // Forwarding retry tracking
+    attemptCount: {
+      type: Number,
+      default: 0,
+    },
+    forwardAttempts: {
+      type: [forwardAttemptSchema],
+      default: [],
+    },
+    nextRetryAt: {
+      type: Date,
+      default: null,
+    },
+    deadLetteredAt: {
+      type: Date,
+      default: null,
+    },
+    // Soft delete; trashed leads are purged after the retention period
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: String,
+    // Resends of the lead by JustDial
+    duplicateCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSeenAt: Date,
+    revisions: {
+      type: [revisionSchema],
+      default: [],
+    },
+    // Parsed mobile and phone numbers; mobile and phone keep the raw values
+    normalizedPhones: {
+      mobile: normalizedPhoneSchema,
+      phone: normalizedPhoneSchema,
+    },
+    // Normalised contact details matched by the dedup rules
+    contactKeys: {
+      phones: {
+        type: [String],
+        default: [],
+      },
+      email: String,
+    },
+    // Set once the dedup rules have been applied before the first forward
+    dedupCheckedAt: Date,
+    // Primary lead this lead duplicates, and the rule that matched it
+    duplicateOf: {
+      type: String,
+      default: null,
+    },
+    dedup: {
+      rule: String,
+      action: String,
+      matchedOn: [String],
+    },
+    // Duplicates merged into this lead
+    mergedLeads: {
+      type: [String],
+      default: undefined,
+    },
   },
   {
     timestamps: true,
@@ -188,15 +390,50 @@ const leadSchema = new mongoose.Schema(
 // Indexes for better query performance
 // Note: leadid index is automatically created by unique: true in schema
 leadSchema.index({ date: 1 });
+leadSchema.index({ enquiredAt: -1 });
 leadSchema.index({ city: 1 });
 leadSchema.index({ category: 1 });
 leadSchema.index({ status: 1 });
 leadSchema.index({ createdAt: 1 });
 leadSchema.index({ leadtype: 1, city: 1, category: 1 }); // Compound index for common queries
+leadSchema.index({ status: 1, nextRetryAt: 1 }); // Used by the retry scheduler
+leadSchema.index({ deletedAt: 1 }); // Used by the trash listing and purge
+leadSchema.index({ "contactKeys.phones": 1, createdAt: -1 }); // Used by dedup
+leadSchema.index({ "contactKeys.email": 1, createdAt: -1 }); // Used by dedup
+leadSchema.index({ duplicateOf: 1 });
+// Used by the lead search
+leadSchema.index(
+  { name: "text", company: "text", area: "text", email: "text" },
+  {
+    name: "lead_text_search",
+    weights: { name: 5, company: 3, email: 2, area: 1 },
+  }
+);
+leadSchema.index({ city: 1, category: 1, enquiredAt: -1 });
+leadSchema.index({ status: 1, createdAt: -1 });
+leadSchema.index({ pincode: 1 });
 
 // Pre-save middleware to update the updatedAt field
 leadSchema.pre("save", function (next) {
   this.updatedAt = new Date();
+
+  if (this.isNew || this.isModified("date") || this.isModified("time")) {
+    this.enquiredAt = combineDateAndTime(this.date, this.time);
+  }
+
+  if (this.isNew || this.isModified("mobile") || this.isModified("phone")) {
+    this.normalizedPhones = normalizeLeadPhones(this);
+  }
+
+  if (
+    this.isNew ||
+    this.isModified("mobile") ||
+    this.isModified("phone") ||
+    this.isModified("email")
+  ) {
+    this.contactKeys = getContactKeys(this);
+  }
+
   next();
 });
 
@@ -208,11 +445,11 @@ leadSchema.virtual("formattedDate").get(function () {
 // Static method to find leads by date range
 leadSchema.statics.findByDateRange = function (startDate, endDate) {
   return this.find({
-    date: {
-      $gte: new Date(startDate),
-      $lte: new Date(endDate),
+    enquiredAt: {
+      $gte: parseDateBoundary(startDate),
+      $lte: parseDateBoundary(endDate, true),
     },
-  }).sort({ date: -1 });
+  }).sort({ enquiredAt: -1 });
 };
 
 // Static method to find leads by city and category
@@ -236,6 +473,178 @@ leadSchema.methods.markAsFailed = function () {
   return this.save();
 };
 
+const normalizeValue = (value) => {
+  if (value === undefined || value === "") return null;
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+// Instance method to record JustDial resending the lead. Fields that
+// differ from the stored lead are updated and kept as a revision.
+// Returns the changes, or null when the payload is unchanged.
+leadSchema.methods.recordResend = function (leadData) {
+  const changes = {};
+
+  for (const field of LEAD_FIELDS) {
+    // Fields missing from the resend are left as they are
+    if (field === "leadid" || leadData[field] === undefined) continue;
+
+    if (normalizeValue(leadData[field]) !== normalizeValue(this[field])) {
+      changes[field] = { from: this[field] ?? null, to: leadData[field] };
+      this[field] = leadData[field];
+    }
+  }
+
+  this.duplicateCount += 1;
+  this.lastSeenAt = new Date();
+
+  if (Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  this.revisions.push({ changes });
+  if (this.revisions.length > MAX_REVISIONS) {
+    this.revisions.splice(0, this.revisions.length - MAX_REVISIONS);
+  }
+
+  return changes;
+};
+
+// Instance method to forward the lead again from scratch, e.g. after it
+// changed. Routing is resolved again and every destination is re-sent.
+leadSchema.methods.resetForwarding = function () {
+  this.status = "pending";
+  this.deliveries = [];
+  this.attemptCount = 0;
+  this.nextRetryAt = null;
+  this.deadLetteredAt = null;
+};
+
+// Instance method to record the outcome of a forwarding attempt. Delivery
+// state is updated per destination; the lead is processed once every
+// destination has it. Otherwise the next retry is scheduled, or the lead is
+// dead-lettered once the configured maximum number of attempts is reached.
+// Deliveries deferred by an open circuit breaker don't use up attempts.
+leadSchema.methods.recordForwardAttempt = async function (
+  result,
+  { trigger = "queue", processingTime = 0, context } = {}
+) {
+  const policy = getRetryPolicy();
+  const now = new Date();
+  const results = result.deliveries || [];
+  const previousStatus = this.status;
+
+  for (const outcome of results) {
+    let delivery = this.deliveries.find(
+      (d) => d.destination === outcome.destination
+    );
+
+    if (!delivery) {
+      this.deliveries.push({ destination: outcome.destination });
+      delivery = this.deliveries[this.deliveries.length - 1];
+    }
+
+    if (outcome.deferred) {
+      delivery.status = "deferred";
+      delivery.lastError = outcome.error;
+      delivery.lastErrorCode = outcome.errorCode;
+      continue;
+    }
+
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = now;
+    delivery.dndAction = outcome.dndAction || undefined;
+
+    if (outcome.blocked) {
+      delivery.status = "blocked";
+      delivery.lastError = undefined;
+      delivery.lastErrorCode = undefined;
+    } else if (outcome.success) {
+      delivery.status = "delivered";
+      delivery.deliveredAt = now;
+      delivery.lastError = undefined;
+      delivery.lastErrorCode = undefined;
+    } else {
+      delivery.status = "failed";
+      delivery.lastError = outcome.error;
+      delivery.lastErrorCode = outcome.errorCode;
+    }
+  }
+
+  // Whether anything failed for a reason other than an open breaker
+  const failed =
+    results.length === 0
+      ? !result.success
+      : results.some((outcome) => !outcome.success && !outcome.deferred);
+
+  if (failed || results.some((outcome) => !outcome.deferred)) {
+    this.attemptCount += 1;
+  }
+
+  this.processingTime = processingTime;
+  this.forwardAttempts.push({
+    trigger,
+    success: result.success,
+    results: results.map(
+      ({ destination, success, deferred, blocked, error, errorCode }) => ({
+        destination,
+        success,
+        deferred,
+        blocked,
+        error,
+        errorCode,
+      })
+    ),
+    error: result.error,
+    processingTime,
+  });
+
+  const delivered = this.deliveries.filter(
+    (d) => d.status === "delivered"
+  ).length;
+  // Deliveries blocked by a DND policy are complete, not pending
+  const blocked = this.deliveries.filter((d) => d.status === "blocked").length;
+
+  if (result.success && delivered + blocked === this.deliveries.length) {
+    this.status = "processed";
+    this.nextRetryAt = null;
+  } else if (!failed) {
+    this.status = "deferred";
+    this.nextRetryAt = result.retryAt;
+  } else if (this.attemptCount >= policy.maxAttempts) {
+    this.status = "dead_letter";
+    this.nextRetryAt = null;
+    this.deadLetteredAt = new Date();
+  } else {
+    this.status = delivered > 0 ? "partially_processed" : "failed";
+    this.nextRetryAt = new Date(
+      Date.now() + computeRetryDelay(this.attemptCount, policy)
+    );
+  }
+
+  await this.save();
+
+  await recordAuditEvent({
+    action: "lead.forward_attempted",
+    entityType: "lead",
+    entityId: this.leadid,
+    context,
+    oldValue: { status: previousStatus },
+    newValue: {
+      status: this.status,
+      attemptCount: this.attemptCount,
+      nextRetryAt: this.nextRetryAt,
+    },
+    metadata: {
+      trigger,
+      success: result.success,
+      error: result.error,
+    },
+  });
+
+  return this;
+};
+
 const Lead = mongoose.model("Lead", leadSchema);
 
 export default Lead;
@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+
+const pincodeRangeSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      required: [true, "Pincode range start is required"],
+      match: [/^[0-9]+$/, "Pincode range must contain only numbers"],
+    },
+    to: {
+      type: String,
+      required: [true, "Pincode range end is required"],
+      match: [/^[0-9]+$/, "Pincode range must contain only numbers"],
+    },
+  },
+  { _id: false }
+);
+
+const routingRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      unique: true,
+      trim: true,
+      maxlength: [255, "Rule name cannot exceed 255 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // Rules are evaluated from the highest priority down; first match wins
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    // Fallback rules apply only when no other rule matches
+    isFallback: {
+      type: Boolean,
+      default: false,
+    },
+    // Every condition that is set must match for the rule to apply
+    conditions: {
+      category: {
+        value: {
+          type: String,
+          trim: true,
+          maxlength: [255, "Category cannot exceed 255 characters"],
+        },
+        matchType: {
+          type: String,
+          enum: {
+            values: ["exact", "case_insensitive", "regex"],
+            message:
+              "Category match type must be exact, case_insensitive or regex",
+          },
+          default: "case_insensitive",
+        },
+      },
+      cities: {
+        type: [String],
+        default: undefined,
+      },
+      leadtypes: {
+        type: [String],
+        enum: {
+          values: ["company", "category"],
+          message: 'Lead type must be either "company" or "category"',
+        },
+        default: undefined,
+      },
+      pincodeRanges: {
+        type: [pincodeRangeSchema],
+        default: undefined,
+      },
+      parentids: {
+        type: [String],
+        default: undefined,
+      },
+    },
+    // Every destination the lead is forwarded to
+    destinations: {
+      type: [{ type: String, trim: true }],
+      validate: {
+        validator: function (v) {
+          return Array.isArray(v) && v.length > 0;
+        },
+        message: "At least one destination is required",
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+routingRuleSchema.index({ enabled: 1, priority: -1 });
+
+// Reject category patterns that cannot be compiled
+routingRuleSchema.pre("validate", function (next) {
+  const category = this.conditions?.category;
+
+  if (category?.value && category.matchType === "regex") {
+    try {
+      new RegExp(category.value);
+    } catch (error) {
+      this.invalidate(
+        "conditions.category.value",
+        `Invalid category pattern: ${error.message}`
+      );
+    }
+  }
+
+  next();
+});
+
+const RoutingRule = mongoose.model("RoutingRule", routingRuleSchema);
+
+export default RoutingRule;
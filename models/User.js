@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+
+// Roles in increasing order of privilege; each role can do everything the
+// roles before it can
+export const USER_ROLES = ["viewer", "operator", "admin"];
+
+const userSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: [true, "Username is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: [50, "Username cannot exceed 50 characters"],
+    },
+    password: {
+      type: String,
+      required: [true, "Password is required"],
+      minlength: [8, "Password must be at least 8 characters"],
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: {
+        values: USER_ROLES,
+        message: "Role must be viewer, operator or admin",
+      },
+      default: "viewer",
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    // Incremented to revoke every refresh token issued so far
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    lastLoginAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.password;
+        return ret;
+      },
+    },
+  }
+);
+
+// Hash the password whenever it is set. Changing it also revokes the
+// user's refresh tokens.
+userSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) return next();
+
+  this.password = await bcrypt.hash(this.password, 12);
+
+  if (!this.isNew) {
+    this.tokenVersion += 1;
+  }
+
+  next();
+});
+
+// Instance method to check a password against the stored hash
+userSchema.methods.comparePassword = function (candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+// Instance method to check whether the user has at least the given role
+userSchema.methods.hasRole = function (role) {
+  return USER_ROLES.indexOf(this.role) >= USER_ROLES.indexOf(role);
+};
+
+const User = mongoose.model("User", userSchema);
+
+export default User;
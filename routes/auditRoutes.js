@@ -0,0 +1,10 @@
+import express from "express";
+import { authenticate, authorize } from "../middleware/auth.js";
+import { getAuditEvents } from "../controllers/auditController.js";
+
+const router = express.Router();
+
+// Audit trail of lead changes and admin actions
+router.get("/", authenticate, authorize("admin"), getAuditEvents);
+
+export default router;
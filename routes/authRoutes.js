@@ -0,0 +1,34 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import { validateLogin } from "../middleware/validation.js";
+import { authenticate } from "../middleware/auth.js";
+import {
+  login,
+  refresh,
+  getCurrentUser,
+} from "../controllers/authController.js";
+
+const router = express.Router();
+
+// Logins get a much stricter limit than the rest of the API to slow down
+// password guessing. Clients are keyed on req.ip, which only follows
+// X-Forwarded-For through trusted proxies, and successful logins don't
+// count against the limit.
+const loginLimiter = rateLimit({
+  windowMs: parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX_ATTEMPTS) || 10,
+  message: {
+    success: false,
+    message: "Too many login attempts, please try again later",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+});
+
+// Token issuing for the management API
+router.post("/login", loginLimiter, validateLogin, login);
+router.post("/refresh", refresh);
+router.get("/me", authenticate, getCurrentUser);
+
+export default router;
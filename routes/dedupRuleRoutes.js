@@ -0,0 +1,23 @@
+import express from "express";
+import { validateDedupRule } from "../middleware/validation.js";
+import { authenticate, authorize } from "../middleware/auth.js";
+import {
+  getDedupRules,
+  getDedupRuleById,
+  createDedupRule,
+  updateDedupRule,
+  deleteDedupRule,
+} from "../controllers/dedupRuleController.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Dedup rule management - changes apply to new leads without a restart
+router.get("/", authorize("viewer"), getDedupRules);
+router.post("/", authorize("admin"), validateDedupRule, createDedupRule);
+router.get("/:id", authorize("viewer"), getDedupRuleById);
+router.patch("/:id", authorize("admin"), validateDedupRule, updateDedupRule);
+router.delete("/:id", authorize("admin"), deleteDedupRule);
+
+export default router;
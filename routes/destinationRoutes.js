@@ -0,0 +1,32 @@
+import express from "express";
+import { validateDestination } from "../middleware/validation.js";
+import { authenticate, authorize } from "../middleware/auth.js";
+import {
+  getDestinations,
+  getDestinationByName,
+  createDestination,
+  updateDestination,
+  deleteDestination,
+  getCircuitBreakers,
+  resetCircuitBreaker,
+} from "../controllers/destinationController.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Destination management - changes apply to new forwards without a restart
+router.get("/", authorize("viewer"), getDestinations);
+router.post("/", authorize("admin"), validateDestination, createDestination);
+router.get("/breakers", authorize("viewer"), getCircuitBreakers);
+router.post("/:name/breaker/reset", authorize("operator"), resetCircuitBreaker);
+router.get("/:name", authorize("viewer"), getDestinationByName);
+router.patch(
+  "/:name",
+  authorize("admin"),
+  validateDestination,
+  updateDestination
+);
+router.delete("/:name", authorize("admin"), deleteDestination);
+
+export default router;
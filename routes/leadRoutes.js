@@ -1,30 +1,74 @@
 import express from "express";
 import { validateLead, sanitizeLead } from "../middleware/validation.js";
+import { webhookAuth } from "../middleware/webhookAuth.js";
+import { authenticate, authorize } from "../middleware/auth.js";
 import {
   createLead,
   getLeads,
+  searchLeads,
+  exportLeads,
   getLeadById,
   updateLeadStatus,
   getLeadStats,
+  getLeadTimeseries,
   deleteLead,
   retryLeadForwarding,
   bulkForwardLeads,
+  getDeadLetterLeads,
+  requeueDeadLetterLeads,
+  getTrashedLeads,
+  restoreLead,
+  getLeadDuplicates,
 } from "../controllers/leadController.js";
+import { getLeadHistory } from "../controllers/auditController.js";
+import { getLeadAttempts } from "../controllers/deliveryAttemptController.js";
+import {
+  importLeads,
+  getImportJobs,
+  getImportJobById,
+} from "../controllers/importController.js";
+import {
+  getDestinationReport,
+  getLeadFunnel,
+} from "../controllers/reportController.js";
+import { uploadImportFile } from "../middleware/upload.js";
 
 const router = express.Router();
 
 // Main lead processing endpoint - supports both GET and POST
 // This is the primary endpoint for JustDial to send leads
-router.post("/", validateLead, sanitizeLead, createLead);
-router.get("/", validateLead, sanitizeLead, createLead);
+router.post("/", webhookAuth, validateLead, sanitizeLead, createLead);
+router.get("/", webhookAuth, validateLead, sanitizeLead, createLead);
+
+// Additional endpoints for lead management and analytics. Everything
+// below requires a logged in user.
+router.use(authenticate);
 
-// Additional endpoints for lead management and analytics
-router.get("/list", getLeads);
-router.get("/stats", getLeadStats);
-router.post("/bulk-forward", bulkForwardLeads);
-router.get("/:leadid", getLeadById);
-router.patch("/:leadid/status", updateLeadStatus);
-router.post("/:leadid/retry", retryLeadForwarding);
-router.delete("/:leadid", deleteLead);
+router.get("/list", authorize("viewer"), getLeads);
+router.get("/search", authorize("viewer"), searchLeads);
+router.get("/export", authorize("viewer"), exportLeads);
+router.get("/stats", authorize("viewer"), getLeadStats);
+router.get("/stats/timeseries", authorize("viewer"), getLeadTimeseries);
+router.get("/stats/destinations", authorize("viewer"), getDestinationReport);
+router.get("/stats/funnel", authorize("viewer"), getLeadFunnel);
+router.post("/bulk-forward", authorize("operator"), bulkForwardLeads);
+router.get("/dead-letter", authorize("viewer"), getDeadLetterLeads);
+router.post(
+  "/dead-letter/requeue",
+  authorize("operator"),
+  requeueDeadLetterLeads
+);
+router.get("/trash", authorize("admin"), getTrashedLeads);
+router.post("/import", authorize("operator"), uploadImportFile, importLeads);
+router.get("/imports", authorize("viewer"), getImportJobs);
+router.get("/imports/:id", authorize("viewer"), getImportJobById);
+router.get("/:leadid", authorize("viewer"), getLeadById);
+router.get("/:leadid/history", authorize("viewer"), getLeadHistory);
+router.get("/:leadid/attempts", authorize("viewer"), getLeadAttempts);
+router.get("/:leadid/duplicates", authorize("viewer"), getLeadDuplicates);
+router.patch("/:leadid/status", authorize("operator"), updateLeadStatus);
+router.post("/:leadid/retry", authorize("operator"), retryLeadForwarding);
+router.post("/:leadid/restore", authorize("admin"), restoreLead);
+router.delete("/:leadid", authorize("admin"), deleteLead);
 
 export default router;
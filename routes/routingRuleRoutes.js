@@ -0,0 +1,30 @@
+import express from "express";
+import { validateRoutingRule } from "../middleware/validation.js";
+import { authenticate, authorize } from "../middleware/auth.js";
+import {
+  getRoutingRules,
+  getRoutingRuleById,
+  createRoutingRule,
+  updateRoutingRule,
+  deleteRoutingRule,
+  resolveRoutingRule,
+} from "../controllers/routingRuleController.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Routing rule management - changes apply to new forwards without a restart
+router.get("/", authorize("viewer"), getRoutingRules);
+router.post("/", authorize("admin"), validateRoutingRule, createRoutingRule);
+router.post("/resolve", authorize("viewer"), resolveRoutingRule);
+router.get("/:id", authorize("viewer"), getRoutingRuleById);
+router.patch(
+  "/:id",
+  authorize("admin"),
+  validateRoutingRule,
+  updateRoutingRule
+);
+router.delete("/:id", authorize("admin"), deleteRoutingRule);
+
+export default router;
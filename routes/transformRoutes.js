@@ -0,0 +1,17 @@
+import express from "express";
+import { validateTransformPreview } from "../middleware/validation.js";
+import { authenticate, authorize } from "../middleware/auth.js";
+import { previewTransform } from "../controllers/transformController.js";
+
+const router = express.Router();
+
+// Show the payload a lead would be forwarded with
+router.post(
+  "/preview",
+  authenticate,
+  authorize("viewer"),
+  validateTransformPreview,
+  previewTransform
+);
+
+export default router;
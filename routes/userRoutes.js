@@ -0,0 +1,19 @@
+import express from "express";
+import { validateUser } from "../middleware/validation.js";
+import { authenticate, authorize } from "../middleware/auth.js";
+import {
+  getUsers,
+  createUser,
+  updateUser,
+} from "../controllers/userController.js";
+
+const router = express.Router();
+
+// User management is limited to admins
+router.use(authenticate, authorize("admin"));
+
+router.get("/", getUsers);
+router.post("/", validateUser, createUser);
+router.patch("/:id", validateUser, updateUser);
+
+export default router;
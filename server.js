@@ -5,11 +5,35 @@ import compression from "compression";
 import morgan from "morgan";
 import rateLimit from "express-rate-limit";
 import dotenv from "dotenv";
-import { connectDB } from "./config/database.js";
+import { connectDB, disconnectDB } from "./config/database.js";
+import { getTrustProxySetting } from "./config/proxy.js";
 import { logger } from "./utils/logger.js";
 import leadRoutes from "./routes/leadRoutes.js";
+import routingRuleRoutes from "./routes/routingRuleRoutes.js";
+import dedupRuleRoutes from "./routes/dedupRuleRoutes.js";
+import destinationRoutes from "./routes/destinationRoutes.js";
+import transformRoutes from "./routes/transformRoutes.js";
+import authRoutes from "./routes/authRoutes.js";
+import userRoutes from "./routes/userRoutes.js";
+import auditRoutes from "./routes/auditRoutes.js";
 import { errorHandler } from "./middleware/errorHandler.js";
 import { notFound } from "./middleware/notFound.js";
+import { getMetrics } from "./controllers/metricsController.js";
+import {
+  captureRawBody,
+  getWebhookAuthStats,
+} from "./middleware/webhookAuth.js";
+import { startForwardWorker, stopForwardWorker } from "./utils/forwardQueue.js";
+import { getCircuitStates } from "./utils/circuitBreaker.js";
+import {
+  startRetryScheduler,
+  stopRetryScheduler,
+} from "./utils/retryScheduler.js";
+import { startTrashPurger, stopTrashPurger } from "./utils/trashPurger.js";
+import { ensureAdminUser } from "./utils/adminBootstrap.js";
+import { checkJwtSecrets } from "./utils/authTokens.js";
+import { backfillEnquiredAt } from "./utils/enquiredAtBackfill.js";
+import { failInterruptedImports } from "./utils/leadImporter.js";
 
 // Load environment variables
 dotenv.config();
@@ -17,11 +41,8 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Trust proxy configuration for proper IP handling
-app.set(
-  "trust proxy",
-  process.env.TRUST_PROXY === "true" || process.env.NODE_ENV === "production"
-);
+// Trust only the configured proxies when resolving client IPs
+app.set("trust proxy", getTrustProxySetting());
 
 // Security middleware
 app.use(
@@ -81,8 +102,8 @@ const limiter = rateLimit({
       return "unknown";
     }
   },
-  // Skip rate limiting for health checks
-  skip: (req) => req.path === "/health",
+  // Skip rate limiting for health checks and metrics scrapes
+  skip: (req) => ["/health", "/metrics"].includes(req.path),
 });
 app.use(limiter);
 
@@ -96,9 +117,11 @@ app.use(
   })
 );
 
-// Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
-app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+// Body parsing middleware - the raw body is kept for webhook signatures
+app.use(express.json({ limit: "10mb", verify: captureRawBody }));
+app.use(
+  express.urlencoded({ extended: true, limit: "10mb", verify: captureRawBody })
+);
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -107,11 +130,23 @@ app.get("/health", (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     environment: process.env.NODE_ENV || "development",
+    circuitBreakers: getCircuitStates(),
+    webhookAuth: getWebhookAuthStats(),
   });
 });
 
+// Prometheus metrics endpoint
+app.get("/metrics", getMetrics);
+
 // API routes
+app.use("/api/auth", authRoutes);
+app.use("/api/users", userRoutes);
 app.use("/api/leads", leadRoutes);
+app.use("/api/routes", routingRuleRoutes);
+app.use("/api/dedup-rules", dedupRuleRoutes);
+app.use("/api/destinations", destinationRoutes);
+app.use("/api/transform", transformRoutes);
+app.use("/api/audit", auditRoutes);
 
 // 404 handler
 app.use(notFound);
@@ -119,29 +154,56 @@ app.use(notFound);
 // Error handling middleware
 app.use(errorHandler);
 
-// Graceful shutdown
-process.on("SIGTERM", () => {
-  logger.info("SIGTERM received, shutting down gracefully");
-  process.exit(0);
-});
+// Graceful shutdown: let in-flight forwards finish before closing MongoDB
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, shutting down gracefully`);
+
+  try {
+    stopRetryScheduler();
+    stopTrashPurger();
+    await stopForwardWorker();
+    await disconnectDB();
+  } catch (error) {
+    logger.error("Error during shutdown:", error);
+  }
 
-process.on("SIGINT", () => {
-  logger.info("SIGINT received, shutting down gracefully");
   process.exit(0);
-});
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
 
 // Start server
 const startServer = async () => {
   try {
+    checkJwtSecrets();
+
     // Connect to MongoDB
     await connectDB();
+    await ensureAdminUser();
+    await failInterruptedImports();
+
+    // Start draining the lead forwarding queue, retrying failed leads and
+    // purging expired leads from the trash
+    startForwardWorker();
+    startRetryScheduler();
+    startTrashPurger();
+
+    // Older leads are backfilled in the background so startup isn't held up
+    backfillEnquiredAt().catch((error) => {
+      logger.error("Enquiry timestamp backfill failed", {
+        error: error.message,
+      });
+    });
 
     app.listen(PORT, () => {
       logger.info(
         `🚀 Server running on port ${PORT} in ${process.env.NODE_ENV || "development"} mode`
       );
       logger.info(`📊 Health check: http://localhost:${PORT}/health`);
+      logger.info(`📈 Metrics: http://localhost:${PORT}/metrics`);
       logger.info(`📝 Lead API: http://localhost:${PORT}/api/leads`);
+      logger.info(`🧭 Routing API: http://localhost:${PORT}/api/routes`);
     });
   } catch (error) {
     logger.error("Failed to start server:", error);
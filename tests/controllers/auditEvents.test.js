@@ -0,0 +1,109 @@
+import { jest } from "@jest/globals";
+import AuditEvent from "../../models/AuditEvent.js";
+import {
+  getAuditEvents,
+  getLeadHistory,
+} from "../../controllers/auditController.js";
+import { mockQuery } from "../helpers/mockQuery.js";
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe("getAuditEvents", () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.LEAD_SOURCE_TIMEZONE;
+    jest.spyOn(AuditEvent, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(AuditEvent, "countDocuments").mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it("filters by the given values", async () => {
+    const res = mockResponse();
+    await getAuditEvents(
+      {
+        query: {
+          action: "lead.deleted",
+          entityType: "lead",
+          entityId: "L1",
+          actor: "admin",
+          startDate: "2024-03-01",
+          endDate: "2024-03-31",
+        },
+      },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(AuditEvent.countDocuments).toHaveBeenCalledWith({
+      action: "lead.deleted",
+      entityType: "lead",
+      entityId: "L1",
+      "actor.username": "admin",
+      createdAt: {
+        $gte: new Date("2024-02-29T18:30:00.000Z"),
+        $lte: new Date("2024-03-31T18:29:59.999Z"),
+      },
+    });
+  });
+
+  it.each([
+    [{ actor: { $ne: "x" } }, "Invalid actor"],
+    [{ entityId: ["L1", "L2"] }, "Invalid entityId"],
+    [
+      { action: { $regex: "." }, entityType: { $ne: "" } },
+      "Invalid action, entityType",
+    ],
+    [{ startDate: "not-a-date" }, "Invalid date range"],
+    [{ endDate: "2024-02-30" }, "Invalid date range"],
+  ])("rejects %o with 400", async (query, message) => {
+    const res = mockResponse();
+    await getAuditEvents({ query }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].message).toBe(message);
+    expect(AuditEvent.find).not.toHaveBeenCalled();
+  });
+});
+
+describe("getLeadHistory", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("lists a lead's events oldest first", async () => {
+    const events = [{ action: "lead.received" }, { action: "lead.forwarded" }];
+    const query = mockQuery(events);
+    jest.spyOn(query, "sort");
+    jest.spyOn(AuditEvent, "find").mockReturnValue(query);
+
+    const res = mockResponse();
+    await getLeadHistory({ params: { leadid: "L1" } }, res);
+
+    expect(AuditEvent.find).toHaveBeenCalledWith({
+      entityType: "lead",
+      entityId: "L1",
+    });
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: 1 });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data).toEqual(events);
+  });
+
+  it("answers 404 for a lead without history", async () => {
+    jest.spyOn(AuditEvent, "find").mockReturnValue(mockQuery([]));
+
+    const res = mockResponse();
+    await getLeadHistory({ params: { leadid: "L1" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,92 @@
+import { jest } from "@jest/globals";
+import Destination from "../../models/Destination.js";
+import {
+  getDestinationByName,
+  getDestinations,
+} from "../../controllers/destinationController.js";
+import { invalidateDestinations } from "../../utils/destinationRegistry.js";
+import { mockQuery } from "../helpers/mockQuery.js";
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const userWithRole = (role) => ({ hasRole: (required) => required === role });
+
+describe("destination responses", () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.MARKETING_API_URL =
+      "https://crm.example.com/hooks/secret-token?key=abc";
+    invalidateDestinations();
+    jest.spyOn(Destination, "find").mockReturnValue(
+      mockQuery([
+        {
+          name: "partner",
+          url: "https://partner.example.com/leads?token=xyz",
+          enabled: true,
+          headers: { "X-Partner": "acme" },
+          auth: { type: "bearer", tokenEnv: "DEST_SECRET_PARTNER" },
+        },
+      ])
+    );
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it("hides URLs and auth settings from viewers", async () => {
+    const res = mockResponse();
+    await getDestinations({ user: userWithRole("viewer") }, res);
+
+    const destinations = res.json.mock.calls[0][0].data;
+    expect(destinations).toContainEqual(
+      expect.objectContaining({
+        name: "MARKETING_API",
+        url: "https://crm.example.com/[redacted]",
+      })
+    );
+    expect(destinations).toContainEqual(
+      expect.objectContaining({
+        name: "partner",
+        url: "https://partner.example.com/[redacted]",
+        headers: { "X-Partner": "[redacted]" },
+        auth: { type: "bearer" },
+      })
+    );
+    expect(JSON.stringify(destinations)).not.toMatch(
+      /secret-token|xyz|DEST_SECRET_/
+    );
+  });
+
+  it("hides the URL of a single destination from viewers", async () => {
+    const res = mockResponse();
+    await getDestinationByName(
+      { params: { name: "MARKETING_API" }, user: userWithRole("viewer") },
+      res
+    );
+
+    expect(res.json.mock.calls[0][0].data.url).toBe(
+      "https://crm.example.com/[redacted]"
+    );
+  });
+
+  it("shows admins the full destination", async () => {
+    const res = mockResponse();
+    await getDestinationByName(
+      { params: { name: "partner" }, user: userWithRole("admin") },
+      res
+    );
+
+    expect(res.json.mock.calls[0][0].data).toMatchObject({
+      url: "https://partner.example.com/leads?token=xyz",
+      auth: { type: "bearer", tokenEnv: "DEST_SECRET_PARTNER" },
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import { jest } from "@jest/globals";
+import ImportJob from "../../models/ImportJob.js";
+import { getImportJobs } from "../../controllers/importController.js";
+import { mockQuery } from "../helpers/mockQuery.js";
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe("getImportJobs", () => {
+  beforeEach(() => {
+    jest.spyOn(ImportJob, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(ImportJob, "countDocuments").mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("filters by status", async () => {
+    const res = mockResponse();
+    await getImportJobs({ query: { status: "failed" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(ImportJob.countDocuments).toHaveBeenCalledWith({ status: "failed" });
+  });
+
+  it.each([{ $ne: "failed" }, ["failed", "running"], "done"])(
+    "rejects the status %p",
+    async (status) => {
+      const res = mockResponse();
+      await getImportJobs({ query: { status } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toBe(
+        "status must be one of: queued, running, completed, failed"
+      );
+      expect(ImportJob.find).not.toHaveBeenCalled();
+    }
+  );
+});
@@ -0,0 +1,230 @@
+import { jest } from "@jest/globals";
+import Lead from "../../models/Lead.js";
+import ForwardJob from "../../models/ForwardJob.js";
+import AuditEvent from "../../models/AuditEvent.js";
+import {
+  bulkForwardLeads,
+  requeueDeadLetterLeads,
+  retryLeadForwarding,
+} from "../../controllers/leadController.js";
+import { mockQuery } from "../helpers/mockQuery.js";
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const mockRequest = (overrides = {}) => ({
+  params: {},
+  body: {},
+  user: { _id: "u1", username: "operator", role: "operator" },
+  ip: "127.0.0.1",
+  get: () => "jest",
+  ...overrides,
+});
+
+// Leads the claim update finds in one of the statuses it may move from
+const claimLeads = (leads) =>
+  jest.spyOn(Lead, "updateOne").mockImplementation(async (filter) => {
+    const lead = leads.find((candidate) => candidate._id === filter._id);
+    return {
+      modifiedCount: lead && filter.status.$in.includes(lead.status) ? 1 : 0,
+    };
+  });
+
+describe("forwarding on request", () => {
+  let jobUpdates;
+
+  beforeEach(() => {
+    jobUpdates = jest
+      .spyOn(ForwardJob, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(AuditEvent, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("retryLeadForwarding", () => {
+    it("queues a failed lead for the forward worker", async () => {
+      const lead = { _id: "a", leadid: "L1", status: "failed" };
+      jest.spyOn(Lead, "findOne").mockReturnValue(mockQuery(lead));
+      claimLeads([lead]);
+
+      const res = mockResponse();
+      await retryLeadForwarding(mockRequest({ params: { leadid: "L1" } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(202);
+      expect(res.json.mock.calls[0][0].data).toEqual({
+        leadid: "L1",
+        status: "pending",
+      });
+      expect(jobUpdates).toHaveBeenCalledWith(
+        expect.objectContaining({ leadid: "L1" }),
+        expect.objectContaining({
+          $set: expect.objectContaining({
+            status: "queued",
+            trigger: "manual",
+          }),
+        }),
+        { upsert: true }
+      );
+    });
+
+    it("rejects leads that aren't waiting for a retry", async () => {
+      jest
+        .spyOn(Lead, "findOne")
+        .mockReturnValue(
+          mockQuery({ _id: "a", leadid: "L1", status: "processed" })
+        );
+
+      const res = mockResponse();
+      await retryLeadForwarding(mockRequest({ params: { leadid: "L1" } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(jobUpdates).not.toHaveBeenCalled();
+    });
+
+    it("doesn't queue a lead the retry scheduler claimed first", async () => {
+      jest
+        .spyOn(Lead, "findOne")
+        .mockReturnValue(
+          mockQuery({ _id: "a", leadid: "L1", status: "failed" })
+        );
+      jest.spyOn(Lead, "updateOne").mockResolvedValue({ modifiedCount: 0 });
+
+      const res = mockResponse();
+      await retryLeadForwarding(mockRequest({ params: { leadid: "L1" } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(jobUpdates).not.toHaveBeenCalled();
+    });
+
+    it("returns 404 for unknown leads", async () => {
+      jest.spyOn(Lead, "findOne").mockReturnValue(mockQuery(null));
+
+      const res = mockResponse();
+      await retryLeadForwarding(mockRequest({ params: { leadid: "L9" } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe("bulkForwardLeads", () => {
+    it("queues forwardable leads and skips the rest", async () => {
+      const leads = [
+        { _id: "a", leadid: "L1", status: "failed" },
+        { _id: "b", leadid: "L2", status: "imported" },
+        { _id: "c", leadid: "L3", status: "pending" },
+        { _id: "d", leadid: "L4", status: "processed" },
+        { _id: "e", leadid: "L5", status: "dead_letter" },
+      ];
+      jest.spyOn(Lead, "find").mockReturnValue(mockQuery(leads));
+      claimLeads(leads);
+
+      const res = mockResponse();
+      await bulkForwardLeads(
+        mockRequest({
+          body: { leadIds: ["L1", "L2", "L3", "L4", "L5", "L6"] },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(202);
+
+      const body = res.json.mock.calls[0][0];
+      expect(body.summary).toEqual({
+        total: 5,
+        queued: 3,
+        skipped: 2,
+        notFound: 1,
+      });
+      expect(
+        body.details
+          .filter((detail) => detail.status === "queued")
+          .map((detail) => detail.leadid)
+      ).toEqual(["L1", "L2", "L3"]);
+
+      const queuedLeads = jobUpdates.mock.calls.map(
+        ([filter]) => filter.leadid
+      );
+      expect(queuedLeads).toEqual(["L1", "L2", "L3"]);
+      for (const [, update] of jobUpdates.mock.calls) {
+        expect(update.$set.trigger).toBe("bulk");
+      }
+    });
+
+    it("rejects more than 100 leads", async () => {
+      const res = mockResponse();
+      await bulkForwardLeads(
+        mockRequest({
+          body: { leadIds: Array.from({ length: 101 }, (_, i) => `L${i}`) },
+        }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe("requeueDeadLetterLeads", () => {
+    it.each([[[{ $ne: null }]], [["L1", ["L2"]]], [[""]]])(
+      "rejects leadIds %j",
+      async (leadIds) => {
+        jest.spyOn(Lead, "find");
+
+        const res = mockResponse();
+        await requeueDeadLetterLeads(mockRequest({ body: { leadIds } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(Lead.find).not.toHaveBeenCalled();
+      }
+    );
+
+    it("matches lead IDs as strings", async () => {
+      jest.spyOn(Lead, "find").mockReturnValue(mockQuery([]));
+
+      await requeueDeadLetterLeads(
+        mockRequest({ body: { leadIds: ["L1", 12345] } }),
+        mockResponse()
+      );
+
+      expect(Lead.find).toHaveBeenCalledWith({
+        status: "dead_letter",
+        deletedAt: null,
+        leadid: { $in: ["L1", "12345"] },
+      });
+    });
+
+    it("reports leads that could not be requeued and carries on", async () => {
+      jest.spyOn(Lead, "find").mockReturnValue(
+        mockQuery([
+          { _id: "a", leadid: "L1" },
+          { _id: "b", leadid: "L2" },
+          { _id: "c", leadid: "L3" },
+        ])
+      );
+      jest.spyOn(Lead, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+      jobUpdates.mockImplementation(async (filter) => {
+        if (filter.leadid === "L2") throw new Error("connection reset");
+        return { modifiedCount: 1 };
+      });
+
+      const res = mockResponse();
+      await requeueDeadLetterLeads(
+        mockRequest({ body: { leadIds: ["L1", "L2", "L3"] } }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].data).toEqual({
+        requeued: 2,
+        leadIds: ["L1", "L3"],
+        failed: [{ leadid: "L2", error: "connection reset" }],
+      });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import { jest } from "@jest/globals";
+import Lead from "../../models/Lead.js";
+import { exportLeads, getLeads } from "../../controllers/leadController.js";
+import { mockQuery } from "../helpers/mockQuery.js";
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe("lead list filters", () => {
+  beforeEach(() => {
+    jest.spyOn(Lead, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(Lead, "countDocuments").mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("filters by the given values", async () => {
+    const res = mockResponse();
+    await getLeads(
+      {
+        query: {
+          status: "failed",
+          leadtype: "company",
+          startDate: "2024-03-01",
+          endDate: "2024-03-31",
+        },
+      },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Lead.countDocuments).toHaveBeenCalledWith({
+      deletedAt: null,
+      status: "failed",
+      leadtype: "company",
+      enquiredAt: {
+        $gte: new Date("2024-02-29T18:30:00.000Z"),
+        $lte: new Date("2024-03-31T18:29:59.999Z"),
+      },
+    });
+  });
+
+  it.each([
+    [{ startDate: "2024-13-45" }, "Invalid date range"],
+    [{ endDate: "not-a-date" }, "Invalid date range"],
+    [{ status: { $ne: "x" } }, "Invalid status"],
+    [{ leadtype: ["company", "category"] }, "Invalid leadtype"],
+    [{ startDate: { $gt: "" } }, "Invalid startDate"],
+  ])("rejects %o with 400", async (query, message) => {
+    const res = mockResponse();
+    await getLeads({ query }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].message).toBe(message);
+    expect(Lead.find).not.toHaveBeenCalled();
+  });
+
+  it("reports page 1 when no page or cursor is given", async () => {
+    const res = mockResponse();
+    await getLeads({ query: {} }, res);
+
+    expect(res.json.mock.calls[0][0].pagination).toMatchObject({
+      page: 1,
+      limit: 50,
+      total: 0,
+      pages: 0,
+      hasMore: false,
+    });
+  });
+
+  it("leaves the page out when paging by cursor", async () => {
+    const cursor = Buffer.from(
+      JSON.stringify({
+        s: "createdAt",
+        d: -1,
+        v: "2024-03-15T10:00:00.000Z",
+        t: "date",
+        id: "65f1a2b3c4d5e6f708192a3b",
+      })
+    ).toString("base64url");
+
+    const res = mockResponse();
+    await getLeads({ query: { cursor } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].pagination).not.toHaveProperty("page");
+  });
+
+  it("rejects cursors carrying an operator", async () => {
+    const cursor = Buffer.from(
+      JSON.stringify({
+        s: "createdAt",
+        d: -1,
+        v: { $ne: null },
+        id: "65f1a2b3c4d5e6f708192a3b",
+      })
+    ).toString("base64url");
+
+    const res = mockResponse();
+    await getLeads({ query: { cursor } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].message).toBe("Invalid cursor");
+    expect(Lead.find).not.toHaveBeenCalled();
+  });
+
+  it("rejects invalid filters on exports too", async () => {
+    const res = mockResponse();
+    await exportLeads({ query: { status: { $ne: "x" } } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Lead.find).not.toHaveBeenCalled();
+  });
+});
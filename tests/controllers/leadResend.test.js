@@ -0,0 +1,68 @@
+import { jest } from "@jest/globals";
+import Lead from "../../models/Lead.js";
+import AuditEvent from "../../models/AuditEvent.js";
+import { createLead } from "../../controllers/leadController.js";
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+};
+
+describe("createLead with a resent lead", () => {
+  let lead;
+
+  beforeEach(() => {
+    lead = new Lead({
+      leadid: "L1",
+      name: "Asha Rao",
+      mobile: "9876543210",
+      email: "asha@example.com",
+    });
+    jest.spyOn(lead, "save").mockResolvedValue(lead);
+    jest.spyOn(Lead, "exists").mockResolvedValue({ _id: lead._id });
+    jest.spyOn(Lead, "findOne").mockResolvedValue(lead);
+    jest.spyOn(AuditEvent, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("audits which fields changed without their values", async () => {
+    const res = mockResponse();
+    await createLead(
+      {
+        validatedLead: {
+          leadid: "L1",
+          name: "Asha R",
+          mobile: "9123456789",
+          email: "asha@example.com",
+        },
+        get: () => undefined,
+      },
+      res
+    );
+
+    expect(res.send).toHaveBeenCalledWith("RECEIVED");
+    expect(AuditEvent.create).toHaveBeenCalledTimes(1);
+
+    const event = AuditEvent.create.mock.calls[0][0];
+    expect(event).toMatchObject({
+      action: "lead.revised",
+      entityId: "L1",
+      metadata: { changedFields: ["name", "mobile"], reforward: false },
+    });
+    expect(event.oldValue).toBeUndefined();
+    expect(event.newValue).toBeUndefined();
+    expect(JSON.stringify(event)).not.toMatch(/Asha|98765|91234/);
+
+    // The values are still kept on the lead itself
+    expect(lead.revisions[0].changes.mobile).toMatchObject({
+      from: "9876543210",
+      to: "9123456789",
+    });
+  });
+});
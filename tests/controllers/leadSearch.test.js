@@ -0,0 +1,41 @@
+import { jest } from "@jest/globals";
+import Lead from "../../models/Lead.js";
+import { searchLeads } from "../../controllers/leadController.js";
+import { mockQuery } from "../helpers/mockQuery.js";
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe("searchLeads by phone", () => {
+  beforeEach(() => {
+    jest.spyOn(Lead, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(Lead, "countDocuments").mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("searches on the E.164 form of the number", async () => {
+    const res = mockResponse();
+    await searchLeads({ query: { phone: "098765 43210" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Lead.countDocuments).toHaveBeenCalledWith({
+      deletedAt: null,
+      "contactKeys.phones": "+919876543210",
+    });
+  });
+
+  it("rejects numbers that are not valid", async () => {
+    const res = mockResponse();
+    await searchLeads({ query: { phone: "12345" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Lead.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,46 @@
+import { jest } from "@jest/globals";
+import Lead from "../../models/Lead.js";
+import { getLeadTimeseries } from "../../controllers/leadController.js";
+import { mockQuery } from "../helpers/mockQuery.js";
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe("getLeadTimeseries", () => {
+  const day = new Date("2024-03-14T18:30:00.000Z");
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("reads latencies from histogram bins instead of every lead", async () => {
+    jest
+      .spyOn(Lead, "aggregate")
+      .mockReturnValueOnce(mockQuery([{ _id: { bucket: day }, count: 3 }]))
+      .mockReturnValueOnce(
+        mockQuery([{ _id: { bucket: day, bin: 138 }, count: 3 }])
+      );
+
+    const res = mockResponse();
+    await getLeadTimeseries(
+      { query: { startDate: "2024-03-15", endDate: "2024-03-15" } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const [bucket] = res.json.mock.calls[0][0].data.buckets;
+    expect(bucket).toMatchObject({
+      label: "2024-03-15",
+      total: 3,
+      latency: { count: 3, p50: 1017, p95: 1017, p99: 1017 },
+    });
+
+    // No stage collects values per bucket
+    const pipelines = JSON.stringify(Lead.aggregate.mock.calls);
+    expect(pipelines).not.toMatch(/\$push|\$addToSet/);
+  });
+});
@@ -0,0 +1,180 @@
+import { jest } from "@jest/globals";
+import Lead from "../../models/Lead.js";
+import DeliveryAttempt from "../../models/DeliveryAttempt.js";
+import {
+  getDestinationReport,
+  getLeadFunnel,
+} from "../../controllers/reportController.js";
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe("report period", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    [getDestinationReport, { startDate: "not a date" }],
+    [getLeadFunnel, { endDate: "2024-13-01" }],
+    [getLeadFunnel, { startDate: "2024-03-10", endDate: "2024-03-01" }],
+  ])("rejects an invalid range", async (handler, query) => {
+    const aggregate = jest.spyOn(Lead, "aggregate");
+    const res = mockResponse();
+
+    await handler({ query }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      message: "Invalid date range",
+    });
+    expect(aggregate).not.toHaveBeenCalled();
+  });
+
+  it("defaults to the last seven days", async () => {
+    const aggregate = jest.spyOn(Lead, "aggregate").mockResolvedValue([]);
+    const res = mockResponse();
+
+    await getLeadFunnel({ query: {} }, res);
+
+    const { createdAt } = aggregate.mock.calls[0][0][0].$match;
+    expect(createdAt.$lte - createdAt.$gte).toBe(7 * 24 * 60 * 60 * 1000);
+  });
+});
+
+describe("getDestinationReport", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("merges delivery, attempt and error stats per destination", async () => {
+    jest.spyOn(Lead, "aggregate").mockResolvedValue([
+      {
+        _id: "ERP",
+        total: 10,
+        delivered: 6,
+        failed: 1,
+        retrying: 1,
+        blocked: 2,
+        avgTimeToDeliveryMs: 1234.6,
+      },
+    ]);
+    jest
+      .spyOn(DeliveryAttempt, "aggregate")
+      .mockResolvedValueOnce([
+        { _id: "ERP", attempts: 9, failedAttempts: 3, avgLatencyMs: 200.4 },
+        { _id: "CRM", attempts: 1, failedAttempts: 1, avgLatencyMs: null },
+      ])
+      .mockResolvedValueOnce([
+        { _id: { destination: "ERP", errorCode: "HTTP_503" }, count: 2 },
+        { _id: { destination: "CRM" }, count: 1 },
+        { _id: { destination: "ERP", errorCode: "TIMEOUT" }, count: 1 },
+      ]);
+
+    const res = mockResponse();
+    await getDestinationReport(
+      { query: { startDate: "2024-03-01", endDate: "2024-03-07" } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.startDate).toEqual(new Date("2024-03-01T00:00:00.000+05:30"));
+    expect(data.destinations).toEqual([
+      {
+        destination: "CRM",
+        total: 0,
+        delivered: 0,
+        failed: 0,
+        retrying: 0,
+        blocked: 0,
+        successRate: null,
+        avgTimeToDeliveryMs: null,
+        attempts: 1,
+        failedAttempts: 1,
+        avgLatencyMs: null,
+        topErrors: [{ errorCode: "UNKNOWN", count: 1 }],
+      },
+      {
+        destination: "ERP",
+        total: 10,
+        delivered: 6,
+        failed: 1,
+        retrying: 1,
+        blocked: 2,
+        successRate: 0.75,
+        avgTimeToDeliveryMs: 1235,
+        attempts: 9,
+        failedAttempts: 3,
+        avgLatencyMs: 200,
+        topErrors: [
+          { errorCode: "HTTP_503", count: 2 },
+          { errorCode: "TIMEOUT", count: 1 },
+        ],
+      },
+    ]);
+  });
+
+  it("answers 500 when an aggregation fails", async () => {
+    jest.spyOn(Lead, "aggregate").mockRejectedValue(new Error("down"));
+    jest.spyOn(DeliveryAttempt, "aggregate").mockResolvedValue([]);
+
+    const res = mockResponse();
+    await getDestinationReport({ query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
+
+describe("getLeadFunnel", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("adds unique leads and conversion rates", async () => {
+    jest.spyOn(Lead, "aggregate").mockResolvedValue([
+      {
+        received: 10,
+        duplicates: 2,
+        imported: 0,
+        forwarded: 4,
+        delivered: 3,
+        partiallyDelivered: 0,
+        retrying: 1,
+        deadLettered: 0,
+        pending: 4,
+      },
+    ]);
+
+    const res = mockResponse();
+    await getLeadFunnel({ query: {} }, res);
+
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.funnel.unique).toBe(8);
+    expect(data.rates).toEqual({
+      unique: 0.8,
+      forwarded: 0.5,
+      delivered: 0.75,
+    });
+  });
+
+  it("reports zeroes for a period without leads", async () => {
+    jest.spyOn(Lead, "aggregate").mockResolvedValue([]);
+
+    const res = mockResponse();
+    await getLeadFunnel({ query: {} }, res);
+
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.funnel).toMatchObject({ received: 0, unique: 0 });
+    expect(data.rates).toEqual({
+      unique: null,
+      forwarded: null,
+      delivered: null,
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { jest } from "@jest/globals";
+import Destination from "../../models/Destination.js";
+import Lead from "../../models/Lead.js";
+import { previewTransform } from "../../controllers/transformController.js";
+import { invalidateDestinations } from "../../utils/destinationRegistry.js";
+import { mockQuery } from "../helpers/mockQuery.js";
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe("previewTransform", () => {
+  beforeEach(() => {
+    invalidateDestinations();
+    jest.spyOn(Destination, "find").mockReturnValue(
+      mockQuery([
+        {
+          name: "CRM",
+          url: "https://crm.example.com/leads",
+          enabled: true,
+          phoneFormat: "e164",
+          transform: {
+            base: "none",
+            fields: [
+              { target: "leadName", source: "name" },
+              { target: "tel", source: "mobile" },
+            ],
+          },
+        },
+      ])
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("previews a stored lead with the destination's template", async () => {
+    jest
+      .spyOn(Lead, "findOne")
+      .mockReturnValue(
+        mockQuery({ leadid: "L1", name: "Ravi", mobile: "9876543210" })
+      );
+
+    const res = mockResponse();
+    await previewTransform(
+      { validatedPreview: { destination: "CRM", leadid: "L1" } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data).toEqual({
+      destination: "CRM",
+      payload: { leadName: "Ravi", tel: "+919876543210" },
+    });
+  });
+
+  it("prefers an inline template", async () => {
+    const res = mockResponse();
+    await previewTransform(
+      {
+        validatedPreview: {
+          destination: "CRM",
+          lead: { name: "Ravi" },
+          transform: {
+            base: "none",
+            fields: [{ target: "customer", source: "name" }],
+          },
+        },
+      },
+      res
+    );
+
+    expect(res.json.mock.calls[0][0].data.payload).toEqual({
+      customer: "Ravi",
+    });
+  });
+
+  it.each([
+    [{ destination: "UNKNOWN", lead: {} }, "Destination not found"],
+    [{ leadid: "missing" }, "Lead not found"],
+  ])("answers 404 for %o", async (validatedPreview, message) => {
+    jest.spyOn(Lead, "findOne").mockReturnValue(mockQuery(null));
+
+    const res = mockResponse();
+    await previewTransform({ validatedPreview }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json.mock.calls[0][0].message).toBe(message);
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Stand in for a Mongoose query that resolves to a fixed result. Chained
+ * query methods return the same query, so `Model.find().select().lean()`
+ * can be stubbed with `Model.find = () => mockQuery(docs)`. `cursor()`
+ * yields the documents of an array result.
+ * @param {*} result - What the query resolves to
+ * @returns {Object} - Thenable query
+ */
+export const mockQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+    exec: () => Promise.resolve(result),
+    cursor: async function* () {
+      yield* Array.isArray(result) ? result : [];
+    },
+  };
+
+  for (const method of [
+    "select",
+    "sort",
+    "skip",
+    "limit",
+    "lean",
+    "allowDiskUse",
+  ]) {
+    query[method] = () => query;
+  }
+
+  return query;
+};
@@ -0,0 +1,92 @@
+import express from "express";
+import request from "supertest";
+import { webhookAuth } from "../../middleware/webhookAuth.js";
+import { getTrustProxySetting } from "../../config/proxy.js";
+
+const buildApp = () => {
+  const app = express();
+  app.set("trust proxy", getTrustProxySetting());
+  app.get("/leads", webhookAuth, (req, res) => res.send(`PASSED ip=${req.ip}`));
+  return app;
+};
+
+describe("webhookAuth IP allowlist", () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.WEBHOOK_IP_ALLOWLIST = "203.0.113.0/24";
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("rejects clients outside the allowlist", async () => {
+    delete process.env.TRUST_PROXY;
+
+    await request(buildApp()).get("/leads").expect(403);
+  });
+
+  it("accepts clients inside the allowlist", async () => {
+    process.env.WEBHOOK_IP_ALLOWLIST = "127.0.0.1";
+    delete process.env.TRUST_PROXY;
+
+    await request(buildApp()).get("/leads").expect(200);
+  });
+
+  it("ignores a spoofed X-Forwarded-For without a trusted proxy", async () => {
+    delete process.env.TRUST_PROXY;
+
+    await request(buildApp())
+      .get("/leads")
+      .set("X-Forwarded-For", "203.0.113.9")
+      .expect(403);
+  });
+
+  it("ignores a spoofed X-Forwarded-For with TRUST_PROXY=true", async () => {
+    process.env.TRUST_PROXY = "true";
+
+    // The proxy appends the address it saw; the client's own entry before
+    // it must not be trusted
+    await request(buildApp())
+      .get("/leads")
+      .set("X-Forwarded-For", "203.0.113.9, 198.51.100.7")
+      .expect(403);
+  });
+
+  it("uses the address added by a trusted proxy", async () => {
+    process.env.TRUST_PROXY = "loopback";
+
+    const res = await request(buildApp())
+      .get("/leads")
+      .set("X-Forwarded-For", "198.51.100.7, 203.0.113.9")
+      .expect(200);
+
+    expect(res.text).toBe("PASSED ip=203.0.113.9");
+  });
+});
+
+describe("getTrustProxySetting", () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it.each([
+    [undefined, false],
+    ["", false],
+    ["false", false],
+    ["true", 1],
+    ["2", 2],
+    ["loopback, 10.0.0.0/8", ["loopback", "10.0.0.0/8"]],
+  ])("reads TRUST_PROXY=%p", (value, expected) => {
+    if (value === undefined) {
+      delete process.env.TRUST_PROXY;
+    } else {
+      process.env.TRUST_PROXY = value;
+    }
+
+    expect(getTrustProxySetting()).toEqual(expected);
+  });
+});
@@ -0,0 +1,10 @@
+import DeliveryAttempt from "../../models/DeliveryAttempt.js";
+
+describe("DeliveryAttempt", () => {
+  it("expires attempts after the retention period", () => {
+    expect(DeliveryAttempt.schema.indexes()).toContainEqual([
+      { attemptedAt: 1 },
+      expect.objectContaining({ expireAfterSeconds: 30 * 24 * 60 * 60 }),
+    ]);
+  });
+});
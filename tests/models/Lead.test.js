@@ -0,0 +1,106 @@
+import { jest } from "@jest/globals";
+import Lead from "../../models/Lead.js";
+import AuditEvent from "../../models/AuditEvent.js";
+
+describe("Lead.recordForwardAttempt", () => {
+  const env = { ...process.env };
+  let lead;
+
+  beforeEach(() => {
+    process.env.FORWARD_MAX_ATTEMPTS = "3";
+    lead = new Lead({ leadid: "L1", name: "Test" });
+    jest.spyOn(lead, "save").mockResolvedValue(lead);
+    jest.spyOn(AuditEvent, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  const delivery = (destination) =>
+    lead.deliveries.find((entry) => entry.destination === destination);
+
+  it("keeps delivery state per destination", async () => {
+    await lead.recordForwardAttempt({
+      success: false,
+      deliveries: [
+        { destination: "CRM", success: true },
+        {
+          destination: "ERP",
+          success: false,
+          errorCode: "HTTP_5XX",
+          error: "HTTP 503",
+        },
+      ],
+    });
+
+    expect(delivery("CRM")).toMatchObject({
+      status: "delivered",
+      attempts: 1,
+      deliveredAt: expect.any(Date),
+    });
+    expect(delivery("ERP")).toMatchObject({
+      status: "failed",
+      attempts: 1,
+      lastErrorCode: "HTTP_5XX",
+    });
+    expect(lead.status).toBe("partially_processed");
+    expect(lead.nextRetryAt).toEqual(expect.any(Date));
+  });
+
+  it("is processed once every destination has the lead", async () => {
+    await lead.recordForwardAttempt({
+      success: false,
+      deliveries: [
+        { destination: "CRM", success: true },
+        { destination: "ERP", success: false, error: "HTTP 503" },
+      ],
+    });
+    await lead.recordForwardAttempt({
+      success: true,
+      deliveries: [{ destination: "ERP", success: true }],
+    });
+
+    expect(delivery("CRM").attempts).toBe(1);
+    expect(delivery("ERP")).toMatchObject({ status: "delivered", attempts: 2 });
+    expect(lead.status).toBe("processed");
+    expect(lead.nextRetryAt).toBeNull();
+  });
+
+  it("counts DND-blocked deliveries as complete", async () => {
+    await lead.recordForwardAttempt({
+      success: true,
+      deliveries: [
+        { destination: "CRM", success: true },
+        {
+          destination: "ERP",
+          success: true,
+          blocked: true,
+          dndAction: "block",
+        },
+      ],
+    });
+
+    expect(delivery("ERP")).toMatchObject({
+      status: "blocked",
+      dndAction: "block",
+    });
+    expect(lead.status).toBe("processed");
+  });
+
+  it("dead-letters the lead after the last attempt", async () => {
+    const failure = {
+      success: false,
+      deliveries: [{ destination: "CRM", success: false, error: "down" }],
+    };
+
+    await lead.recordForwardAttempt(failure);
+    await lead.recordForwardAttempt(failure);
+    expect(lead.status).toBe("failed");
+
+    await lead.recordForwardAttempt(failure);
+    expect(lead.status).toBe("dead_letter");
+    expect(lead.deadLetteredAt).toEqual(expect.any(Date));
+  });
+});
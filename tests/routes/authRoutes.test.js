@@ -0,0 +1,35 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import User from "../../models/User.js";
+import authRoutes from "../../routes/authRoutes.js";
+import { mockQuery } from "../helpers/mockQuery.js";
+
+describe("POST /api/auth/login", () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/auth", authRoutes);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("limits failed logins per client", async () => {
+    jest.spyOn(User, "findOne").mockReturnValue(mockQuery(null));
+
+    const attempt = () =>
+      request(app)
+        .post("/api/auth/login")
+        .send({ username: "admin", password: "wrong-password" });
+
+    for (let i = 0; i < 10; i++) {
+      await attempt().expect(401);
+    }
+
+    const response = await attempt().expect(429);
+    expect(response.body.message).toBe(
+      "Too many login attempts, please try again later"
+    );
+    expect(User.findOne).toHaveBeenCalledTimes(10);
+  });
+});
@@ -0,0 +1,4 @@
+import { logger } from "../utils/logger.js";
+
+// Keep test output readable; assertions cover what matters
+logger.silent = true;
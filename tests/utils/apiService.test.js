@@ -0,0 +1,335 @@
+import { jest } from "@jest/globals";
+import http from "http";
+import net from "net";
+import Destination from "../../models/Destination.js";
+import DeliveryAttempt from "../../models/DeliveryAttempt.js";
+import {
+  processAndForwardLead,
+  sendLeadToApi,
+} from "../../utils/apiService.js";
+import { recordCircuitOutcome } from "../../utils/circuitBreaker.js";
+import { invalidateDestinations } from "../../utils/destinationRegistry.js";
+import { FORWARD_ERROR_CODES } from "../../utils/forwardErrors.js";
+import { mockQuery } from "../helpers/mockQuery.js";
+
+const listen = (server) =>
+  new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server.address().port));
+  });
+
+const close = (server, sockets) =>
+  new Promise((resolve) => {
+    for (const socket of sockets) socket.destroy();
+    server.close(() => resolve());
+  });
+
+// Track sockets so servers that never answer can still be closed
+const trackSockets = (server) => {
+  const sockets = new Set();
+  server.on("connection", (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+  return sockets;
+};
+
+const makeDestination = (url, overrides = {}) => ({
+  name: "stub",
+  url,
+  method: "POST",
+  contentType: "json",
+  headers: {},
+  auth: { type: "none" },
+  connectTimeoutMs: 300,
+  timeoutMs: 300,
+  ...overrides,
+});
+
+const sendAndCatch = async (destination) => {
+  try {
+    await sendLeadToApi({ leadid: "L1" }, destination, { leadid: "L1" });
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected the request to fail");
+};
+
+describe("sendLeadToApi timeouts", () => {
+  let server;
+  let sockets;
+
+  afterEach(async () => {
+    if (server) {
+      await close(server, sockets);
+      server = null;
+    }
+  });
+
+  it("fails with TIMEOUT_CONNECT when the connection is never set up", async () => {
+    // A TCP server that accepts but never answers the TLS handshake holds
+    // an https connection open in its connect phase
+    server = net.createServer(() => {});
+    sockets = trackSockets(server);
+    const port = await listen(server);
+
+    const error = await sendAndCatch(
+      makeDestination(`https://127.0.0.1:${port}/leads`, { timeoutMs: 5000 })
+    );
+
+    expect(error.errorCode).toBe(FORWARD_ERROR_CODES.TIMEOUT_CONNECT);
+    expect(error.exchange.status).toBeUndefined();
+  });
+
+  it("fails with TIMEOUT_RESPONSE when no response headers arrive", async () => {
+    server = http.createServer(() => {});
+    sockets = trackSockets(server);
+    const port = await listen(server);
+
+    const error = await sendAndCatch(
+      makeDestination(`http://127.0.0.1:${port}/leads`)
+    );
+
+    expect(error.errorCode).toBe(FORWARD_ERROR_CODES.TIMEOUT_RESPONSE);
+    expect(error.exchange.status).toBeUndefined();
+  });
+
+  it("fails with TIMEOUT_RESPONSE when the body stalls", async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.write('{"status":');
+    });
+    sockets = trackSockets(server);
+    const port = await listen(server);
+
+    const error = await sendAndCatch(
+      makeDestination(`http://127.0.0.1:${port}/leads`)
+    );
+
+    expect(error.errorCode).toBe(FORWARD_ERROR_CODES.TIMEOUT_RESPONSE);
+    expect(error.exchange.status).toBe(200);
+  });
+
+  it("stops a response trickled in under the body timeout", async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { "Content-Type": "text/plain" });
+      const timer = setInterval(() => res.write("."), 100);
+      res.on("close", () => clearInterval(timer));
+    });
+    sockets = trackSockets(server);
+    const port = await listen(server);
+
+    const startTime = Date.now();
+    const error = await sendAndCatch(
+      makeDestination(`http://127.0.0.1:${port}/leads`)
+    );
+
+    expect(error.errorCode).toBe(FORWARD_ERROR_CODES.TIMEOUT_RESPONSE);
+    expect(Date.now() - startTime).toBeLessThan(3000);
+  });
+
+  it("returns the parsed response of a destination that answers", async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end('{"status":"ok"}');
+    });
+    sockets = trackSockets(server);
+    const port = await listen(server);
+
+    const result = await sendLeadToApi(
+      { leadid: "L1" },
+      makeDestination(`http://127.0.0.1:${port}/leads`)
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual({ status: "ok" });
+  });
+
+  it("fails with HTTP_5XX when the destination errors", async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(503);
+      res.end("down");
+    });
+    sockets = trackSockets(server);
+    const port = await listen(server);
+
+    const error = await sendAndCatch(
+      makeDestination(`http://127.0.0.1:${port}/leads`)
+    );
+
+    expect(error.errorCode).toBe(FORWARD_ERROR_CODES.HTTP_5XX);
+    expect(error.exchange.responseBody).toBe("down");
+  });
+});
+
+describe("processAndForwardLead delivery attempts", () => {
+  const forwardTo = (destination, leadData = {}) =>
+    processAndForwardLead({
+      leadid: "L1",
+      mobile: "9876543210",
+      deliveries: [{ destination, status: "pending" }],
+      ...leadData,
+    });
+
+  beforeEach(() => {
+    invalidateDestinations();
+    jest.spyOn(Destination, "find").mockReturnValue(
+      mockQuery([
+        makeDestination("http://127.0.0.1:9/leads", {
+          name: "disabled",
+          enabled: false,
+        }),
+        makeDestination("http://127.0.0.1:9/leads", {
+          name: "broken-transform",
+          enabled: true,
+          transform: { base: "lead", fields: 5 },
+        }),
+        makeDestination("http://127.0.0.1:9/leads", {
+          name: "dnd-block",
+          enabled: true,
+          dnd: { action: "block" },
+        }),
+        makeDestination("http://127.0.0.1:9/leads", {
+          name: "tripped",
+          enabled: true,
+          circuitBreaker: { minimumRequests: 1 },
+        }),
+      ])
+    );
+    jest.spyOn(DeliveryAttempt, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ["unknown", "unavailable", FORWARD_ERROR_CODES.DESTINATION_UNAVAILABLE],
+    ["disabled", "unavailable", FORWARD_ERROR_CODES.DESTINATION_UNAVAILABLE],
+    [
+      "broken-transform",
+      "transform_failed",
+      FORWARD_ERROR_CODES.TRANSFORM_FAILED,
+    ],
+  ])("records %s destinations as %s", async (name, status, errorCode) => {
+    await forwardTo(name);
+
+    expect(DeliveryAttempt.create).toHaveBeenCalledTimes(1);
+    const attempt = DeliveryAttempt.create.mock.calls[0][0];
+    expect(attempt).toMatchObject({
+      leadid: "L1",
+      destination: name,
+      status,
+      success: false,
+      errorCode,
+    });
+    expect(attempt.request).toBeUndefined();
+  });
+
+  it("records leads blocked by the DND policy", async () => {
+    await forwardTo("dnd-block", { dncmobile: 1 });
+
+    expect(DeliveryAttempt.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        destination: "dnd-block",
+        status: "blocked",
+        success: true,
+      })
+    );
+  });
+
+  it("records deliveries deferred by an open circuit", async () => {
+    const [tripped] = (await Destination.find()).filter(
+      (destination) => destination.name === "tripped"
+    );
+    recordCircuitOutcome(tripped, false, { probe: false });
+
+    const result = await forwardTo("tripped");
+
+    expect(result.deferred).toBe(true);
+    expect(DeliveryAttempt.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        destination: "tripped",
+        status: "deferred",
+        success: false,
+        errorCode: FORWARD_ERROR_CODES.CIRCUIT_OPEN,
+      })
+    );
+  });
+});
+
+describe("processAndForwardLead fan-out", () => {
+  let crm;
+  let erp;
+  const received = { crm: 0, erp: 0 };
+
+  const startStub = async (name, status) => {
+    const server = http.createServer((req, res) => {
+      req.resume();
+      received[name] += 1;
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end("{}");
+    });
+    const sockets = trackSockets(server);
+    const port = await listen(server);
+    return { server, sockets, url: `http://127.0.0.1:${port}/leads` };
+  };
+
+  beforeEach(async () => {
+    received.crm = 0;
+    received.erp = 0;
+    crm = await startStub("crm", 200);
+    erp = await startStub("erp", 503);
+
+    invalidateDestinations();
+    jest
+      .spyOn(Destination, "find")
+      .mockReturnValue(
+        mockQuery([
+          makeDestination(crm.url, { name: "CRM", enabled: true }),
+          makeDestination(erp.url, { name: "ERP", enabled: true }),
+        ])
+      );
+    jest.spyOn(DeliveryAttempt, "create").mockResolvedValue({});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await close(crm.server, crm.sockets);
+    await close(erp.server, erp.sockets);
+  });
+
+  it("reports the outcome for each destination", async () => {
+    const result = await processAndForwardLead({
+      leadid: "L1",
+      deliveries: [
+        { destination: "CRM", status: "pending" },
+        { destination: "ERP", status: "pending" },
+      ],
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.destinations).toEqual(["CRM", "ERP"]);
+    expect(result.deliveries).toEqual([
+      expect.objectContaining({ destination: "CRM", success: true }),
+      expect.objectContaining({
+        destination: "ERP",
+        success: false,
+        errorCode: FORWARD_ERROR_CODES.HTTP_5XX,
+      }),
+    ]);
+    expect(result.error).toMatch(/^ERP: /);
+  });
+
+  it("only sends to destinations that don't have the lead yet", async () => {
+    const result = await processAndForwardLead({
+      leadid: "L1",
+      deliveries: [
+        { destination: "CRM", status: "delivered" },
+        { destination: "ERP", status: "failed" },
+      ],
+    });
+
+    expect(result.destinations).toEqual(["ERP"]);
+    expect(received).toEqual({ crm: 0, erp: 1 });
+  });
+});
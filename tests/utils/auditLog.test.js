@@ -0,0 +1,75 @@
+import { jest } from "@jest/globals";
+import AuditEvent from "../../models/AuditEvent.js";
+import {
+  SYSTEM_CONTEXT,
+  getAuditContext,
+  recordAuditEvent,
+} from "../../utils/auditLog.js";
+
+describe("getAuditContext", () => {
+  const makeRequest = (user) => ({
+    user,
+    ip: "10.0.0.1",
+    get: (header) => (header === "User-Agent" ? "curl/8" : undefined),
+  });
+
+  it("describes the signed-in user", () => {
+    expect(
+      getAuditContext(
+        makeRequest({
+          _id: "u1",
+          username: "asha",
+          role: "admin",
+          password: "hash",
+        })
+      )
+    ).toEqual({
+      actor: { type: "user", userId: "u1", username: "asha", role: "admin" },
+      ip: "10.0.0.1",
+      userAgent: "curl/8",
+    });
+  });
+
+  it("treats unauthenticated requests as the webhook", () => {
+    expect(getAuditContext(makeRequest()).actor).toEqual({ type: "webhook" });
+  });
+});
+
+describe("recordAuditEvent", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("stores the event as the system by default", async () => {
+    const create = jest.spyOn(AuditEvent, "create").mockResolvedValue({});
+
+    await recordAuditEvent({
+      action: "lead.deleted",
+      entityType: "lead",
+      entityId: 42,
+      oldValue: { status: "processed" },
+    });
+
+    expect(create).toHaveBeenCalledWith({
+      action: "lead.deleted",
+      entityType: "lead",
+      entityId: "42",
+      ...SYSTEM_CONTEXT,
+      oldValue: { status: "processed" },
+      newValue: undefined,
+      metadata: undefined,
+    });
+  });
+
+  it("doesn't throw when the event can't be stored", async () => {
+    jest.spyOn(AuditEvent, "create").mockRejectedValue(new Error("down"));
+
+    await expect(
+      recordAuditEvent({
+        action: "lead.deleted",
+        entityType: "lead",
+        entityId: "L1",
+      })
+    ).resolves.toBeUndefined();
+  });
+});
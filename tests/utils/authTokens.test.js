@@ -0,0 +1,42 @@
+import { checkJwtSecrets } from "../../utils/authTokens.js";
+
+describe("checkJwtSecrets", () => {
+  const env = { ...process.env };
+  const strongSecret = "a".repeat(32);
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = strongSecret;
+    process.env.JWT_REFRESH_SECRET = strongSecret.replace(/a/g, "b");
+    process.env.NODE_ENV = "production";
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("accepts long secrets", () => {
+    expect(() => checkJwtSecrets()).not.toThrow();
+  });
+
+  it.each([
+    ["JWT_SECRET", "change-me", /JWT_SECRET is set to a placeholder/],
+    [
+      "JWT_REFRESH_SECRET",
+      "change-me-too",
+      /JWT_REFRESH_SECRET is set to a placeholder/,
+    ],
+    ["JWT_SECRET", "short-secret", /JWT_SECRET must be at least 32/],
+    ["JWT_REFRESH_SECRET", "", /JWT_REFRESH_SECRET is not configured/],
+  ])("refuses %s=%p in production", (envVar, value, message) => {
+    process.env[envVar] = value;
+
+    expect(() => checkJwtSecrets()).toThrow(message);
+  });
+
+  it("only warns outside production", () => {
+    process.env.NODE_ENV = "development";
+    process.env.JWT_SECRET = "change-me";
+
+    expect(() => checkJwtSecrets()).not.toThrow();
+  });
+});
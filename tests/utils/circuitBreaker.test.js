@@ -0,0 +1,142 @@
+import { jest } from "@jest/globals";
+import {
+  acquireCircuit,
+  getCircuitStates,
+  recordCircuitOutcome,
+  resetCircuit,
+} from "../../utils/circuitBreaker.js";
+
+let sequence = 0;
+
+// Each test gets its own destination, as breaker state outlives the test
+const makeDestination = (circuitBreaker = {}) => ({
+  name: `Breaker ${++sequence}`,
+  circuitBreaker: {
+    minimumRequests: 4,
+    failureRateThreshold: 0.5,
+    openDurationMs: 1000,
+    ...circuitBreaker,
+  },
+});
+
+// Send requests through the breaker with the given outcomes
+const send = (destination, outcomes) => {
+  for (const success of outcomes) {
+    const permit = acquireCircuit(destination);
+    recordCircuitOutcome(destination, success, permit);
+  }
+};
+
+const stateOf = (destination) =>
+  getCircuitStates().find(({ destination: name }) => name === destination.name);
+
+describe("circuitBreaker", () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1_700_000_000_000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("stays closed until enough requests have been seen", () => {
+    const destination = makeDestination();
+
+    send(destination, [false, false, false]);
+
+    expect(acquireCircuit(destination)).toEqual({
+      allowed: true,
+      probe: false,
+    });
+    expect(stateOf(destination)).toMatchObject({
+      state: "closed",
+      recentRequests: 3,
+      recentFailures: 3,
+    });
+  });
+
+  it("opens once the failure rate reaches the threshold", () => {
+    const destination = makeDestination();
+
+    send(destination, [true, false, true, false]);
+
+    expect(stateOf(destination).state).toBe("open");
+    expect(acquireCircuit(destination)).toEqual({
+      allowed: false,
+      retryAt: new Date(now + 1000),
+    });
+  });
+
+  it("stays closed while the failure rate is below the threshold", () => {
+    const destination = makeDestination();
+
+    send(destination, [true, true, true, false, true, false]);
+
+    expect(stateOf(destination).state).toBe("closed");
+  });
+
+  it("forgets outcomes older than the window", () => {
+    const destination = makeDestination({ windowMs: 500 });
+
+    send(destination, [false, false, false]);
+    now += 501;
+    send(destination, [false]);
+
+    expect(stateOf(destination)).toMatchObject({
+      state: "closed",
+      recentRequests: 1,
+    });
+  });
+
+  it("lets one probe through after the open period and closes on success", () => {
+    const destination = makeDestination();
+    send(destination, [false, false, false, false]);
+
+    now += 1000;
+    const probe = acquireCircuit(destination);
+
+    expect(probe).toEqual({ allowed: true, probe: true });
+    expect(acquireCircuit(destination).allowed).toBe(false);
+
+    recordCircuitOutcome(destination, true, probe);
+
+    expect(stateOf(destination)).toMatchObject({
+      state: "closed",
+      recentRequests: 0,
+    });
+  });
+
+  it("reopens when the probe fails", () => {
+    const destination = makeDestination();
+    send(destination, [false, false, false, false]);
+
+    now += 1000;
+    recordCircuitOutcome(destination, false, acquireCircuit(destination));
+
+    expect(stateOf(destination)).toMatchObject({
+      state: "open",
+      openedAt: new Date(now),
+    });
+    expect(acquireCircuit(destination).retryAt).toEqual(new Date(now + 1000));
+  });
+
+  it("ignores a probe that finishes after a reset", () => {
+    const destination = makeDestination();
+    send(destination, [false, false, false, false]);
+
+    now += 1000;
+    const probe = acquireCircuit(destination);
+
+    expect(resetCircuit(destination.name)).toBe(true);
+    recordCircuitOutcome(destination, false, probe);
+
+    expect(stateOf(destination).state).toBe("closed");
+  });
+
+  it("only resets destinations it has seen", () => {
+    expect(resetCircuit("Never Used")).toBe(false);
+  });
+});
@@ -0,0 +1,34 @@
+import { getContactKeys } from "../../utils/contactNormalization.js";
+
+describe("getContactKeys", () => {
+  it("keys phones on their E.164 form", () => {
+    expect(
+      getContactKeys({ mobile: "098765 43210", phone: "+91 22 2345 6789" })
+        .phones
+    ).toEqual(["+919876543210", "+912223456789"]);
+  });
+
+  it("matches the same number however it was written", () => {
+    const keys = ["9876543210", "+91-98765-43210", "0091 9876543210"].map(
+      (mobile) => getContactKeys({ mobile }).phones
+    );
+
+    expect(keys).toEqual([
+      ["+919876543210"],
+      ["+919876543210"],
+      ["+919876543210"],
+    ]);
+  });
+
+  it("leaves out numbers that are not valid", () => {
+    expect(
+      getContactKeys({ mobile: "12345", phone: "+1 415 555 0100" }).phones
+    ).toEqual([]);
+  });
+
+  it("keys a number given twice once", () => {
+    expect(
+      getContactKeys({ mobile: "9876543210", phone: "+919876543210" }).phones
+    ).toEqual(["+919876543210"]);
+  });
+});
@@ -0,0 +1,74 @@
+import { combineDateAndTime, parseDateBoundary } from "../../utils/dateTime.js";
+
+describe("parseDateBoundary", () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.LEAD_SOURCE_TIMEZONE;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("covers whole days in the source timezone", () => {
+    expect(parseDateBoundary("2024-03-15")).toEqual(
+      new Date("2024-03-14T18:30:00.000Z")
+    );
+    expect(parseDateBoundary("2024-03-15", true)).toEqual(
+      new Date("2024-03-15T18:29:59.999Z")
+    );
+  });
+
+  it("accepts leap days", () => {
+    expect(parseDateBoundary("2024-02-29")).toEqual(
+      new Date("2024-02-28T18:30:00.000Z")
+    );
+  });
+
+  it("uses timestamps as given", () => {
+    expect(parseDateBoundary("2024-03-15T10:20:30Z")).toEqual(
+      new Date("2024-03-15T10:20:30Z")
+    );
+    expect(parseDateBoundary("2024-03-15T10:20:30.500+05:30", true)).toEqual(
+      new Date("2024-03-15T04:50:30.500Z")
+    );
+  });
+
+  it.each([
+    "2024-13-45",
+    "2024-02-30",
+    "2023-02-29",
+    "2024-00-10",
+    "2024-03-15T24:00:00Z",
+    "2024-03-15T10:60Z",
+    "2024-02-30T10:00:00Z",
+    "15/03/2024",
+    "March 15, 2024",
+    "1710460800000",
+    "yesterday",
+    "",
+  ])("rejects %p", (value) => {
+    expect(parseDateBoundary(value)).toBeNull();
+  });
+
+  it.each([undefined, null, ["2024-03-15"], { $gt: "" }])(
+    "rejects non-string %p",
+    (value) => {
+      expect(parseDateBoundary(value)).toBeNull();
+    }
+  );
+});
+
+describe("combineDateAndTime", () => {
+  it("reads the time as IST wall clock time", () => {
+    expect(
+      combineDateAndTime("2024-03-15", "09:15:00", "Asia/Kolkata")
+    ).toEqual(new Date("2024-03-15T03:45:00.000Z"));
+  });
+
+  it("returns null without a valid date", () => {
+    expect(combineDateAndTime(null, "09:15:00")).toBeNull();
+    expect(combineDateAndTime("not a date", "09:15:00")).toBeNull();
+  });
+});
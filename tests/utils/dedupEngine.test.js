@@ -0,0 +1,69 @@
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import Lead from "../../models/Lead.js";
+import DedupRule from "../../models/DedupRule.js";
+import {
+  findDuplicate,
+  invalidateDedupRules,
+} from "../../utils/dedupEngine.js";
+import { mockQuery } from "../helpers/mockQuery.js";
+
+describe("findDuplicate", () => {
+  const createdAt = new Date("2024-03-15T10:00:00.000Z");
+  const rule = {
+    name: "same-phone",
+    matchOn: ["phone"],
+    windowMinutes: 60,
+    scope: "global",
+    action: "suppress",
+  };
+  const lead = {
+    _id: new mongoose.Types.ObjectId(),
+    leadid: "L2",
+    createdAt,
+    contactKeys: { phones: ["+919876543210"], email: null },
+  };
+
+  beforeEach(() => {
+    invalidateDedupRules();
+    jest.spyOn(DedupRule, "find").mockReturnValue(mockQuery([rule]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("only matches leads received at the same time with a lower _id", async () => {
+    const query = mockQuery(null);
+    query.sort = jest.fn(() => query);
+    jest.spyOn(Lead, "findOne").mockReturnValue(query);
+
+    await expect(findDuplicate(lead)).resolves.toBeNull();
+
+    const [filter] = Lead.findOne.mock.calls[0];
+    expect(filter.$and).toContainEqual({
+      $or: [
+        { createdAt: { $lt: createdAt } },
+        { createdAt, _id: { $lt: lead._id } },
+      ],
+    });
+    expect(filter.createdAt).toEqual({
+      $gte: new Date("2024-03-15T09:00:00.000Z"),
+    });
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: 1, _id: 1 });
+  });
+
+  it("links the lead to the earlier lead it matched", async () => {
+    const primary = {
+      leadid: "L1",
+      contactKeys: { phones: ["+919876543210"], email: null },
+    };
+    jest.spyOn(Lead, "findOne").mockReturnValue(mockQuery(primary));
+
+    await expect(findDuplicate(lead)).resolves.toEqual({
+      rule,
+      primary,
+      matchedOn: ["phone"],
+    });
+  });
+});
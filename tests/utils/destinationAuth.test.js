@@ -0,0 +1,78 @@
+import { jest } from "@jest/globals";
+import { buildAuth } from "../../utils/destinationAuth.js";
+import { validateDestination } from "../../middleware/validation.js";
+
+describe("buildAuth", () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("reads secrets from DEST_SECRET_ variables", () => {
+    process.env.DEST_SECRET_CRM_TOKEN = "abc";
+
+    expect(
+      buildAuth({ type: "bearer", tokenEnv: "DEST_SECRET_CRM_TOKEN" }, "")
+    ).toEqual({ headers: { Authorization: "Bearer abc" }, query: {} });
+  });
+
+  it.each(["JWT_SECRET", "MONGODB_URI", "DEST_SECRET_"])(
+    "refuses to read %s",
+    (envVar) => {
+      process.env.JWT_SECRET = "service-secret";
+      process.env.MONGODB_URI = "mongodb://user:pass@db";
+
+      expect(() => buildAuth({ type: "bearer", tokenEnv: envVar }, "")).toThrow(
+        /must start with DEST_SECRET_/
+      );
+    }
+  );
+
+  it("reports a missing secret", () => {
+    delete process.env.DEST_SECRET_MISSING;
+
+    expect(() =>
+      buildAuth({ type: "api_key", apiKeyEnv: "DEST_SECRET_MISSING" }, "")
+    ).toThrow("Missing secret environment variable: DEST_SECRET_MISSING");
+  });
+});
+
+describe("validateDestination auth", () => {
+  const validate = (auth) => {
+    const req = {
+      method: "POST",
+      body: { name: "crm", url: "https://crm.example.com/leads", auth },
+    };
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+
+    validateDestination(req, res, next);
+
+    return { res, next };
+  };
+
+  it("accepts secrets named with the DEST_SECRET_ prefix", () => {
+    const { next } = validate({
+      type: "basic",
+      usernameEnv: "DEST_SECRET_CRM_USER",
+      passwordEnv: "DEST_SECRET_CRM_PASSWORD",
+    });
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it.each([
+    { type: "bearer", tokenEnv: "JWT_SECRET" },
+    { type: "api_key", apiKeyEnv: "MONGODB_URI" },
+    { type: "hmac", secretEnv: "WEBHOOK_HMAC_SECRET" },
+  ])("rejects other environment variables (%o)", (auth) => {
+    const { res, next } = validate(auth);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].errors[0].message).toMatch(
+      /must start with DEST_SECRET_/
+    );
+  });
+});
@@ -0,0 +1,93 @@
+import {
+  applyDndPolicy,
+  getDndAction,
+  maskNumber,
+  tagDndPayload,
+} from "../../utils/dndPolicy.js";
+
+const dndLead = {
+  leadid: "L1",
+  mobile: "9876543210",
+  dncmobile: 1,
+  phone: "02223456789",
+  dncphone: 0,
+};
+
+describe("getDndAction", () => {
+  const original = process.env.DND_DEFAULT_POLICY;
+
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.DND_DEFAULT_POLICY;
+    } else {
+      process.env.DND_DEFAULT_POLICY = original;
+    }
+  });
+
+  it("prefers the destination's action over the default", () => {
+    process.env.DND_DEFAULT_POLICY = "block";
+
+    expect(getDndAction({ dnd: { action: "mask" } })).toBe("mask");
+    expect(getDndAction({})).toBe("block");
+  });
+
+  it("allows when neither names a known action", () => {
+    process.env.DND_DEFAULT_POLICY = "drop";
+
+    expect(getDndAction({})).toBe("allow");
+  });
+});
+
+describe("applyDndPolicy", () => {
+  it("leaves leads without DND numbers alone", () => {
+    const lead = { ...dndLead, dncmobile: 0 };
+
+    expect(applyDndPolicy(lead, { dnd: { action: "block" } })).toEqual({
+      action: null,
+      leadData: lead,
+      blocked: false,
+    });
+  });
+
+  it.each([
+    ["allow", null, false, "9876543210"],
+    ["tag", "tag", false, "9876543210"],
+    ["block", "block", true, "9876543210"],
+    ["strip", "strip", false, null],
+    ["mask", "mask", false, "98XXXXXX10"],
+  ])("applies %s", (policy, action, blocked, mobile) => {
+    const result = applyDndPolicy(dndLead, { dnd: { action: policy } });
+
+    expect(result).toMatchObject({ action, blocked });
+    expect(result.leadData.mobile).toBe(mobile);
+    expect(result.leadData.phone).toBe("02223456789");
+  });
+
+  it("doesn't change the lead it was given", () => {
+    applyDndPolicy(dndLead, { dnd: { action: "strip" } });
+
+    expect(dndLead.mobile).toBe("9876543210");
+  });
+});
+
+describe("maskNumber", () => {
+  it.each([
+    ["9876543210", "98XXXXXX10"],
+    ["12345", "12X45"],
+    ["1234", "XXXX"],
+  ])("masks %s as %s", (value, masked) => {
+    expect(maskNumber(value)).toBe(masked);
+  });
+});
+
+describe("tagDndPayload", () => {
+  it("sets the destination's tag field, or dnd by default", () => {
+    expect(tagDndPayload({ name: "Ravi" }, {})).toEqual({
+      name: "Ravi",
+      dnd: true,
+    });
+    expect(
+      tagDndPayload({ name: "Ravi" }, { dnd: { tagField: "is_dnd" } })
+    ).toEqual({ name: "Ravi", is_dnd: true });
+  });
+});
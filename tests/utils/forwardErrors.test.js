@@ -0,0 +1,48 @@
+import {
+  FORWARD_ERROR_CODES,
+  classifyForwardError,
+} from "../../utils/forwardErrors.js";
+
+const withCause = (cause) =>
+  Object.assign(new Error("fetch failed"), { cause });
+
+describe("classifyForwardError", () => {
+  it.each([
+    [500, FORWARD_ERROR_CODES.HTTP_5XX],
+    [503, FORWARD_ERROR_CODES.HTTP_5XX],
+    [400, FORWARD_ERROR_CODES.HTTP_4XX],
+    [429, FORWARD_ERROR_CODES.HTTP_4XX],
+  ])("classifies HTTP %i responses", (status, code) => {
+    expect(classifyForwardError(Object.assign(new Error(), { status }))).toBe(
+      code
+    );
+  });
+
+  it("classifies the overall deadline as a response timeout", () => {
+    const error = new Error("aborted");
+    error.name = "TimeoutError";
+
+    expect(classifyForwardError(error)).toBe(
+      FORWARD_ERROR_CODES.TIMEOUT_RESPONSE
+    );
+    expect(classifyForwardError(withCause(error))).toBe(
+      FORWARD_ERROR_CODES.TIMEOUT_RESPONSE
+    );
+  });
+
+  it.each([
+    ["UND_ERR_CONNECT_TIMEOUT", FORWARD_ERROR_CODES.TIMEOUT_CONNECT],
+    ["UND_ERR_HEADERS_TIMEOUT", FORWARD_ERROR_CODES.TIMEOUT_RESPONSE],
+    ["UND_ERR_BODY_TIMEOUT", FORWARD_ERROR_CODES.TIMEOUT_RESPONSE],
+    ["ECONNREFUSED", FORWARD_ERROR_CODES.NETWORK_ERROR],
+    ["ENOTFOUND", FORWARD_ERROR_CODES.NETWORK_ERROR],
+  ])("classifies undici %s errors", (code, expected) => {
+    expect(classifyForwardError(withCause({ code }))).toBe(expected);
+  });
+
+  it("classifies errors raised before sending as configuration errors", () => {
+    expect(
+      classifyForwardError(new Error("Missing secret environment variable"))
+    ).toBe(FORWARD_ERROR_CODES.CONFIG_ERROR);
+  });
+});
@@ -0,0 +1,86 @@
+import { jest } from "@jest/globals";
+import Lead from "../../models/Lead.js";
+import ForwardJob from "../../models/ForwardJob.js";
+import AuditEvent from "../../models/AuditEvent.js";
+import {
+  failExhaustedJobs,
+  startForwardWorker,
+  stopForwardWorker,
+} from "../../utils/forwardQueue.js";
+import { mockQuery } from "../helpers/mockQuery.js";
+
+describe("forward queue leases", () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.FORWARD_JOB_MAX_ATTEMPTS = "3";
+    jest.spyOn(AuditEvent, "create").mockResolvedValue({});
+  });
+
+  afterEach(async () => {
+    await stopForwardWorker();
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it("doesn't reclaim expired leases that are out of attempts", async () => {
+    jest.spyOn(ForwardJob, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(Lead, "find").mockReturnValue(mockQuery([]));
+    const claim = jest
+      .spyOn(ForwardJob, "findOneAndUpdate")
+      .mockResolvedValue(null);
+
+    startForwardWorker();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const [filter, update] = claim.mock.calls[0];
+    expect(filter.$or).toContainEqual({
+      status: "processing",
+      lockedUntil: { $lt: expect.any(Date) },
+      attempts: { $lt: 3 },
+    });
+    expect(update.$inc).toEqual({ attempts: 1 });
+  });
+
+  it("fails exhausted jobs and dead-letters their leads", async () => {
+    jest
+      .spyOn(ForwardJob, "find")
+      .mockReturnValue(mockQuery([{ _id: "j1", leadid: "L1", attempts: 3 }]));
+    const jobUpdate = jest
+      .spyOn(ForwardJob, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+    const leadUpdate = jest
+      .spyOn(Lead, "findOneAndUpdate")
+      .mockResolvedValue({ leadid: "L1", status: "pending" });
+
+    await expect(failExhaustedJobs()).resolves.toBe(1);
+
+    expect(ForwardJob.find.mock.calls[0][0]).toMatchObject({
+      status: "processing",
+      attempts: { $gte: 3 },
+    });
+    expect(jobUpdate.mock.calls[0][1].$set).toMatchObject({
+      status: "failed",
+      lockedBy: null,
+    });
+    expect(leadUpdate.mock.calls[0][1].$set.status).toBe("dead_letter");
+    expect(AuditEvent.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "lead.status_updated",
+        entityId: "L1",
+        newValue: { status: "dead_letter" },
+      })
+    );
+  });
+
+  it("leaves jobs another worker released in the meantime", async () => {
+    jest
+      .spyOn(ForwardJob, "find")
+      .mockReturnValue(mockQuery([{ _id: "j1", leadid: "L1", attempts: 3 }]));
+    jest.spyOn(ForwardJob, "updateOne").mockResolvedValue({ modifiedCount: 0 });
+    const leadUpdate = jest.spyOn(Lead, "findOneAndUpdate");
+
+    await expect(failExhaustedJobs()).resolves.toBe(0);
+    expect(leadUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,70 @@
+import { PassThrough } from "stream";
+import { streamCsv } from "../../utils/leadExport.js";
+
+// Export the name column of leads with the given names as CSV lines
+const exportNames = async (names) => {
+  const res = new PassThrough();
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+
+  await streamCsv(
+    names.map((name) => ({ name })),
+    ["name"],
+    res
+  );
+
+  return chunks
+    .join("")
+    .replace(/^\uFEFF/, "")
+    .split("\r\n")
+    .slice(1, -1);
+};
+
+describe("streamCsv", () => {
+  it.each([
+    '=HYPERLINK("http://evil")',
+    "@SUM(A1)",
+    "-2+3+cmd|' /C calc'!A0",
+    "+1+cmd|' /C calc'!A0",
+    "-1)*cmd|' /C calc'!A0",
+    "+cmd|' /C calc'!A0",
+    "\tTabbed",
+  ])("escapes formula %p", async (name) => {
+    const [cell] = await exportNames([name]);
+
+    expect(cell.replace(/^"/, "").startsWith("'")).toBe(true);
+  });
+
+  it.each(["+91 98765 43210", "-12.5", "+91-(22)-2345-6789", "9876543210"])(
+    "leaves the number %p alone",
+    async (name) => {
+      await expect(exportNames([name])).resolves.toEqual([name]);
+    }
+  );
+
+  it("quotes cells with separators", async () => {
+    await expect(exportNames(['Acme, "Ltd"'])).resolves.toEqual([
+      '"Acme, ""Ltd"""',
+    ]);
+  });
+
+  it("doesn't leave listeners behind while waiting for the client", async () => {
+    // Every write fills the buffer, so each row waits for a drain
+    const res = new PassThrough({ highWaterMark: 1 });
+    res.resume();
+    const listeners = () => ({
+      close: res.listenerCount("close"),
+      error: res.listenerCount("error"),
+      drain: res.listenerCount("drain"),
+    });
+    const before = listeners();
+
+    await streamCsv(
+      Array.from({ length: 50 }, (_, i) => ({ name: `Lead ${i}` })),
+      ["name"],
+      res
+    );
+
+    expect(listeners()).toEqual(before);
+  });
+});
@@ -0,0 +1,178 @@
+import { jest } from "@jest/globals";
+import Lead from "../../models/Lead.js";
+import ImportJob from "../../models/ImportJob.js";
+import AuditEvent from "../../models/AuditEvent.js";
+import ForwardJob from "../../models/ForwardJob.js";
+import {
+  failInterruptedImports,
+  parseCsv,
+  readImportRows,
+  startImportJob,
+} from "../../utils/leadImporter.js";
+
+const HEADER =
+  "leadid,leadtype,name,date,time,category,city,dncmobile,dncphone,mobile";
+
+const csvRow = (leadid, overrides = {}) => {
+  const row = {
+    leadid,
+    leadtype: "category",
+    name: "Ravi Kumar",
+    date: "2024-03-15",
+    time: "09:15:00",
+    category: "Web Design",
+    city: "Pune",
+    dncmobile: "0",
+    dncphone: "0",
+    mobile: "9876543210",
+    ...overrides,
+  };
+  return HEADER.split(",")
+    .map((field) => row[field])
+    .join(",");
+};
+
+describe("parseCsv", () => {
+  it("handles quoted commas, quotes and line breaks", () => {
+    expect([
+      ...parseCsv('a,"b, c","say ""hi""","two\r\nlines"\r\n\r\nd,,e'),
+    ]).toEqual([
+      ["a", "b, c", 'say "hi"', "two\r\nlines"],
+      ["d", "", "e"],
+    ]);
+  });
+});
+
+describe("readImportRows", () => {
+  it("keys CSV rows by the header and leaves out empty cells", () => {
+    const buffer = Buffer.from("\uFEFFLeadID, Name ,City\nL1,Ravi,\n");
+
+    expect([...readImportRows(buffer, "csv")]).toEqual([
+      { row: 1, data: { leadid: "L1", name: "Ravi" } },
+    ]);
+  });
+
+  it("reports JSON lines that aren't objects", () => {
+    const buffer = Buffer.from('{"leadid":"L1"}\n\n[1]\n{oops\n');
+
+    expect([...readImportRows(buffer, "jsonl")]).toEqual([
+      { row: 1, data: { leadid: "L1" } },
+      { row: 2, error: "Row is not a JSON object" },
+      { row: 3, error: expect.stringMatching(/^Invalid JSON: /) },
+    ]);
+  });
+
+  it("reads nothing from an empty file", () => {
+    expect([...readImportRows(Buffer.from(""), "csv")]).toEqual([]);
+  });
+});
+
+describe("startImportJob", () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = [];
+    jest
+      .spyOn(Lead, "exists")
+      .mockImplementation(async ({ leadid }) => leadid === "L2");
+    jest.spyOn(Lead.prototype, "save").mockImplementation(async function () {
+      saved.push(this.toObject());
+      return this;
+    });
+    jest.spyOn(AuditEvent, "create").mockResolvedValue({});
+    jest.spyOn(ForwardJob, "updateOne").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Run a job over a file and resolve once it has finished
+  const runJob = (job, text) =>
+    new Promise((resolve) => {
+      jest
+        .spyOn(ImportJob.prototype, "save")
+        .mockImplementation(async function () {
+          if (this.completedAt) resolve(this);
+          return this;
+        });
+      startImportJob(job, Buffer.from(text), { actor: { type: "system" } });
+    });
+
+  it("imports valid rows and counts duplicates and failures", async () => {
+    const job = new ImportJob({ format: "csv", forward: true });
+
+    await runJob(
+      job,
+      [HEADER, csvRow("L1"), csvRow("L2"), csvRow("L3", { time: "9am" })].join(
+        "\n"
+      )
+    );
+
+    expect(job).toMatchObject({
+      status: "completed",
+      totalRows: 3,
+      imported: 1,
+      duplicates: 1,
+      failed: 1,
+    });
+    expect(job.rowErrors[0].toObject()).toEqual({
+      row: 3,
+      leadid: "L3",
+      details: [
+        {
+          field: "time",
+          message: "Please provide a valid time in HH:MM:SS format",
+        },
+      ],
+    });
+    expect(saved).toHaveLength(1);
+    expect(saved[0]).toMatchObject({
+      leadid: "L1",
+      status: "pending",
+      source: "import",
+      importJob: job._id,
+    });
+    expect(ForwardJob.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ leadid: "L1" }),
+      expect.anything(),
+      expect.anything()
+    );
+  });
+
+  it("keeps leads out of the queue unless asked to forward them", async () => {
+    const job = new ImportJob({ format: "csv", forward: false });
+
+    await runJob(job, [HEADER, csvRow("L1")].join("\n"));
+
+    expect(saved[0].status).toBe("imported");
+    expect(ForwardJob.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("fails the job when the database can't be reached", async () => {
+    Lead.exists.mockRejectedValue(new Error("down"));
+    const job = new ImportJob({ format: "csv" });
+
+    await runJob(job, [HEADER, csvRow("L1")].join("\n"));
+
+    expect(job).toMatchObject({ status: "failed", error: "down" });
+  });
+});
+
+describe("failInterruptedImports", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("fails queued and running jobs", async () => {
+    const updateMany = jest
+      .spyOn(ImportJob, "updateMany")
+      .mockResolvedValue({ modifiedCount: 2 });
+
+    await expect(failInterruptedImports()).resolves.toBe(2);
+    expect(updateMany.mock.calls[0][0]).toEqual({
+      status: { $in: ["queued", "running"] },
+    });
+    expect(updateMany.mock.calls[0][1].$set.status).toBe("failed");
+  });
+});
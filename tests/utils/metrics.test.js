@@ -0,0 +1,106 @@
+import { jest } from "@jest/globals";
+import {
+  METRICS_CONTENT_TYPE,
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+} from "../../utils/metrics.js";
+import { getMetrics } from "../../controllers/metricsController.js";
+
+// Pick the lines of the exposition text for one metric
+const linesFor = (name) =>
+  renderMetrics()
+    .split("\n")
+    .filter((line) => line.startsWith(name) || line.includes(` ${name} `));
+
+describe("metrics", () => {
+  it("exposes counters without labels at zero", () => {
+    const counter = createCounter({
+      name: "test_plain_total",
+      help: "A counter\nover two lines",
+    });
+
+    expect(linesFor("test_plain_total")).toEqual([
+      "# HELP test_plain_total A counter\\nover two lines",
+      "# TYPE test_plain_total counter",
+      "test_plain_total 0",
+    ]);
+
+    counter.inc();
+    counter.inc({}, 2);
+
+    expect(linesFor("test_plain_total")).toContain("test_plain_total 3");
+  });
+
+  it("keeps a series per label set whatever order labels come in", () => {
+    const counter = createCounter({
+      name: "test_labelled_total",
+      help: "A labelled counter",
+      labelNames: ["destination", "outcome"],
+    });
+
+    counter.inc({ destination: "CRM", outcome: "delivered" });
+    counter.inc({ outcome: "delivered", destination: "CRM" });
+    counter.inc({ destination: 'Say "hi"\\', outcome: "failed" });
+
+    expect(linesFor("test_labelled_total").slice(2)).toEqual([
+      'test_labelled_total{destination="CRM",outcome="delivered"} 2',
+      'test_labelled_total{destination="Say \\"hi\\"\\\\",outcome="failed"} 1',
+    ]);
+  });
+
+  it("sets gauges to the latest value", () => {
+    const gauge = createGauge({
+      name: "test_gauge",
+      help: "A gauge",
+      labelNames: ["status"],
+    });
+
+    gauge.set({ status: "queued" }, 5);
+    gauge.set({ status: "queued" }, 2);
+
+    expect(linesFor("test_gauge")).toContain('test_gauge{status="queued"} 2');
+  });
+
+  it("counts histogram observations into cumulative buckets", () => {
+    const histogram = createHistogram({
+      name: "test_duration_seconds",
+      help: "A histogram",
+      labelNames: ["destination"],
+      buckets: [1, 0.1],
+    });
+
+    histogram.observe({ destination: "CRM" }, 0.05);
+    histogram.observe({ destination: "CRM" }, 0.5);
+    histogram.observe({ destination: "CRM" }, 3);
+
+    expect(linesFor("test_duration_seconds").slice(2)).toEqual([
+      'test_duration_seconds_bucket{destination="CRM",le="0.1"} 1',
+      'test_duration_seconds_bucket{destination="CRM",le="1"} 2',
+      'test_duration_seconds_bucket{destination="CRM",le="+Inf"} 3',
+      'test_duration_seconds_sum{destination="CRM"} 3.55',
+      'test_duration_seconds_count{destination="CRM"} 3',
+    ]);
+  });
+});
+
+describe("getMetrics", () => {
+  it("serves the exposition text with the connection state", async () => {
+    const res = {};
+    res.set = jest.fn(() => res);
+    res.status = jest.fn(() => res);
+    res.send = jest.fn(() => res);
+
+    await getMetrics({}, res);
+
+    expect(res.set).toHaveBeenCalledWith("Content-Type", METRICS_CONTENT_TYPE);
+    expect(res.status).toHaveBeenCalledWith(200);
+
+    const body = res.send.mock.calls[0][0];
+    expect(body).toContain('mongodb_connection_state{state="disconnected"} 1');
+    expect(body).toContain('mongodb_connection_state{state="connected"} 0');
+    expect(body).toContain("# TYPE leads_received_total counter");
+    expect(body.endsWith("\n")).toBe(true);
+  });
+});
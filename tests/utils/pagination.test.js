@@ -0,0 +1,52 @@
+import { decodeCursor, encodeCursor } from "../../utils/pagination.js";
+
+const id = "65f1a2b3c4d5e6f708192a3b";
+
+const craft = (fields) =>
+  Buffer.from(
+    JSON.stringify({ s: "createdAt", d: -1, id, ...fields })
+  ).toString("base64url");
+
+describe("decodeCursor", () => {
+  it("reads back cursors from encodeCursor", () => {
+    const createdAt = new Date("2024-03-15T10:00:00.000Z");
+
+    expect(
+      decodeCursor(
+        encodeCursor({ _id: id, createdAt }, "createdAt", -1),
+        "createdAt",
+        -1
+      )
+    ).toEqual({ value: createdAt, id });
+    expect(
+      decodeCursor(
+        encodeCursor({ _id: id, city: "Pune" }, "city", 1),
+        "city",
+        1
+      )
+    ).toEqual({ value: "Pune", id });
+    expect(
+      decodeCursor(encodeCursor({ _id: id }, "city", 1), "city", 1)
+    ).toEqual({ value: null, id });
+  });
+
+  it.each([
+    ["an operator object", { v: { $ne: null } }],
+    ["an array", { v: ["a", "b"] }],
+    ["an object as a date", { v: { $gt: "" }, t: "date" }],
+    ["an invalid date", { v: "not-a-date", t: "date" }],
+    ["an unknown type", { v: "x", t: "regex" }],
+    ["an array id", { v: "x", id: [id] }],
+  ])("rejects a cursor with %s", (_, fields) => {
+    expect(decodeCursor(craft(fields), "createdAt", -1)).toBeNull();
+  });
+
+  it.each([
+    [["a", "b"]],
+    [{ $ne: "" }],
+    ["bm90IGpzb24"],
+    [craft({ s: "city" })],
+  ])("rejects the cursor %p", (cursor) => {
+    expect(decodeCursor(cursor, "createdAt", -1)).toBeNull();
+  });
+});
@@ -0,0 +1,108 @@
+import {
+  applyTransform,
+  formatDateValue,
+} from "../../utils/payloadTransformer.js";
+
+const lead = {
+  leadid: "L1",
+  prefix: "Mr",
+  name: "Ravi Kumar",
+  mobile: "9876543210",
+  phone: "02223456789",
+  email: "ravi@example.com",
+  category: "Web Design",
+  city: "Pune",
+  area: "",
+  enquiredAt: new Date("2024-03-15T03:45:00.000Z"),
+};
+
+describe("applyTransform", () => {
+  it("uses the default shape without a template", () => {
+    expect(applyTransform(lead)).toEqual({
+      name: "Mr Ravi Kumar",
+      "phone-number": "9876543210",
+      "email-address": "ravi@example.com",
+      "enquiry-date-time": "2024-03-15T03:45:00.000Z",
+      category: "Web Design",
+      city: "Pune",
+    });
+  });
+
+  it("applies field, constant, concat and date mappings in order", () => {
+    expect(
+      applyTransform(lead, {
+        base: "none",
+        fields: [
+          { target: "contact", type: "field", source: "fullName" },
+          { target: "source", type: "constant", value: "justdial" },
+          {
+            target: "location",
+            type: "concat",
+            sources: ["area", "city"],
+            separator: ", ",
+          },
+          {
+            target: "enquired",
+            type: "date",
+            format: "DD/MM/YYYY HH:mm",
+            timezone: "Asia/Kolkata",
+          },
+          { target: "phone", source: "phoneNumber" },
+        ],
+      })
+    ).toEqual({
+      contact: "Mr Ravi Kumar",
+      source: "justdial",
+      location: "Pune",
+      enquired: "15/03/2024 09:15",
+      phone: "9876543210",
+    });
+  });
+
+  it("uses fallbacks and leaves out empty values unless asked", () => {
+    const fields = [
+      { target: "area", source: "area" },
+      { target: "company", source: "company", fallback: "Individual" },
+    ];
+
+    expect(applyTransform(lead, { base: "none", fields })).toEqual({
+      company: "Individual",
+    });
+    expect(
+      applyTransform(lead, { base: "none", fields, omitEmpty: false })
+    ).toEqual({ area: null, company: "Individual" });
+  });
+
+  it("copies raw lead fields and removes excluded ones", () => {
+    const payload = applyTransform(lead, {
+      base: "lead",
+      exclude: ["email", "phone"],
+    });
+
+    expect(payload).toMatchObject({
+      leadid: "L1",
+      name: "Ravi Kumar",
+      mobile: "9876543210",
+    });
+    expect(payload).not.toHaveProperty("email");
+    expect(payload).not.toHaveProperty("phone");
+    expect(payload).not.toHaveProperty("area");
+  });
+});
+
+describe("formatDateValue", () => {
+  const date = new Date("2024-03-15T03:45:30.000Z");
+
+  it.each([
+    ["iso", "UTC", "2024-03-15T03:45:30.000Z"],
+    ["epoch", "UTC", 1710474330000],
+    ["epoch_seconds", "UTC", 1710474330],
+    ["YYYY-MM-DD HH:mm:ss", "Asia/Kolkata", "2024-03-15 09:15:30"],
+  ])("formats as %s in %s", (format, timezone, expected) => {
+    expect(formatDateValue(date, format, timezone)).toBe(expected);
+  });
+
+  it("returns undefined for invalid dates", () => {
+    expect(formatDateValue("not a date")).toBeUndefined();
+  });
+});
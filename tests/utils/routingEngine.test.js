@@ -0,0 +1,168 @@
+import { jest } from "@jest/globals";
+import RoutingRule from "../../models/RoutingRule.js";
+import {
+  getDefaultDestination,
+  invalidateRoutingRules,
+  resolveRoute,
+} from "../../utils/routingEngine.js";
+import { mockQuery } from "../helpers/mockQuery.js";
+
+// Rules as RoutingRule.find returns them, highest priority first
+const useRules = (rules) =>
+  jest.spyOn(RoutingRule, "find").mockReturnValue(mockQuery(rules));
+
+describe("resolveRoute", () => {
+  beforeEach(() => {
+    invalidateRoutingRules();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("uses the first rule whose conditions all match", async () => {
+    useRules([
+      {
+        name: "pune-company",
+        conditions: { cities: ["Pune"], leadtypes: ["company"] },
+        destinations: ["PUNE_CRM"],
+      },
+      {
+        name: "seo",
+        conditions: { category: { value: "seo", matchType: "regex" } },
+        destinations: ["SEO_CRM", "WHATSAPP_API"],
+      },
+    ]);
+
+    await expect(
+      resolveRoute({
+        city: " pune ",
+        leadtype: "category",
+        category: "SEO Services",
+      })
+    ).resolves.toEqual({
+      destinations: ["SEO_CRM", "WHATSAPP_API"],
+      rule: "seo",
+    });
+    await expect(
+      resolveRoute({ city: "Pune", leadtype: "company", category: "SEO" })
+    ).resolves.toEqual({ destinations: ["PUNE_CRM"], rule: "pune-company" });
+  });
+
+  it.each([
+    ["exact", "Web Design", "Web Design", true],
+    ["exact", "Web Design", "web design", false],
+    ["case_insensitive", "Web Design", " web design ", true],
+    ["regex", "^web", "Website Marketing", true],
+    ["regex", "^web", "Mobile Web", false],
+  ])(
+    "matches %s category %p against %p: %p",
+    async (matchType, value, category, matches) => {
+      useRules([
+        {
+          name: "category",
+          conditions: { category: { value, matchType } },
+          destinations: ["CRM"],
+        },
+      ]);
+
+      const { rule } = await resolveRoute({ category });
+      expect(rule === "category").toBe(matches);
+    }
+  );
+
+  it("matches pincode ranges and parent IDs", async () => {
+    useRules([
+      {
+        name: "mumbai",
+        conditions: {
+          pincodeRanges: [{ from: "400001", to: "400104" }],
+          parentids: ["P1"],
+        },
+        destinations: ["MUMBAI_CRM"],
+      },
+    ]);
+
+    await expect(
+      resolveRoute({ pincode: "400050", parentid: "P1" })
+    ).resolves.toMatchObject({ rule: "mumbai" });
+    await expect(
+      resolveRoute({ pincode: "411001", parentid: "P1" })
+    ).resolves.toMatchObject({ rule: null });
+  });
+
+  it("uses a fallback rule only when nothing else matches", async () => {
+    useRules([
+      {
+        name: "catch-all",
+        isFallback: true,
+        conditions: {},
+        destinations: ["FALLBACK_CRM"],
+      },
+      {
+        name: "delhi",
+        conditions: { cities: ["Delhi"] },
+        destinations: ["DELHI_CRM"],
+      },
+    ]);
+
+    await expect(resolveRoute({ city: "Delhi" })).resolves.toMatchObject({
+      rule: "delhi",
+    });
+    await expect(resolveRoute({ city: "Agra" })).resolves.toEqual({
+      destinations: ["FALLBACK_CRM"],
+      rule: "catch-all",
+    });
+  });
+
+  it("falls back to the built-in category mappings without rules", async () => {
+    useRules([]);
+
+    await expect(
+      resolveRoute({ category: "Bulk Whatsapp Messaging Services" })
+    ).resolves.toEqual({ destinations: ["WHATSAPP_API"], rule: null });
+  });
+
+  it("caches rules until they are invalidated", async () => {
+    const find = useRules([]);
+
+    await resolveRoute({ category: "Anything" });
+    await resolveRoute({ category: "Anything" });
+    expect(find).toHaveBeenCalledTimes(1);
+
+    invalidateRoutingRules();
+    await resolveRoute({ category: "Anything" });
+    expect(find).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("getDefaultDestination", () => {
+  it.each([
+    ["Digital Marketing Services", "MARKETING_API"],
+    [" Broadcast Services ", "WHATSAPP_API"],
+    ["Plumbers", "MARKETING_API"],
+    [undefined, "MARKETING_API"],
+  ])("maps %p to %s", (category, destination) => {
+    expect(getDefaultDestination(category)).toBe(destination);
+  });
+});
+
+describe("RoutingRule validation", () => {
+  it("rejects category patterns that don't compile", async () => {
+    const rule = new RoutingRule({
+      name: "broken",
+      conditions: { category: { value: "([a-z", matchType: "regex" } },
+      destinations: ["CRM"],
+    });
+
+    await expect(rule.validate()).rejects.toThrow(/Invalid category pattern/);
+  });
+
+  it("requires a destination", async () => {
+    const rule = new RoutingRule({ name: "nowhere", destinations: [] });
+
+    await expect(rule.validate()).rejects.toThrow(
+      /At least one destination is required/
+    );
+  });
+});
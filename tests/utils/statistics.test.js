@@ -0,0 +1,50 @@
+import {
+  LATENCY_BINS_PER_LOG_UNIT,
+  latencyFromBin,
+  summarizeLatencies,
+} from "../../utils/statistics.js";
+
+// Bin a latency the way latencyBinExpression does in the database
+const binOf = (latency) =>
+  Math.floor(Math.log(latency) * LATENCY_BINS_PER_LOG_UNIT);
+
+const toBins = (latencies) => {
+  const counts = new Map();
+  for (const latency of latencies) {
+    const bin = binOf(latency);
+    counts.set(bin, (counts.get(bin) || 0) + 1);
+  }
+  return [...counts].map(([bin, count]) => ({ bin, count }));
+};
+
+describe("summarizeLatencies", () => {
+  it("reads percentiles to within about 2.5%", () => {
+    const latencies = Array.from({ length: 1000 }, (_, i) => (i + 1) * 10);
+    const summary = summarizeLatencies(toBins(latencies));
+
+    expect(summary.count).toBe(1000);
+    for (const [key, exact] of [
+      ["p50", 5000],
+      ["p95", 9500],
+      ["p99", 9900],
+    ]) {
+      expect(Math.abs(summary[key] - exact) / exact).toBeLessThan(0.03);
+    }
+  });
+
+  it("uses the nearest rank", () => {
+    const summary = summarizeLatencies(toBins([100, 100, 100, 5000]));
+
+    expect(summary.p50).toBe(latencyFromBin(binOf(100)));
+    expect(summary.p99).toBe(latencyFromBin(binOf(5000)));
+  });
+
+  it("returns nulls without latencies", () => {
+    expect(summarizeLatencies([])).toEqual({
+      count: 0,
+      p50: null,
+      p95: null,
+      p99: null,
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { jest } from "@jest/globals";
+import Lead from "../../models/Lead.js";
+import ForwardJob from "../../models/ForwardJob.js";
+import DeliveryAttempt from "../../models/DeliveryAttempt.js";
+import AuditEvent from "../../models/AuditEvent.js";
+import { purgeTrashedLeads } from "../../utils/trashPurger.js";
+import { mockQuery } from "../helpers/mockQuery.js";
+
+describe("purgeTrashedLeads", () => {
+  const deletedAt = new Date("2024-01-01T00:00:00Z");
+
+  beforeEach(() => {
+    jest.spyOn(Lead, "find").mockReturnValue(
+      mockQuery([
+        { _id: "a", leadid: "L1", deletedAt },
+        { _id: "b", leadid: "L2", deletedAt },
+      ])
+    );
+    jest.spyOn(ForwardJob, "deleteMany").mockResolvedValue({});
+    jest.spyOn(DeliveryAttempt, "deleteMany").mockResolvedValue({});
+    jest.spyOn(AuditEvent, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("only cleans up after leads that were actually deleted", async () => {
+    // L2 is restored between the find and its delete
+    jest.spyOn(Lead, "deleteOne").mockImplementation(async ({ _id }) => ({
+      deletedCount: _id === "a" ? 1 : 0,
+    }));
+
+    await expect(purgeTrashedLeads()).resolves.toBe(1);
+
+    expect(ForwardJob.deleteMany).toHaveBeenCalledTimes(1);
+    expect(ForwardJob.deleteMany).toHaveBeenCalledWith({ leadid: "L1" });
+    expect(DeliveryAttempt.deleteMany).toHaveBeenCalledTimes(1);
+    expect(DeliveryAttempt.deleteMany).toHaveBeenCalledWith({ leadid: "L1" });
+    expect(AuditEvent.create).toHaveBeenCalledTimes(1);
+    expect(AuditEvent.create.mock.calls[0][0].entityId).toBe("L1");
+  });
+
+  it("keeps the lead's details out of the audit trail", async () => {
+    jest.spyOn(Lead, "deleteOne").mockResolvedValue({ deletedCount: 1 });
+
+    await purgeTrashedLeads();
+
+    const event = AuditEvent.create.mock.calls[0][0];
+    expect(event).toMatchObject({
+      action: "lead.purged",
+      entityId: "L1",
+      oldValue: { deletedAt },
+      metadata: { purgedAt: expect.any(Date) },
+    });
+    expect(Object.keys(event.oldValue)).toEqual(["deletedAt"]);
+  });
+
+  it("re-checks the retention cutoff when deleting", async () => {
+    const deleteOne = jest
+      .spyOn(Lead, "deleteOne")
+      .mockResolvedValue({ deletedCount: 1 });
+
+    await purgeTrashedLeads();
+
+    expect(deleteOne).toHaveBeenCalledWith({
+      _id: "a",
+      deletedAt: { $ne: null, $lte: expect.any(Date) },
+    });
+  });
+});
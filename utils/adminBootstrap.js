@@ -0,0 +1,25 @@
+import User from "../models/User.js";
+import { logger } from "./logger.js";
+
+/**
+ * Create the first admin from ADMIN_USERNAME and ADMIN_PASSWORD when no
+ * users exist yet, so a fresh deployment can be logged into
+ * @returns {Promise<void>}
+ */
+export const ensureAdminUser = async () => {
+  if (await User.exists({})) return;
+
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!username || !password) {
+    logger.warn(
+      "No users exist; set ADMIN_USERNAME and ADMIN_PASSWORD to create an admin"
+    );
+    return;
+  }
+
+  await User.create({ username, password, role: "admin" });
+
+  logger.info("Created initial admin user", { username });
+};
@@ -1,193 +1,184 @@
+import { Agent, fetch } from "undici";
 import { logger } from "./logger.js";
-
-// API endpoints for different categories
-const API_ENDPOINTS = {
-  // Marketing and advertising categories
-  MARKETING_API:
-    "https://crm-leads-service.pointofconnect.com/api/leads/webapi/b49a0df6-0516-440a-a22d-c79a3dad7011",
-  // WhatsApp and broadcast categories
-  WHATSAPP_API:
-    "https://crm-leads-service.pointofconnect.com/api/leads/webapi/3bf6fe8f-5c5d-4182-86d2-9dfa19a62220",
-};
-
-// Category mappings
-const CATEGORY_MAPPINGS = {
-  // Marketing and advertising categories - goes to first API
-  MARKETING_CATEGORIES: [
-    "Advertising Agencies",
-    "Branding Services",
-    "Website Marketing Services",
-    "Campaign Management Services",
-    "Content Creation Services",
-    "Digital Marketing Services",
-    "Google Ads Certified Partners",
-    "Marketing Agencies",
-    "Marketing Services",
-    "Pay Per Click Services",
-    "Social Media Consultants",
-    "Social Media Marketing Agencies",
-  ],
-
-  // WhatsApp and broadcast categories - goes to second API
-  WHATSAPP_CATEGORIES: [
-    "Broadcast Services",
-    "Whatsapp Business Api Services",
-    "Whatsapp Marketing Services",
-    "Bulk Whatsapp Messaging Services",
-  ],
-};
+import { resolveRoute } from "./routingEngine.js";
+import { getDestination } from "./destinationRegistry.js";
+import { applyTransform } from "./payloadTransformer.js";
+import { buildAuth } from "./destinationAuth.js";
+import { acquireCircuit, recordCircuitOutcome } from "./circuitBreaker.js";
+import { recordDeliveryAttempt } from "./deliveryLog.js";
+import { applyDndPolicy, tagDndPayload } from "./dndPolicy.js";
+import { formatLeadPhones } from "./contactNormalization.js";
+import { FORWARD_ERROR_CODES, classifyForwardError } from "./forwardErrors.js";
+import { forwardDuration, forwardOutcomes } from "./metrics.js";
+
+// Connection pools keyed by their timeouts, shared by destinations that
+// use the same settings
+const agents = new Map();
 
 /**
- * Determine which API endpoint to use based on the lead category
- * @param {string} category - The lead category
- * @returns {string} - The appropriate API endpoint
+ * Get the connection pool enforcing a destination's timeouts
+ * @param {number} connectTimeoutMs - Time allowed to open the connection
+ * @param {number} responseTimeoutMs - Time allowed to wait for the response
+ * headers, and between chunks of the response body
+ * @returns {Agent}
  */
-export const getApiEndpoint = (category) => {
-  if (!category) {
-    logger.warn("No category provided, defaulting to marketing API");
-    return API_ENDPOINTS.MARKETING_API;
+const getAgent = (connectTimeoutMs, responseTimeoutMs) => {
+  const key = `${connectTimeoutMs}:${responseTimeoutMs}`;
+
+  if (!agents.has(key)) {
+    agents.set(
+      key,
+      new Agent({
+        connect: { timeout: connectTimeoutMs },
+        headersTimeout: responseTimeoutMs,
+        bodyTimeout: responseTimeoutMs,
+      })
+    );
   }
 
-  const normalizedCategory = category.trim();
-
-  if (CATEGORY_MAPPINGS.WHATSAPP_CATEGORIES.includes(normalizedCategory)) {
-    logger.info(`Category "${normalizedCategory}" mapped to WhatsApp API`);
-    return API_ENDPOINTS.WHATSAPP_API;
-  }
-
-  // Default to marketing API for all other categories
-  logger.info(`Category "${normalizedCategory}" mapped to Marketing API`);
-  return API_ENDPOINTS.MARKETING_API;
+  return agents.get(key);
 };
 
 /**
- * Transform lead data to the format expected by external APIs
- * @param {Object} leadData - The original lead data
- * @returns {Object} - Transformed data for API
+ * Encode a payload in the destination's content type
+ * @param {Object} payload - The payload to send
+ * @param {string} contentType - "json" or "form"
+ * @returns {Object} - `{ body, contentTypeHeader }`
  */
-export const transformLeadData = (leadData) => {
-  const transformed = {};
-
-  // Map fields according to requirements
-  if (leadData.prefix && leadData.name) {
-    transformed.name = `${leadData.prefix} ${leadData.name}`.trim();
-  } else if (leadData.name) {
-    transformed.name = leadData.name;
-  }
-
-  // Phone number - prefer mobile over phone
-  if (leadData.mobile) {
-    transformed["phone-number"] = leadData.mobile;
-  } else if (leadData.phone) {
-    transformed["phone-number"] = leadData.phone;
-  }
-
-  // Email
-  if (leadData.email) {
-    transformed["email-address"] = leadData.email;
-  }
-
-  // Date and time combination
-  if (leadData.date && leadData.time) {
-    const dateTime = new Date(leadData.date);
-    const [hours, minutes, seconds] = leadData.time.split(":");
-    dateTime.setHours(parseInt(hours), parseInt(minutes), parseInt(seconds));
-    transformed["enquiry-date-time"] = dateTime.toISOString();
-  } else if (leadData.date) {
-    transformed["enquiry-date-time"] = new Date(leadData.date).toISOString();
-  }
-
-  // Category
-  if (leadData.category) {
-    transformed.category = leadData.category;
-  }
-
-  // City
-  if (leadData.city) {
-    transformed.city = leadData.city;
-  }
-
-  // Area
-  if (leadData.area) {
-    transformed.area = leadData.area;
-  }
-
-  // Branch area
-  if (leadData.brancharea) {
-    transformed["branch-area"] = leadData.brancharea;
-  }
+const encodeBody = (payload, contentType) => {
+  if (contentType === "form") {
+    const params = new URLSearchParams();
+
+    for (const [key, value] of Object.entries(payload)) {
+      if (value === undefined || value === null) continue;
+      params.append(
+        key,
+        typeof value === "object" ? JSON.stringify(value) : String(value)
+      );
+    }
 
-  // Pincode
-  if (leadData.pincode) {
-    transformed.pincode = leadData.pincode;
+    return {
+      body: params.toString(),
+      contentTypeHeader: "application/x-www-form-urlencoded",
+    };
   }
 
-  return transformed;
+  return {
+    body: JSON.stringify(payload),
+    contentTypeHeader: "application/json",
+  };
 };
 
 /**
- * Send lead data to external API
+ * Send lead data to external API. The request is aborted once the
+ * connect and response timeouts together have elapsed, so a destination
+ * trickling its response can't hold the request open either.
  * @param {Object} leadData - The lead data to send
- * @param {string} apiEndpoint - The API endpoint to send to
- * @returns {Promise<Object>} - API response
+ * @param {Object} destination - The destination to send to
+ * @param {Object} [context]
+ * @param {string} [context.leadid] - Lead being sent, for logging
+ * @returns {Promise<Object>} - API response, with the request and response
+ * details in `exchange`
+ * @throws {Error} - With `errorCode` set to one of FORWARD_ERROR_CODES and
+ * whatever was exchanged before the failure in `exchange`
  */
-export const sendLeadToApi = async (leadData, apiEndpoint) => {
+export const sendLeadToApi = async (leadData, destination, { leadid } = {}) => {
   const startTime = Date.now();
+  // Auth headers are left out since they carry secrets
+  const exchange = {};
 
   try {
     logger.info("Sending lead to external API", {
-      endpoint: apiEndpoint,
-      leadId: leadData.leadid,
+      destination: destination.name,
+      leadId: leadid,
     });
 
-    const response = await fetch(apiEndpoint, {
-      method: "POST",
+    const { body, contentTypeHeader } = encodeBody(
+      leadData,
+      destination.contentType
+    );
+    const auth = buildAuth(destination.auth, body);
+
+    const url = new URL(destination.url);
+    for (const [name, value] of Object.entries(auth.query)) {
+      url.searchParams.set(name, value);
+    }
+
+    const { connectTimeoutMs, timeoutMs } = destination;
+
+    exchange.requestHeaders = {
+      "Content-Type": contentTypeHeader,
+      Accept: "application/json",
+      ...destination.headers,
+    };
+
+    const response = await fetch(url, {
+      method: destination.method || "POST",
       headers: {
-        "Content-Type": "application/json",
-        Accept: "application/json",
+        ...exchange.requestHeaders,
+        ...auth.headers,
       },
-      body: JSON.stringify(leadData),
-      timeout: 30000, // 30 second timeout
+      body,
+      dispatcher: getAgent(connectTimeoutMs, timeoutMs),
+      signal: AbortSignal.timeout(connectTimeoutMs + timeoutMs),
     });
 
+    exchange.status = response.status;
+    exchange.responseHeaders = Object.fromEntries(response.headers);
+    const responseText = await response.text();
+    exchange.responseBody = responseText;
+
     const processingTime = Date.now() - startTime;
 
     if (!response.ok) {
-      const errorText = await response.text();
       logger.error("External API request failed", {
         status: response.status,
         statusText: response.statusText,
-        error: errorText,
+        error: responseText,
         processingTime,
-        leadId: leadData.leadid,
+        leadId: leadid,
+        destination: destination.name,
       });
 
-      throw new Error(
+      const error = new Error(
         `API request failed: ${response.status} ${response.statusText}`
       );
+      error.status = response.status;
+      throw error;
     }
 
-    const responseData = await response.json();
+    let responseData = responseText;
+    try {
+      responseData = JSON.parse(responseText);
+    } catch {
+      // Not every CRM answers with JSON
+    }
 
     logger.info("Lead sent to external API successfully", {
       status: response.status,
       processingTime,
-      leadId: leadData.leadid,
+      leadId: leadid,
+      destination: destination.name,
     });
 
     return {
       success: true,
       data: responseData,
       processingTime,
+      exchange,
     };
   } catch (error) {
     const processingTime = Date.now() - startTime;
 
+    error.errorCode = classifyForwardError(error);
+    error.exchange = exchange;
+
     logger.error("Failed to send lead to external API", {
       error: error.message,
+      errorCode: error.errorCode,
       processingTime,
-      leadId: leadData.leadid,
-      endpoint: apiEndpoint,
+      leadId: leadid,
+      destination: destination.name,
     });
 
     throw error;
@@ -195,31 +186,259 @@ export const sendLeadToApi = async (leadData, apiEndpoint) => {
 };
 
 /**
- * Process and forward lead to appropriate external API
+ * Transform a lead for one destination and forward it there
+ * @param {Object} leadData - The lead data
+ * @param {string} name - Destination name
+ * @returns {Promise<Object>} - Delivery outcome for the destination
+ */
+const forwardToDestination = async (leadData, name) => {
+  const destination = await getDestination(name);
+
+  if (!destination || !destination.enabled) {
+    const outcome = {
+      destination: name,
+      success: false,
+      errorCode: FORWARD_ERROR_CODES.DESTINATION_UNAVAILABLE,
+      error: destination
+        ? `Destination disabled: ${name}`
+        : `Unknown destination: ${name}`,
+    };
+
+    await recordDeliveryAttempt({
+      leadid: leadData.leadid,
+      destination: destination || { name },
+      status: "unavailable",
+      success: false,
+      errorCode: outcome.errorCode,
+      error: outcome.error,
+    });
+
+    return outcome;
+  }
+
+  // DND numbers are handled before anything is sent; a blocked lead is
+  // complete for this destination and never retried
+  const dnd = applyDndPolicy(
+    formatLeadPhones(leadData, destination.phoneFormat),
+    destination
+  );
+
+  if (dnd.blocked) {
+    logger.info("Lead blocked by DND policy", {
+      leadId: leadData.leadid,
+      destination: name,
+    });
+
+    await recordDeliveryAttempt({
+      leadid: leadData.leadid,
+      destination,
+      status: "blocked",
+      success: true,
+    });
+
+    return {
+      destination: name,
+      success: true,
+      blocked: true,
+      dndAction: dnd.action,
+    };
+  }
+
+  let payload;
+  try {
+    // Transform the lead data to the format the destination expects
+    payload = applyTransform(dnd.leadData, destination.transform);
+  } catch (error) {
+    const outcome = {
+      destination: name,
+      success: false,
+      errorCode: FORWARD_ERROR_CODES.TRANSFORM_FAILED,
+      error: `Payload transform failed: ${error.message}`,
+    };
+
+    await recordDeliveryAttempt({
+      leadid: leadData.leadid,
+      destination,
+      status: "transform_failed",
+      success: false,
+      errorCode: outcome.errorCode,
+      error: outcome.error,
+    });
+
+    return outcome;
+  }
+
+  if (dnd.action === "tag") {
+    payload = tagDndPayload(payload, destination);
+  }
+
+  // Don't wait on a destination that is known to be down; the delivery is
+  // deferred until its breaker lets requests through again
+  const permit = acquireCircuit(destination);
+
+  if (!permit.allowed) {
+    const outcome = {
+      destination: name,
+      success: false,
+      deferred: true,
+      retryAt: permit.retryAt,
+      errorCode: FORWARD_ERROR_CODES.CIRCUIT_OPEN,
+      error: `Circuit open for destination: ${name}`,
+    };
+
+    await recordDeliveryAttempt({
+      leadid: leadData.leadid,
+      destination,
+      status: "deferred",
+      success: false,
+      errorCode: outcome.errorCode,
+      error: outcome.error,
+    });
+
+    return outcome;
+  }
+
+  const startTime = Date.now();
+
+  try {
+    const result = await sendLeadToApi(payload, destination, {
+      leadid: leadData.leadid,
+    });
+
+    recordCircuitOutcome(destination, true, permit);
+    forwardDuration.observe(
+      { destination: name },
+      result.processingTime / 1000
+    );
+
+    await recordDeliveryAttempt({
+      leadid: leadData.leadid,
+      destination,
+      status: "delivered",
+      success: true,
+      payload,
+      exchange: result.exchange,
+      latencyMs: result.processingTime,
+    });
+
+    return {
+      destination: name,
+      success: true,
+      dndAction: dnd.action,
+      data: result.data,
+      processingTime: result.processingTime,
+    };
+  } catch (error) {
+    // Client errors mean the destination is up but rejected this lead,
+    // and configuration errors never reached it
+    const destinationHealthy =
+      (error.errorCode === FORWARD_ERROR_CODES.HTTP_4XX &&
+        error.status !== 429) ||
+      error.errorCode === FORWARD_ERROR_CODES.CONFIG_ERROR;
+    recordCircuitOutcome(destination, destinationHealthy, permit);
+    forwardDuration.observe(
+      { destination: name },
+      (Date.now() - startTime) / 1000
+    );
+
+    await recordDeliveryAttempt({
+      leadid: leadData.leadid,
+      destination,
+      status: "failed",
+      success: false,
+      payload,
+      exchange: error.exchange,
+      latencyMs: Date.now() - startTime,
+      errorCode: error.errorCode,
+      error: error.message,
+    });
+
+    return {
+      destination: name,
+      success: false,
+      dndAction: dnd.action,
+      errorCode: error.errorCode,
+      error: error.message,
+    };
+  }
+};
+
+// Outcome label a delivery is counted under in the forward metrics
+const getForwardOutcome = (delivery) => {
+  if (delivery.blocked) return "blocked";
+  if (delivery.success) return "delivered";
+  return delivery.deferred ? "deferred" : "failed";
+};
+
+/**
+ * Process and forward lead to every destination it is routed to. Leads
+ * that already have delivery state are only re-sent to the destinations
+ * that have not received them yet.
  * @param {Object} leadData - The lead data to process
- * @returns {Promise<Object>} - Processing result
+ * @returns {Promise<Object>} - Processing result with one entry per
+ * destination in `deliveries`
  */
 export const processAndForwardLead = async (leadData) => {
+  const startTime = Date.now();
+
   try {
-    // Determine the appropriate API endpoint based on category
-    const apiEndpoint = getApiEndpoint(leadData.category);
+    let destinations;
+    let routingRule = null;
+
+    if (leadData.deliveries?.length) {
+      destinations = leadData.deliveries
+        .filter(
+          (delivery) => !["delivered", "blocked"].includes(delivery.status)
+        )
+        .map((delivery) => delivery.destination);
+    } else {
+      // Determine the destinations from the routing rules
+      const route = await resolveRoute(leadData);
+      destinations = route.destinations;
+      routingRule = route.rule;
+    }
 
-    // Transform the lead data to the expected format
-    const transformedData = transformLeadData(leadData);
+    // Send to every destination in parallel
+    const deliveries = await Promise.all(
+      destinations.map((destination) =>
+        forwardToDestination(leadData, destination)
+      )
+    );
+
+    for (const delivery of deliveries) {
+      forwardOutcomes.inc({
+        destination: delivery.destination,
+        outcome: getForwardOutcome(delivery),
+      });
+    }
 
-    // Send to external API
-    const result = await sendLeadToApi(transformedData, apiEndpoint);
+    const failures = deliveries.filter((delivery) => !delivery.success);
+    const deferrals = deliveries.filter((delivery) => delivery.deferred);
 
     return {
-      success: true,
-      apiEndpoint,
+      success: failures.length === 0,
+      destinations,
+      routingRule,
+      deliveries,
+      ...(deferrals.length > 0 && {
+        deferred: true,
+        retryAt: new Date(
+          Math.min(...deferrals.map((delivery) => delivery.retryAt.getTime()))
+        ),
+      }),
       category: leadData.category,
-      ...result,
+      ...(failures.length > 0 && {
+        error: failures
+          .map((failure) => `${failure.destination}: ${failure.error}`)
+          .join("; "),
+      }),
+      processingTime: Date.now() - startTime,
     };
   } catch (error) {
     return {
       success: false,
       error: error.message,
+      deliveries: [],
       category: leadData.category,
     };
   }
@@ -0,0 +1,65 @@
+import AuditEvent from "../models/AuditEvent.js";
+import { logger } from "./logger.js";
+
+// Context for changes the service makes on its own
+export const SYSTEM_CONTEXT = { actor: { type: "system" } };
+
+/**
+ * Describe who is making a request, for audit events
+ * @param {Object} req - Express request
+ * @returns {Object} - `{ actor, ip, userAgent }`
+ */
+export const getAuditContext = (req) => ({
+  actor: req.user
+    ? {
+        type: "user",
+        userId: req.user._id,
+        username: req.user.username,
+        role: req.user.role,
+      }
+    : { type: "webhook" },
+  ip: req.ip,
+  userAgent: req.get("User-Agent"),
+});
+
+/**
+ * Record an audit event. Failures are logged rather than thrown so the
+ * change being audited isn't reported as failed after it was made.
+ * @param {Object} event
+ * @param {string} event.action - One of AUDIT_ACTIONS
+ * @param {string} event.entityType - Type of the changed entity
+ * @param {string} event.entityId - ID of the changed entity
+ * @param {Object} [event.context=SYSTEM_CONTEXT] - From getAuditContext
+ * @param {*} [event.oldValue] - Value before the change
+ * @param {*} [event.newValue] - Value after the change
+ * @param {Object} [event.metadata] - Anything else worth keeping
+ * @returns {Promise<void>}
+ */
+export const recordAuditEvent = async ({
+  action,
+  entityType,
+  entityId,
+  context = SYSTEM_CONTEXT,
+  oldValue,
+  newValue,
+  metadata,
+}) => {
+  try {
+    await AuditEvent.create({
+      action,
+      entityType,
+      entityId: String(entityId),
+      ...context,
+      oldValue,
+      newValue,
+      metadata,
+    });
+  } catch (error) {
+    logger.error("Failed to record audit event", {
+      action,
+      entityType,
+      entityId,
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,127 @@
+import jwt from "jsonwebtoken";
+import { logger } from "./logger.js";
+
+const SECRET_ENV_VARS = ["JWT_SECRET", "JWT_REFRESH_SECRET"];
+
+// Values env.example used to ship with
+const PLACEHOLDER_SECRETS = ["change-me", "change-me-too"];
+
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Read a signing secret, refusing to issue or accept tokens without one
+ * @param {string} envVar - Environment variable holding the secret
+ * @returns {string} - The secret
+ */
+const getSecret = (envVar) => {
+  const secret = process.env[envVar];
+
+  if (!secret) {
+    throw new Error(`${envVar} is not configured`);
+  }
+
+  return secret;
+};
+
+/**
+ * Check the signing secrets before the service starts. In production a
+ * missing, placeholder or short secret stops startup, since anyone who
+ * knows it can mint admin tokens; elsewhere it is only logged.
+ * @returns {void}
+ * @throws {Error} - In production, when a secret is unsafe
+ */
+export const checkJwtSecrets = () => {
+  const problems = SECRET_ENV_VARS.flatMap((envVar) => {
+    const secret = process.env[envVar];
+
+    if (!secret) return [`${envVar} is not configured`];
+    if (PLACEHOLDER_SECRETS.includes(secret)) {
+      return [`${envVar} is set to a placeholder`];
+    }
+    if (secret.length < MIN_SECRET_LENGTH) {
+      return [`${envVar} must be at least ${MIN_SECRET_LENGTH} characters`];
+    }
+    return [];
+  });
+
+  if (problems.length === 0) return;
+
+  if (process.env.NODE_ENV === "production") {
+    throw new Error(problems.join("; "));
+  }
+
+  logger.warn("JWT secrets are not safe for production", { problems });
+};
+
+/**
+ * Issue a short-lived access token carrying the user's role
+ * @param {Object} user - The user
+ * @returns {string} - Signed JWT
+ */
+export const signAccessToken = (user) =>
+  jwt.sign(
+    { sub: user._id.toString(), role: user.role, type: "access" },
+    getSecret("JWT_SECRET"),
+    { expiresIn: process.env.JWT_EXPIRES_IN || "15m" }
+  );
+
+/**
+ * Issue a refresh token; it stays valid until it expires or the user's
+ * token version changes
+ * @param {Object} user - The user
+ * @returns {string} - Signed JWT
+ */
+export const signRefreshToken = (user) =>
+  jwt.sign(
+    {
+      sub: user._id.toString(),
+      version: user.tokenVersion,
+      type: "refresh",
+    },
+    getSecret("JWT_REFRESH_SECRET"),
+    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "7d" }
+  );
+
+/**
+ * Verify an access token
+ * @param {string} token - The token
+ * @returns {Object} - Token claims
+ * @throws {JsonWebTokenError|TokenExpiredError}
+ */
+export const verifyAccessToken = (token) => {
+  const claims = jwt.verify(token, getSecret("JWT_SECRET"));
+
+  if (claims.type !== "access") {
+    throw new jwt.JsonWebTokenError("Not an access token");
+  }
+
+  return claims;
+};
+
+/**
+ * Verify a refresh token
+ * @param {string} token - The token
+ * @returns {Object} - Token claims
+ * @throws {JsonWebTokenError|TokenExpiredError}
+ */
+export const verifyRefreshToken = (token) => {
+  const claims = jwt.verify(token, getSecret("JWT_REFRESH_SECRET"));
+
+  if (claims.type !== "refresh") {
+    throw new jwt.JsonWebTokenError("Not a refresh token");
+  }
+
+  return claims;
+};
+
+/**
+ * Issue an access and refresh token pair
+ * @param {Object} user - The user
+ * @returns {Object} - Tokens for the login and refresh responses
+ */
+export const issueTokens = (user) => ({
+  accessToken: signAccessToken(user),
+  refreshToken: signRefreshToken(user),
+  tokenType: "Bearer",
+  expiresIn: process.env.JWT_EXPIRES_IN || "15m",
+});
@@ -0,0 +1,175 @@
+import { logger } from "./logger.js";
+
+// Breaker state per destination name. State is kept in memory, so each
+// instance of the service trips its breakers independently.
+const breakers = new Map();
+
+/**
+ * Read the breaker settings for a destination, falling back to the
+ * environment for anything the destination doesn't override
+ * @param {Object} destination - The destination
+ * @returns {Object} - Breaker settings
+ */
+const getBreakerConfig = (destination) => {
+  const overrides = Object.fromEntries(
+    Object.entries(destination.circuitBreaker || {}).filter(
+      ([, value]) => value !== undefined && value !== null
+    )
+  );
+
+  return {
+    failureRateThreshold:
+      parseFloat(process.env.CIRCUIT_FAILURE_RATE_THRESHOLD) || 0.5,
+    minimumRequests: parseInt(process.env.CIRCUIT_MINIMUM_REQUESTS) || 5,
+    windowMs: parseInt(process.env.CIRCUIT_WINDOW_MS) || 60 * 1000,
+    openDurationMs: parseInt(process.env.CIRCUIT_OPEN_DURATION_MS) || 30 * 1000,
+    halfOpenProbes: parseInt(process.env.CIRCUIT_HALF_OPEN_PROBES) || 1,
+    ...overrides,
+  };
+};
+
+const getBreaker = (name) => {
+  if (!breakers.has(name)) {
+    breakers.set(name, {
+      state: "closed",
+      outcomes: [],
+      openedAt: null,
+      probesInFlight: 0,
+      probeSuccesses: 0,
+      changedAt: new Date(),
+    });
+  }
+
+  return breakers.get(name);
+};
+
+const transition = (name, breaker, state) => {
+  logger.warn(`Circuit breaker for ${name} ${breaker.state} -> ${state}`);
+
+  breaker.state = state;
+  breaker.changedAt = new Date();
+  breaker.probesInFlight = 0;
+  breaker.probeSuccesses = 0;
+
+  if (state === "open") {
+    breaker.openedAt = Date.now();
+  } else if (state === "closed") {
+    breaker.outcomes = [];
+    breaker.openedAt = null;
+  }
+};
+
+/**
+ * Ask the breaker whether a request to a destination may go ahead
+ * @param {Object} destination - The destination
+ * @returns {Object} - `{ allowed, probe }`, or `{ allowed: false, retryAt }`
+ * while the breaker is open
+ */
+export const acquireCircuit = (destination) => {
+  const config = getBreakerConfig(destination);
+  const breaker = getBreaker(destination.name);
+
+  if (
+    breaker.state === "open" &&
+    Date.now() - breaker.openedAt >= config.openDurationMs
+  ) {
+    transition(destination.name, breaker, "half_open");
+  }
+
+  if (breaker.state === "closed") {
+    return { allowed: true, probe: false };
+  }
+
+  if (
+    breaker.state === "half_open" &&
+    breaker.probesInFlight < config.halfOpenProbes
+  ) {
+    breaker.probesInFlight++;
+    return { allowed: true, probe: true };
+  }
+
+  const reopensAt = (breaker.openedAt || Date.now()) + config.openDurationMs;
+
+  return {
+    allowed: false,
+    retryAt: new Date(Math.max(reopensAt, Date.now() + 1000)),
+  };
+};
+
+/**
+ * Record the outcome of a request the breaker allowed
+ * @param {Object} destination - The destination
+ * @param {boolean} success - Whether the destination responded healthily
+ * @param {Object} permit - The permit returned by acquireCircuit
+ * @returns {void}
+ */
+export const recordCircuitOutcome = (destination, success, permit) => {
+  const config = getBreakerConfig(destination);
+  const breaker = getBreaker(destination.name);
+
+  if (permit.probe) {
+    // The breaker may have been reset while the probe was in flight
+    if (breaker.state !== "half_open") return;
+
+    breaker.probesInFlight = Math.max(breaker.probesInFlight - 1, 0);
+
+    if (!success) {
+      transition(destination.name, breaker, "open");
+    } else if (++breaker.probeSuccesses >= config.halfOpenProbes) {
+      transition(destination.name, breaker, "closed");
+    }
+    return;
+  }
+
+  if (breaker.state !== "closed") return;
+
+  const now = Date.now();
+  breaker.outcomes.push({ at: now, success });
+  breaker.outcomes = breaker.outcomes.filter(
+    (outcome) => now - outcome.at <= config.windowMs
+  );
+
+  const failures = breaker.outcomes.filter((outcome) => !outcome.success);
+  const failureRate = failures.length / breaker.outcomes.length;
+
+  if (
+    breaker.outcomes.length >= config.minimumRequests &&
+    failureRate >= config.failureRateThreshold
+  ) {
+    transition(destination.name, breaker, "open");
+  }
+};
+
+/**
+ * Close a destination's breaker and forget its recent outcomes
+ * @param {string} name - Destination name
+ * @returns {boolean} - Whether the destination had a breaker
+ */
+export const resetCircuit = (name) => {
+  const breaker = breakers.get(name);
+
+  if (!breaker) {
+    return false;
+  }
+
+  transition(name, breaker, "closed");
+  return true;
+};
+
+/**
+ * Describe the state of every breaker
+ * @returns {Array} - Breaker states
+ */
+export const getCircuitStates = () =>
+  [...breakers.entries()].map(([name, breaker]) => {
+    const failures = breaker.outcomes.filter((o) => !o.success).length;
+
+    return {
+      destination: name,
+      state: breaker.state,
+      since: breaker.changedAt,
+      recentRequests: breaker.outcomes.length,
+      recentFailures: failures,
+      ...(breaker.openedAt && { openedAt: new Date(breaker.openedAt) }),
+    };
+  });
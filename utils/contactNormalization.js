@@ -0,0 +1,104 @@
+export const PHONE_FORMATS = ["raw", "e164", "national"];
+
+const INVALID_PHONE = { e164: null, type: null, valid: false };
+
+/**
+ * Parse an Indian mobile or landline number into E.164. Accepts numbers
+ * with or without the +91/0091/91 country code or the 0 trunk prefix;
+ * landlines must include their STD code. Numbers starting 6-9 are typed
+ * as mobiles, which also covers landlines in STD areas starting 6-9.
+ * @param {string|number} value - Phone number as received
+ * @returns {Object|null} - `{ e164, type, valid }`, or null when empty
+ */
+export const parseIndianPhone = (value) => {
+  if (value === undefined || value === null) return null;
+
+  const raw = String(value).trim();
+  if (raw === "") return null;
+
+  let digits = raw.replace(/\D/g, "");
+
+  if (raw.startsWith("+") || digits.startsWith("00")) {
+    digits = digits.replace(/^00/, "");
+    // Only Indian numbers can be normalised
+    if (!digits.startsWith("91")) return { ...INVALID_PHONE };
+    digits = digits.slice(2);
+  } else if (digits.length >= 12 && digits.startsWith("91")) {
+    digits = digits.slice(2);
+  }
+
+  // Trunk prefix, also written after the country code as in +91 (0)22...
+  if (digits.length === 11 && digits.startsWith("0")) {
+    digits = digits.slice(1);
+  }
+
+  if (!/^[1-9]\d{9}$/.test(digits)) return { ...INVALID_PHONE };
+
+  return {
+    e164: `+91${digits}`,
+    type: /^[6-9]/.test(digits) ? "mobile" : "landline",
+    valid: true,
+  };
+};
+
+/**
+ * Normalise a lead's mobile and phone numbers. The raw values stay on the
+ * lead as received.
+ * @param {Object} leadData - The lead data
+ * @returns {Object} - `{ mobile, phone }` as returned by parseIndianPhone
+ */
+export const normalizeLeadPhones = (leadData) => ({
+  mobile: parseIndianPhone(leadData.mobile),
+  phone: parseIndianPhone(leadData.phone),
+});
+
+/**
+ * Put a lead's numbers in the form a destination receives. Invalid numbers
+ * are always sent as received.
+ * @param {Object} leadData - The lead data
+ * @param {string} [format="raw"] - "raw", "e164" or "national" (10 digits)
+ * @returns {Object} - Lead data with the numbers formatted
+ */
+export const formatLeadPhones = (leadData, format = "raw") => {
+  if (format === "raw") return leadData;
+
+  const formatted = { ...leadData };
+
+  for (const [field, parsed] of Object.entries(normalizeLeadPhones(leadData))) {
+    if (parsed?.valid) {
+      formatted[field] = format === "e164" ? parsed.e164 : parsed.e164.slice(3);
+    }
+  }
+
+  return formatted;
+};
+
+/**
+ * Normalise an email address for matching
+ * @param {string} value - Email address as received
+ * @returns {string|null} - Normalised address
+ */
+export const normalizeEmail = (value) => {
+  if (typeof value !== "string") return null;
+
+  const email = value.trim().toLowerCase();
+  return email.includes("@") ? email : null;
+};
+
+/**
+ * Build the contact keys a lead is matched on by the dedup rules. Phones
+ * are matched on their E.164 form, so numbers that do not parse as Indian
+ * numbers are left out.
+ * @param {Object} leadData - The lead data
+ * @returns {Object} - `{ phones, email }`
+ */
+export const getContactKeys = (leadData) => ({
+  phones: [
+    ...new Set(
+      Object.values(normalizeLeadPhones(leadData))
+        .filter((parsed) => parsed?.valid)
+        .map((parsed) => parsed.e164)
+    ),
+  ],
+  email: normalizeEmail(leadData.email),
+});
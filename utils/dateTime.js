@@ -0,0 +1,261 @@
+const DEFAULT_SOURCE_TIMEZONE = "Asia/Kolkata";
+
+/**
+ * Get the timezone lead dates and times are received in
+ * @returns {string} - IANA timezone
+ */
+export const getSourceTimezone = () =>
+  process.env.LEAD_SOURCE_TIMEZONE || DEFAULT_SOURCE_TIMEZONE;
+
+/**
+ * Split an instant into its wall clock fields in a timezone
+ * @param {Date} date - The instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - Zero-padded `{ year, month, day, hour, minute, second }`
+ */
+export const getZonedParts = (date, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+const getTimezoneOffset = (instant, timezone) => {
+  const parts = getZonedParts(new Date(instant), timezone);
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+
+  return wallClock - Math.floor(instant / 1000) * 1000;
+};
+
+/**
+ * Find the instant a wall clock time in a timezone refers to
+ * @param {Object} wallClock - `{ year, month, day, hour, minute, second,
+ * millisecond }` with a 1-based month
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+export const zonedTimeToUtc = (
+  { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 },
+  timezone
+) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Re-check the offset at the result in case it crosses a DST change
+  let instant = asUtc - getTimezoneOffset(asUtc, timezone);
+  instant = asUtc - getTimezoneOffset(instant, timezone);
+
+  return new Date(instant + millisecond);
+};
+
+/**
+ * Combine a lead's date and HH:MM:SS time into the instant it was
+ * enquired. The date is read as a calendar date (date-only values parse
+ * as UTC midnight) and the time as a wall clock time in the source
+ * timezone, so the result doesn't depend on the server's timezone.
+ * @param {Date|string} date - Lead date
+ * @param {string} [time] - Lead time
+ * @param {string} [timezone] - IANA timezone, defaults to
+ * LEAD_SOURCE_TIMEZONE or Asia/Kolkata
+ * @returns {Date|null} - Enquiry instant, or null without a valid date
+ */
+export const combineDateAndTime = (
+  date,
+  time,
+  timezone = getSourceTimezone()
+) => {
+  if (!date) {
+    return null;
+  }
+
+  const day = date instanceof Date ? date : new Date(date);
+
+  if (isNaN(day)) {
+    return null;
+  }
+
+  const [hour = 0, minute = 0, second = 0] = time
+    ? time.split(":").map((value) => parseInt(value) || 0)
+    : [];
+
+  return zonedTimeToUtc(
+    {
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      hour,
+      minute,
+      second,
+    },
+    timezone
+  );
+};
+
+// ISO 8601 timestamps accepted as range boundaries, with an optional
+// seconds, milliseconds and UTC offset
+const TIMESTAMP_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:?\d{2})?$/;
+
+// Whether calendar fields name a real day, e.g. not 2024-02-30
+const isValidCalendarDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+  );
+};
+
+/**
+ * Parse a date range boundary from a query string. Date-only values
+ * cover the whole day in the source timezone; timestamps are used as
+ * given.
+ * @param {string} value - YYYY-MM-DD or an ISO 8601 timestamp
+ * @param {boolean} [endOfDay=false] - Resolve date-only values to the last
+ * millisecond of the day instead of the first
+ * @returns {Date|null} - Boundary instant, or null when the value isn't a
+ * valid date or timestamp
+ */
+export const parseDateBoundary = (value, endOfDay = false) => {
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+
+  if (dateMatch) {
+    const [, year, month, day] = dateMatch.map(Number);
+
+    if (!isValidCalendarDate(year, month, day)) {
+      return null;
+    }
+
+    return zonedTimeToUtc(
+      endOfDay
+        ? {
+            year,
+            month,
+            day,
+            hour: 23,
+            minute: 59,
+            second: 59,
+            millisecond: 999,
+          }
+        : { year, month, day },
+      getSourceTimezone()
+    );
+  }
+
+  const timestampMatch = TIMESTAMP_PATTERN.exec(value);
+
+  if (!timestampMatch) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second = 0] = timestampMatch.map(
+    (part) => (part === undefined ? undefined : Number(part))
+  );
+
+  if (
+    !isValidCalendarDate(year, month, day) ||
+    hour > 23 ||
+    minute > 59 ||
+    second > 59
+  ) {
+    return null;
+  }
+
+  const date = new Date(value);
+
+  return isNaN(date) ? null : date;
+};
+
+export const TIME_INTERVALS = ["hour", "day", "week", "month"];
+
+/**
+ * Truncate an instant to the start of its hour, day, week (starting
+ * Monday) or month in a timezone, matching MongoDB's $dateTrunc
+ * @param {Date} date - The instant
+ * @param {string} interval - One of TIME_INTERVALS
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} - Start of the interval
+ */
+export const truncateToInterval = (date, interval, timezone) => {
+  const parts = getZonedParts(date, timezone);
+  const year = Number(parts.year);
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+
+  switch (interval) {
+    case "hour":
+      return zonedTimeToUtc(
+        { year, month, day, hour: Number(parts.hour) },
+        timezone
+      );
+    case "week": {
+      const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+      return zonedTimeToUtc(
+        { year, month, day: day - ((weekday + 6) % 7) },
+        timezone
+      );
+    }
+    case "month":
+      return zonedTimeToUtc({ year, month, day: 1 }, timezone);
+    default:
+      return zonedTimeToUtc({ year, month, day }, timezone);
+  }
+};
+
+/**
+ * Move the start of an interval on to the start of the next one
+ * @param {Date} start - Start of an interval, as from truncateToInterval
+ * @param {string} interval - One of TIME_INTERVALS
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} - Start of the next interval
+ */
+export const addInterval = (start, interval, timezone) => {
+  if (interval === "hour") {
+    return new Date(start.getTime() + 60 * 60 * 1000);
+  }
+
+  const parts = getZonedParts(start, timezone);
+  const year = Number(parts.year);
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+
+  if (interval === "month") {
+    return zonedTimeToUtc({ year, month: month + 1, day: 1 }, timezone);
+  }
+
+  return zonedTimeToUtc(
+    { year, month, day: day + (interval === "week" ? 7 : 1) },
+    timezone
+  );
+};
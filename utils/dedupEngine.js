@@ -0,0 +1,211 @@
+import Lead from "../models/Lead.js";
+import DedupRule from "../models/DedupRule.js";
+import { logger } from "./logger.js";
+import { resolveRoute } from "./routingEngine.js";
+import { recordAuditEvent } from "./auditLog.js";
+import { LEAD_FIELDS } from "./payloadTransformer.js";
+
+const cache = {
+  rules: null,
+  loadedAt: 0,
+};
+
+const getCacheTtl = () =>
+  parseInt(process.env.DEDUP_RULES_CACHE_TTL_MS) || 30 * 1000;
+
+/**
+ * Load enabled dedup rules, using the in-memory cache while it is fresh
+ * @returns {Promise<Array>} - Rules ordered by priority
+ */
+const loadRules = async () => {
+  if (cache.rules && Date.now() - cache.loadedAt < getCacheTtl()) {
+    return cache.rules;
+  }
+
+  cache.rules = await DedupRule.find({ enabled: true })
+    .sort({ priority: -1, createdAt: 1 })
+    .lean();
+  cache.loadedAt = Date.now();
+
+  return cache.rules;
+};
+
+/**
+ * Drop cached rules so the next lead is checked with the current rules.
+ * Other instances pick up changes once their cache TTL expires.
+ * @returns {void}
+ */
+export const invalidateDedupRules = () => {
+  cache.rules = null;
+  cache.loadedAt = 0;
+};
+
+/**
+ * Build the query for leads a rule would treat the lead as a duplicate of.
+ * Only primary leads are matched, so duplicates always link to the first
+ * lead received.
+ * @param {Object} rule - Dedup rule
+ * @param {Object} lead - Lead document
+ * @returns {Promise<Object|null>} - Query filter, or null when the lead has
+ * none of the contact details the rule matches on
+ */
+const buildCandidateFilter = async (rule, lead) => {
+  const { phones = [], email } = lead.contactKeys || {};
+  const contactMatches = [];
+
+  if (rule.matchOn.includes("phone") && phones.length > 0) {
+    contactMatches.push({ "contactKeys.phones": { $in: phones } });
+  }
+  if (rule.matchOn.includes("email") && email) {
+    contactMatches.push({ "contactKeys.email": email });
+  }
+
+  if (contactMatches.length === 0) {
+    return null;
+  }
+
+  const receivedAt = lead.createdAt || new Date();
+
+  const filter = {
+    $and: [
+      { $or: contactMatches },
+      // Leads received in the same millisecond are ordered by _id, so only
+      // the later of the two is flagged
+      {
+        $or: [
+          { createdAt: { $lt: receivedAt } },
+          { createdAt: receivedAt, _id: { $lt: lead._id } },
+        ],
+      },
+    ],
+    createdAt: {
+      $gte: new Date(receivedAt.getTime() - rule.windowMinutes * 60 * 1000),
+    },
+    duplicateOf: null,
+    deletedAt: null,
+  };
+
+  if (rule.scope === "category") {
+    filter.category = lead.category;
+  } else if (rule.scope === "destination") {
+    const { destinations } = await resolveRoute(lead.toObject());
+    filter["deliveries.destination"] = { $in: destinations };
+  }
+
+  return filter;
+};
+
+/**
+ * Find the primary lead a lead duplicates
+ * @param {Object} lead - Lead document
+ * @returns {Promise<Object|null>} - `{ rule, primary, matchedOn }`
+ */
+export const findDuplicate = async (lead) => {
+  for (const rule of await loadRules()) {
+    const filter = await buildCandidateFilter(rule, lead);
+    if (!filter) continue;
+
+    const primary = await Lead.findOne(filter).sort({
+      createdAt: 1,
+      _id: 1,
+    });
+    if (!primary) continue;
+
+    const matchedOn = [];
+    if (
+      rule.matchOn.includes("phone") &&
+      lead.contactKeys.phones.some((phone) =>
+        primary.contactKeys.phones.includes(phone)
+      )
+    ) {
+      matchedOn.push("phone");
+    }
+    if (
+      rule.matchOn.includes("email") &&
+      lead.contactKeys.email &&
+      lead.contactKeys.email === primary.contactKeys.email
+    ) {
+      matchedOn.push("email");
+    }
+
+    return { rule, primary, matchedOn };
+  }
+
+  return null;
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+/**
+ * Fill in details missing from the primary lead from its duplicate
+ * @param {Object} primary - Primary lead document
+ * @param {Object} duplicate - Duplicate lead document
+ * @returns {Promise<Array>} - Fields filled in
+ */
+const mergeIntoPrimary = async (primary, duplicate) => {
+  const filled = [];
+
+  for (const field of LEAD_FIELDS) {
+    if (field === "leadid") continue;
+
+    if (isEmpty(primary[field]) && !isEmpty(duplicate[field])) {
+      primary[field] = duplicate[field];
+      filled.push(field);
+    }
+  }
+
+  primary.mergedLeads = [...(primary.mergedLeads || []), duplicate.leadid];
+  await primary.save();
+
+  return filled;
+};
+
+/**
+ * Apply the dedup rules to a lead before it is first forwarded. Suppressed
+ * and merged duplicates are marked as duplicates and must not be forwarded.
+ * @param {Object} lead - Lead document
+ * @returns {Promise<Object|null>} - `{ rule, action, primary }` when the
+ * lead is a duplicate
+ */
+export const applyDedupRules = async (lead) => {
+  const match = await findDuplicate(lead);
+  lead.dedupCheckedAt = new Date();
+
+  if (!match) {
+    await lead.save();
+    return null;
+  }
+
+  const { rule, primary, matchedOn } = match;
+
+  lead.duplicateOf = primary.leadid;
+  lead.dedup = { rule: rule.name, action: rule.action, matchedOn };
+
+  if (rule.action !== "forward") {
+    lead.status = "duplicate";
+  }
+
+  await lead.save();
+
+  const filled =
+    rule.action === "merge" ? await mergeIntoPrimary(primary, lead) : [];
+
+  await recordAuditEvent({
+    action: "lead.deduplicated",
+    entityType: "lead",
+    entityId: lead.leadid,
+    newValue: { status: lead.status, duplicateOf: primary.leadid },
+    metadata: { rule: rule.name, action: rule.action, matchedOn, filled },
+  });
+
+  logger.info("Duplicate lead detected", {
+    leadid: lead.leadid,
+    duplicateOf: primary.leadid,
+    rule: rule.name,
+    action: rule.action,
+    matchedOn,
+  });
+
+  return { rule: rule.name, action: rule.action, primary: primary.leadid };
+};
@@ -0,0 +1,72 @@
+import DeliveryAttempt from "../models/DeliveryAttempt.js";
+import { logger } from "./logger.js";
+
+const getMaxBodyLength = () =>
+  parseInt(process.env.DELIVERY_LOG_MAX_BODY_LENGTH) || 4096;
+
+/**
+ * Record an attempt to deliver a lead to a destination, including those
+ * that ended before a request was sent. Failures are logged rather than
+ * thrown so they never affect the delivery itself.
+ * @param {Object} attempt
+ * @param {string} attempt.leadid - Lead being forwarded
+ * @param {Object} attempt.destination - The destination, or `{ name }`
+ * when it is unknown
+ * @param {string} attempt.status - One of DELIVERY_ATTEMPT_STATUSES
+ * @param {boolean} attempt.success - Whether the delivery is complete
+ * @param {Object} [attempt.payload] - Transformed payload, when sent
+ * @param {Object} [attempt.exchange] - Request and response details from
+ * sendLeadToApi
+ * @param {number} [attempt.latencyMs] - Time taken by the request
+ * @param {string} [attempt.errorCode] - One of FORWARD_ERROR_CODES
+ * @param {string} [attempt.error] - Error message
+ * @returns {Promise<void>}
+ */
+export const recordDeliveryAttempt = async ({
+  leadid,
+  destination,
+  status,
+  success,
+  payload,
+  exchange = {},
+  latencyMs,
+  errorCode,
+  error,
+}) => {
+  try {
+    const maxBodyLength = getMaxBodyLength();
+    const body = exchange.responseBody;
+
+    await DeliveryAttempt.create({
+      leadid,
+      destination: destination.name,
+      status,
+      success,
+      // Only attempts that sent a request have one to record
+      ...(payload !== undefined && {
+        request: {
+          method: destination.method,
+          headers: exchange.requestHeaders,
+          payload,
+        },
+      }),
+      ...(exchange.status !== undefined && {
+        response: {
+          status: exchange.status,
+          headers: exchange.responseHeaders,
+          body: body?.slice(0, maxBodyLength),
+          bodyTruncated: body?.length > maxBodyLength,
+        },
+      }),
+      latencyMs,
+      errorCode,
+      error,
+    });
+  } catch (logError) {
+    logger.error("Failed to record delivery attempt", {
+      leadid,
+      destination: destination.name,
+      error: logError.message,
+    });
+  }
+};
@@ -0,0 +1,87 @@
+import crypto from "crypto";
+
+const DEFAULT_API_KEY_NAME = "X-API-Key";
+const DEFAULT_SIGNATURE_HEADER = "X-Signature";
+
+// Destinations may only read secrets from variables with this prefix, so
+// the service's own settings (JWT_SECRET, MONGODB_URI, ...) can't be sent
+// to a destination URL
+export const DESTINATION_SECRET_PREFIX = "DEST_SECRET_";
+export const DESTINATION_SECRET_PATTERN = /^DEST_SECRET_[A-Z0-9_]+$/;
+
+/**
+ * Read a secret from the environment variable a destination names
+ * @param {string} envVar - Environment variable name
+ * @returns {string} - The secret
+ * @throws {Error} - When the variable is unset or not a destination secret
+ */
+const readSecret = (envVar) => {
+  if (envVar && !DESTINATION_SECRET_PATTERN.test(envVar)) {
+    throw new Error(
+      `Secret environment variable ${envVar} must start with ${DESTINATION_SECRET_PREFIX}`
+    );
+  }
+
+  const value = envVar ? process.env[envVar] : undefined;
+
+  if (!value) {
+    throw new Error(
+      `Missing secret environment variable: ${envVar || "(unset)"}`
+    );
+  }
+
+  return value;
+};
+
+/**
+ * Build the authentication for a request to a destination
+ * @param {Object} auth - The destination's auth settings
+ * @param {string} body - The encoded request body, signed by HMAC auth
+ * @returns {Object} - `{ headers, query }` to add to the request
+ */
+export const buildAuth = (auth, body) => {
+  const headers = {};
+  const query = {};
+
+  switch (auth?.type) {
+    case "bearer":
+      headers.Authorization = `Bearer ${readSecret(auth.tokenEnv)}`;
+      break;
+
+    case "basic": {
+      const credentials = `${readSecret(auth.usernameEnv)}:${readSecret(
+        auth.passwordEnv
+      )}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString(
+        "base64"
+      )}`;
+      break;
+    }
+
+    case "api_key": {
+      const apiKey = readSecret(auth.apiKeyEnv);
+      const name = auth.name || DEFAULT_API_KEY_NAME;
+
+      if (auth.location === "query") {
+        query[name] = apiKey;
+      } else {
+        headers[name] = apiKey;
+      }
+      break;
+    }
+
+    case "hmac": {
+      const signature = crypto
+        .createHmac(auth.algorithm || "sha256", readSecret(auth.secretEnv))
+        .update(body)
+        .digest("hex");
+      headers[auth.name || DEFAULT_SIGNATURE_HEADER] = signature;
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  return { headers, query };
+};
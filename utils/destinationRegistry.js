@@ -0,0 +1,111 @@
+import Destination from "../models/Destination.js";
+import {
+  BUILT_IN_DESTINATIONS,
+  getBuiltInEndpoints,
+} from "../config/destinations.js";
+import { logger } from "./logger.js";
+
+// Request settings for destinations that don't override them
+export const DESTINATION_DEFAULTS = {
+  method: "POST",
+  contentType: "json",
+  connectTimeoutMs: 10 * 1000,
+  timeoutMs: 30 * 1000,
+  phoneFormat: "raw",
+  auth: { type: "none" },
+};
+
+const cache = {
+  destinations: null,
+  loadedAt: 0,
+};
+
+const getCacheTtl = () =>
+  parseInt(process.env.DESTINATIONS_CACHE_TTL_MS) || 30 * 1000;
+
+/**
+ * Load every destination, using the in-memory cache while it is fresh.
+ * Registered destinations override built-in ones with the same name.
+ * @returns {Promise<Map>} - Destinations keyed by name
+ */
+const loadDestinations = async () => {
+  if (cache.destinations && Date.now() - cache.loadedAt < getCacheTtl()) {
+    return cache.destinations;
+  }
+
+  const destinations = new Map();
+
+  for (const [name, url] of Object.entries(getBuiltInEndpoints())) {
+    destinations.set(name, {
+      ...DESTINATION_DEFAULTS,
+      name,
+      url,
+      enabled: true,
+      builtIn: true,
+    });
+  }
+
+  const registered = await Destination.find().lean();
+  for (const destination of registered) {
+    destinations.set(destination.name, {
+      ...DESTINATION_DEFAULTS,
+      ...destination,
+      builtIn: false,
+    });
+  }
+
+  for (const [name, envVar] of Object.entries(BUILT_IN_DESTINATIONS)) {
+    if (!destinations.has(name)) {
+      logger.warn(`Built-in destination ${name} is not configured`, {
+        envVar,
+      });
+    }
+  }
+
+  cache.destinations = destinations;
+  cache.loadedAt = Date.now();
+
+  return destinations;
+};
+
+/**
+ * Drop cached destinations so changes apply to the next forward.
+ * Other instances pick up changes once their cache TTL expires.
+ * @returns {void}
+ */
+export const invalidateDestinations = () => {
+  cache.destinations = null;
+  cache.loadedAt = 0;
+};
+
+/**
+ * Look up a destination by name
+ * @param {string} name - Destination name
+ * @returns {Promise<Object|null>} - The destination
+ */
+export const getDestination = async (name) =>
+  (await loadDestinations()).get(name) || null;
+
+/**
+ * List every destination
+ * @returns {Promise<Array>} - Destinations
+ */
+export const listDestinations = async () => [
+  ...(await loadDestinations()).values(),
+];
+
+/**
+ * Check whether a destination name is known
+ * @param {string} name - Destination name
+ * @returns {Promise<boolean>}
+ */
+export const isKnownDestination = async (name) =>
+  (await loadDestinations()).has(name);
+
+/**
+ * Check whether a destination name is one of the built-in endpoints
+ * @param {string} name - Destination name
+ * @returns {boolean}
+ */
+export const isBuiltInDestination = (name) =>
+  Object.prototype.hasOwnProperty.call(BUILT_IN_DESTINATIONS, name);
@@ -0,0 +1,86 @@
+export const DND_ACTIONS = ["allow", "strip", "mask", "tag", "block"];
+
+export const DEFAULT_DND_TAG_FIELD = "dnd";
+
+// Lead number fields and the flag marking each as registered for DND
+const DND_NUMBER_FIELDS = {
+  mobile: "dncmobile",
+  phone: "dncphone",
+};
+
+/**
+ * Resolve the DND action for a destination, falling back to the
+ * DND_DEFAULT_POLICY environment variable
+ * @param {Object} destination - Destination config
+ * @returns {string} - One of DND_ACTIONS
+ */
+export const getDndAction = (destination) => {
+  const action = destination.dnd?.action || process.env.DND_DEFAULT_POLICY;
+  return DND_ACTIONS.includes(action) ? action : "allow";
+};
+
+/**
+ * List the lead's numbers that are registered for DND
+ * @param {Object} leadData - The lead data
+ * @returns {Array<string>} - Lead fields holding DND numbers
+ */
+export const getDndFields = (leadData) =>
+  Object.entries(DND_NUMBER_FIELDS)
+    .filter(([field, flag]) => leadData[field] && leadData[flag] === 1)
+    .map(([field]) => field);
+
+/**
+ * Mask all but the first and last two digits of a number
+ * @param {string} value - Phone number
+ * @returns {string} - Masked number
+ */
+export const maskNumber = (value) => {
+  const digits = String(value);
+  if (digits.length <= 4) {
+    return "X".repeat(digits.length);
+  }
+  return digits.slice(0, 2) + "X".repeat(digits.length - 4) + digits.slice(-2);
+};
+
+/**
+ * Apply a destination's DND policy to a lead before it is transformed.
+ * Leads without DND numbers are never changed.
+ * @param {Object} leadData - The lead data
+ * @param {Object} destination - Destination config
+ * @returns {Object} - `{ action, leadData, blocked }` where `action` is
+ * null when the policy did not apply to the lead
+ */
+export const applyDndPolicy = (leadData, destination) => {
+  const action = getDndAction(destination);
+  const fields = getDndFields(leadData);
+
+  if (action === "allow" || fields.length === 0) {
+    return { action: null, leadData, blocked: false };
+  }
+
+  if (action === "block") {
+    return { action, leadData, blocked: true };
+  }
+
+  if (action === "tag") {
+    return { action, leadData, blocked: false };
+  }
+
+  const sanitized = { ...leadData };
+  for (const field of fields) {
+    sanitized[field] = action === "mask" ? maskNumber(leadData[field]) : null;
+  }
+
+  return { action, leadData: sanitized, blocked: false };
+};
+
+/**
+ * Flag a transformed payload as containing DND numbers
+ * @param {Object} payload - Transformed payload
+ * @param {Object} destination - Destination config
+ * @returns {Object} - Payload with the destination's DND tag field set
+ */
+export const tagDndPayload = (payload, destination) => ({
+  ...payload,
+  [destination.dnd?.tagField || DEFAULT_DND_TAG_FIELD]: true,
+});
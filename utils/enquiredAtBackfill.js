@@ -0,0 +1,56 @@
+import Lead from "../models/Lead.js";
+import { logger } from "./logger.js";
+import { combineDateAndTime } from "./dateTime.js";
+
+const BACKFILL_BATCH_SIZE = 500;
+
+/**
+ * Set enquiredAt on leads saved before it was stored, including trashed
+ * leads. Safe to run on every start; it only touches leads without one.
+ * @returns {Promise<number>} - Number of leads updated
+ */
+export const backfillEnquiredAt = async () => {
+  let updated = 0;
+  let lastId = null;
+
+  for (;;) {
+    const leads = await Lead.find({
+      enquiredAt: { $exists: false },
+      ...(lastId && { _id: { $gt: lastId } }),
+    })
+      .sort({ _id: 1 })
+      .limit(BACKFILL_BATCH_SIZE)
+      .select("date time")
+      .lean();
+
+    if (leads.length === 0) break;
+
+    const operations = leads
+      .map((lead) => ({
+        _id: lead._id,
+        enquiredAt: combineDateAndTime(lead.date, lead.time),
+      }))
+      .filter(({ enquiredAt }) => enquiredAt)
+      .map(({ _id, enquiredAt }) => ({
+        updateOne: {
+          filter: { _id, enquiredAt: { $exists: false } },
+          update: { $set: { enquiredAt } },
+        },
+      }));
+
+    if (operations.length > 0) {
+      const result = await Lead.bulkWrite(operations, { ordered: false });
+      updated += result.modifiedCount;
+    }
+
+    lastId = leads[leads.length - 1]._id;
+
+    if (leads.length < BACKFILL_BATCH_SIZE) break;
+  }
+
+  if (updated > 0) {
+    logger.info("Lead enquiry timestamps backfilled", { updated });
+  }
+
+  return updated;
+};
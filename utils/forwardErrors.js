@@ -0,0 +1,47 @@
+// Codes recorded on lead deliveries so failures can be told apart without
+// parsing error messages
+export const FORWARD_ERROR_CODES = {
+  TIMEOUT_CONNECT: "TIMEOUT_CONNECT",
+  TIMEOUT_RESPONSE: "TIMEOUT_RESPONSE",
+  NETWORK_ERROR: "NETWORK_ERROR",
+  HTTP_4XX: "HTTP_4XX",
+  HTTP_5XX: "HTTP_5XX",
+  CIRCUIT_OPEN: "CIRCUIT_OPEN",
+  DESTINATION_UNAVAILABLE: "DESTINATION_UNAVAILABLE",
+  TRANSFORM_FAILED: "TRANSFORM_FAILED",
+  CONFIG_ERROR: "CONFIG_ERROR",
+};
+
+/**
+ * Classify an error thrown while sending a lead to a destination
+ * @param {Error} error - The error
+ * @returns {string} - One of FORWARD_ERROR_CODES
+ */
+export const classifyForwardError = (error) => {
+  if (error.status) {
+    return error.status >= 500
+      ? FORWARD_ERROR_CODES.HTTP_5XX
+      : FORWARD_ERROR_CODES.HTTP_4XX;
+  }
+
+  // The overall request deadline aborted the request
+  if (error.name === "TimeoutError" || error.cause?.name === "TimeoutError") {
+    return FORWARD_ERROR_CODES.TIMEOUT_RESPONSE;
+  }
+
+  switch (error.cause?.code) {
+    case "UND_ERR_CONNECT_TIMEOUT":
+      return FORWARD_ERROR_CODES.TIMEOUT_CONNECT;
+    case "UND_ERR_HEADERS_TIMEOUT":
+    case "UND_ERR_BODY_TIMEOUT":
+      return FORWARD_ERROR_CODES.TIMEOUT_RESPONSE;
+    default:
+      break;
+  }
+
+  // fetch wraps socket and DNS failures; anything else went wrong before
+  // the request was sent, e.g. a missing secret or an invalid URL
+  return error.cause
+    ? FORWARD_ERROR_CODES.NETWORK_ERROR
+    : FORWARD_ERROR_CODES.CONFIG_ERROR;
+};
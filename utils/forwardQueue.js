@@ -0,0 +1,578 @@
+import os from "os";
+import { randomUUID } from "crypto";
+import ForwardJob from "../models/ForwardJob.js";
+import Lead from "../models/Lead.js";
+import { logger } from "./logger.js";
+import { processAndForwardLead } from "./apiService.js";
+import { applyDedupRules } from "./dedupEngine.js";
+import { recordAuditEvent } from "./auditLog.js";
+
+// Identifies the leases taken by this process
+const WORKER_ID = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+// Pending leads updated more recently than this are left alone by the
+// recovery sweep, since their request may still be about to enqueue them
+const RECOVERY_GRACE_MS = 60 * 1000;
+const RECOVERY_BATCH_SIZE = 500;
+
+const state = {
+  running: false,
+  filling: false,
+  config: null,
+  pollTimer: null,
+  recoveryTimer: null,
+  inFlight: new Set(),
+};
+
+/**
+ * Read worker configuration from the environment
+ * @returns {Object} - Worker configuration
+ */
+const getWorkerConfig = () => ({
+  enabled: process.env.FORWARD_WORKER_ENABLED !== "false",
+  concurrency: parseInt(process.env.FORWARD_WORKER_CONCURRENCY) || 5,
+  pollIntervalMs: parseInt(process.env.FORWARD_WORKER_POLL_INTERVAL_MS) || 1000,
+  leaseMs: parseInt(process.env.FORWARD_JOB_LEASE_MS) || 60 * 1000,
+  maxJobAttempts: parseInt(process.env.FORWARD_JOB_MAX_ATTEMPTS) || 5,
+  recoveryIntervalMs:
+    parseInt(process.env.FORWARD_RECOVERY_INTERVAL_MS) || 5 * 60 * 1000,
+});
+
+/**
+ * Queue a lead for forwarding to the external API
+ * @param {string} leadid - The lead to forward
+ * @param {Object} [options]
+ * @param {number} [options.delayMs=0] - Delay before the job becomes available
+ * @param {string} [options.trigger="queue"] - What asked for the forward:
+ * "queue", "manual" or "bulk"
+ * @returns {Promise<void>}
+ */
+export const enqueueLeadForwarding = async (
+  leadid,
+  { delayMs = 0, trigger = "queue" } = {}
+) => {
+  const availableAt = new Date(Date.now() + delayMs);
+
+  try {
+    await ForwardJob.updateOne(
+      { leadid, status: { $ne: "processing" } },
+      {
+        $set: {
+          status: "queued",
+          availableAt,
+          trigger,
+          attempts: 0,
+          lastError: null,
+          completedAt: null,
+        },
+        $setOnInsert: { leadid },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // The upsert collides with a job a worker is processing right now;
+    // flag it so the worker queues it again once it has finished
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    await ForwardJob.updateOne(
+      { leadid, status: "processing" },
+      { $set: { requeueRequested: true, trigger } }
+    );
+  }
+
+  logger.info("Lead queued for forwarding", { leadid, availableAt, trigger });
+
+  wakeWorker();
+};
+
+/**
+ * Atomically claim the next due job, or a job whose lease has expired
+ * because the worker holding it crashed. Reclaiming a lease counts as an
+ * attempt, so a job that keeps crashing its worker runs out of attempts
+ * and is dead-lettered by the recovery sweep instead.
+ * @returns {Promise<Object|null>} - The claimed job
+ */
+const claimNextJob = async () => {
+  const now = new Date();
+
+  return ForwardJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", availableAt: { $lte: now } },
+        {
+          status: "processing",
+          lockedUntil: { $lt: now },
+          attempts: { $lt: state.config.maxJobAttempts },
+        },
+      ],
+    },
+    {
+      $set: {
+        status: "processing",
+        lockedBy: WORKER_ID,
+        lockedUntil: new Date(now.getTime() + state.config.leaseMs),
+        requeueRequested: false,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { availableAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Extend the lease on a job this worker is still processing
+ * @param {Object} job - The claimed job
+ * @returns {Promise<void>}
+ */
+const renewLease = async (job) => {
+  try {
+    await ForwardJob.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID, status: "processing" },
+      { $set: { lockedUntil: new Date(Date.now() + state.config.leaseMs) } }
+    );
+  } catch (error) {
+    logger.warn("Failed to renew forward job lease", {
+      leadid: job.leadid,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Release a job this worker holds, re-queueing it if the lead was
+ * enqueued again while it was being processed
+ * @param {Object} job - The claimed job
+ * @param {Object} update - Fields to set on the job
+ * @returns {Promise<boolean>} - Whether the job was queued again
+ */
+const releaseJob = async (job, update) => {
+  const release = { lockedBy: null, lockedUntil: null };
+
+  const requeued = await ForwardJob.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID, requeueRequested: true },
+    {
+      $set: {
+        ...release,
+        status: "queued",
+        availableAt: new Date(),
+        attempts: 0,
+        requeueRequested: false,
+      },
+    }
+  );
+
+  if (requeued.modifiedCount > 0) {
+    return true;
+  }
+
+  await ForwardJob.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID },
+    { $set: { ...release, ...update } }
+  );
+
+  return false;
+};
+
+/**
+ * Dead-letter the lead behind a job that has run out of attempts, so the
+ * recovery sweep doesn't queue it again. It can be requeued from the
+ * dead-letter list once the cause is fixed.
+ * @param {string} leadid - The lead
+ * @param {string} reason - Why the job was given up on
+ * @returns {Promise<void>}
+ */
+const deadLetterLead = async (leadid, reason) => {
+  const lead = await Lead.findOneAndUpdate(
+    {
+      leadid,
+      status: { $nin: ["processed", "dead_letter", "duplicate"] },
+    },
+    {
+      $set: {
+        status: "dead_letter",
+        nextRetryAt: null,
+        deadLetteredAt: new Date(),
+      },
+    }
+  );
+
+  if (!lead) {
+    return;
+  }
+
+  await recordAuditEvent({
+    action: "lead.status_updated",
+    entityType: "lead",
+    entityId: leadid,
+    oldValue: { status: lead.status },
+    newValue: { status: "dead_letter" },
+    metadata: { reason },
+  });
+};
+
+/**
+ * Fail jobs whose lease expired after their last allowed attempt, i.e.
+ * jobs whose worker crashed every time it ran them
+ * @returns {Promise<number>} - Number of jobs failed
+ */
+export const failExhaustedJobs = async () => {
+  const maxJobAttempts = getWorkerConfig().maxJobAttempts;
+  const exhausted = await ForwardJob.find({
+    status: "processing",
+    lockedUntil: { $lt: new Date() },
+    attempts: { $gte: maxJobAttempts },
+  })
+    .select("leadid attempts")
+    .lean();
+
+  let failed = 0;
+
+  for (const job of exhausted) {
+    const reason = `Worker lease expired after ${job.attempts} attempts`;
+
+    const result = await ForwardJob.updateOne(
+      { _id: job._id, status: "processing", lockedUntil: { $lt: new Date() } },
+      {
+        $set: {
+          status: "failed",
+          lastError: reason,
+          lockedBy: null,
+          lockedUntil: null,
+          requeueRequested: false,
+          completedAt: new Date(),
+        },
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      continue;
+    }
+
+    await deadLetterLead(job.leadid, reason);
+    failed++;
+  }
+
+  if (failed > 0) {
+    logger.error("Forward jobs dead-lettered after repeated worker crashes", {
+      failed,
+    });
+  }
+
+  return failed;
+};
+
+/**
+ * Forward the lead behind a claimed job and record the outcome
+ * @param {Object} job - The claimed job
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  const startTime = Date.now();
+  const heartbeat = setInterval(
+    () => renewLease(job),
+    Math.floor(state.config.leaseMs / 2)
+  );
+  heartbeat.unref();
+
+  try {
+    const lead = await Lead.findOne({ leadid: job.leadid });
+
+    if (!lead) {
+      logger.warn("Lead not found for forward job", { leadid: job.leadid });
+
+      await releaseJob(job, {
+        status: "failed",
+        lastError: "Lead not found",
+        completedAt: new Date(),
+      });
+      return;
+    }
+
+    if (
+      lead.deletedAt ||
+      ["processed", "dead_letter", "duplicate"].includes(lead.status)
+    ) {
+      await releaseJob(job, { status: "completed", completedAt: new Date() });
+      return;
+    }
+
+    // Check for duplicates once, before the lead is first forwarded
+    if (!lead.dedupCheckedAt && lead.deliveries.length === 0) {
+      const dedup = await applyDedupRules(lead);
+
+      if (dedup && dedup.action !== "forward") {
+        await releaseJob(job, { status: "completed", completedAt: new Date() });
+        return;
+      }
+    }
+
+    const apiForwardingResult = await processAndForwardLead(lead.toObject());
+
+    await lead.recordForwardAttempt(apiForwardingResult, {
+      trigger: job.trigger || "queue",
+      processingTime: Date.now() - startTime,
+    });
+
+    if (apiForwardingResult.success) {
+      logger.info("Lead forwarded to external API successfully", {
+        leadid: lead.leadid,
+        destinations: apiForwardingResult.destinations,
+        category: apiForwardingResult.category,
+        processingTime: apiForwardingResult.processingTime,
+      });
+    } else {
+      logger.error("Lead forwarding to external API failed", {
+        leadid: lead.leadid,
+        error: apiForwardingResult.error,
+        category: apiForwardingResult.category,
+        attemptCount: lead.attemptCount,
+        status: lead.status,
+        nextRetryAt: lead.nextRetryAt,
+      });
+    }
+
+    await releaseJob(job, {
+      status: apiForwardingResult.success ? "completed" : "failed",
+      lastError: apiForwardingResult.success ? null : apiForwardingResult.error,
+      completedAt: new Date(),
+    });
+  } catch (error) {
+    // Unexpected failure (e.g. the database is unavailable): hand the job
+    // back with a growing delay until it runs out of attempts
+    const exhausted = job.attempts >= state.config.maxJobAttempts;
+
+    logger.error("Forward job failed with exception", {
+      leadid: job.leadid,
+      attempts: job.attempts,
+      exhausted,
+      error: error.message,
+    });
+
+    const update = exhausted
+      ? { status: "failed", lastError: error.message, completedAt: new Date() }
+      : {
+          status: "queued",
+          lastError: error.message,
+          availableAt: new Date(
+            Date.now() + state.config.pollIntervalMs * 2 ** job.attempts
+          ),
+        };
+
+    const released = await releaseJob(job, update).then(
+      (requeued) => !requeued,
+      (releaseError) => {
+        // The lease expires on its own and the job is reclaimed, or failed
+        // by the recovery sweep once it is out of attempts
+        logger.error("Failed to release forward job", {
+          leadid: job.leadid,
+          error: releaseError.message,
+        });
+        return false;
+      }
+    );
+
+    if (exhausted && released) {
+      await deadLetterLead(
+        job.leadid,
+        `Forward job failed after ${job.attempts} attempts: ${error.message}`
+      ).catch((deadLetterError) => {
+        logger.error("Failed to dead-letter lead", {
+          leadid: job.leadid,
+          error: deadLetterError.message,
+        });
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Claim jobs until every concurrency slot is busy or nothing is due
+ * @returns {Promise<void>}
+ */
+const fillSlots = async () => {
+  if (!state.running || state.filling) {
+    return;
+  }
+
+  state.filling = true;
+
+  try {
+    while (state.running && state.inFlight.size < state.config.concurrency) {
+      const job = await claimNextJob();
+
+      if (!job) {
+        break;
+      }
+
+      const task = runJob(job).finally(() => {
+        state.inFlight.delete(task);
+        wakeWorker();
+      });
+      state.inFlight.add(task);
+    }
+  } catch (error) {
+    logger.error("Forward worker failed to claim jobs", {
+      error: error.message,
+    });
+  } finally {
+    state.filling = false;
+  }
+};
+
+const wakeWorker = () => {
+  if (state.running) {
+    fillSlots();
+  }
+};
+
+/**
+ * Queue pending leads that have no active forward job, e.g. because the
+ * process crashed between saving or re-arming a lead and enqueueing it
+ * @returns {Promise<number>} - Number of leads queued
+ */
+export const recoverUnqueuedLeads = async () => {
+  const cutoff = new Date(Date.now() - RECOVERY_GRACE_MS);
+  let recovered = 0;
+  let batch = [];
+
+  const queueMissing = async (leadids) => {
+    const activeJobs = await ForwardJob.find({
+      leadid: { $in: leadids },
+      status: { $in: ["queued", "processing"] },
+    })
+      .select("leadid")
+      .lean();
+
+    const active = new Set(activeJobs.map((job) => job.leadid));
+    const missing = leadids.filter((leadid) => !active.has(leadid));
+
+    for (const leadid of missing) {
+      await enqueueLeadForwarding(leadid);
+    }
+
+    return missing.length;
+  };
+
+  const cursor = Lead.find({
+    status: "pending",
+    updatedAt: { $lte: cutoff },
+    deletedAt: null,
+  })
+    .select("leadid")
+    .lean()
+    .cursor();
+
+  for await (const lead of cursor) {
+    batch.push(lead.leadid);
+
+    if (batch.length >= RECOVERY_BATCH_SIZE) {
+      recovered += await queueMissing(batch);
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    recovered += await queueMissing(batch);
+  }
+
+  if (recovered > 0) {
+    logger.warn("Recovered pending leads without forward jobs", { recovered });
+  }
+
+  return recovered;
+};
+
+const runRecovery = async () => {
+  try {
+    await failExhaustedJobs();
+    await recoverUnqueuedLeads();
+  } catch (error) {
+    logger.error("Forward job recovery failed", { error: error.message });
+  }
+};
+
+/**
+ * Count the forward jobs waiting to run and being run
+ * @returns {Promise<Object>} - `{ queued, processing, inFlight }`, where
+ * inFlight counts the jobs this process's worker is running
+ */
+export const getForwardQueueDepth = async () => {
+  const counts = await ForwardJob.aggregate([
+    { $match: { status: { $in: ["queued", "processing"] } } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  const depth = { queued: 0, processing: 0, inFlight: state.inFlight.size };
+  for (const { _id, count } of counts) {
+    depth[_id] = count;
+  }
+
+  return depth;
+};
+
+/**
+ * Start the in-process worker that drains the forward queue
+ * @returns {void}
+ */
+export const startForwardWorker = () => {
+  if (state.running) {
+    return;
+  }
+
+  state.config = getWorkerConfig();
+
+  if (!state.config.enabled) {
+    logger.info("Forward worker disabled");
+    return;
+  }
+
+  state.running = true;
+  state.pollTimer = setInterval(wakeWorker, state.config.pollIntervalMs);
+  state.recoveryTimer = setInterval(
+    runRecovery,
+    state.config.recoveryIntervalMs
+  );
+
+  logger.info("Forward worker started", {
+    workerId: WORKER_ID,
+    concurrency: state.config.concurrency,
+    leaseMs: state.config.leaseMs,
+  });
+
+  runRecovery();
+  wakeWorker();
+};
+
+/**
+ * Stop claiming jobs and wait for in-flight jobs to finish. Jobs still
+ * running after the timeout are reclaimed once their lease expires.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=10000] - Maximum time to wait
+ * @returns {Promise<void>}
+ */
+export const stopForwardWorker = async ({ timeoutMs = 10000 } = {}) => {
+  if (!state.running) {
+    return;
+  }
+
+  state.running = false;
+  clearInterval(state.pollTimer);
+  clearInterval(state.recoveryTimer);
+
+  if (state.inFlight.size > 0) {
+    logger.info("Waiting for in-flight forward jobs", {
+      inFlight: state.inFlight.size,
+    });
+
+    await Promise.race([
+      Promise.allSettled([...state.inFlight]),
+      new Promise((resolve) => setTimeout(resolve, timeoutMs).unref()),
+    ]);
+  }
+
+  logger.info("Forward worker stopped");
+};
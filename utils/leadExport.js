@@ -0,0 +1,196 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+import { formatDateValue } from "./payloadTransformer.js";
+import { getSourceTimezone } from "./dateTime.js";
+
+const formatDate = (value) =>
+  value
+    ? formatDateValue(value, "YYYY-MM-DD HH:mm:ss", getSourceTimezone())
+    : "";
+
+const formatDay = (value) =>
+  value ? formatDateValue(value, "YYYY-MM-DD", "UTC") : "";
+
+// Columns that can be exported. Timestamps are written as wall clock
+// times in the source timezone (IST by default).
+export const EXPORT_COLUMNS = {
+  leadid: { header: "Lead ID" },
+  leadtype: { header: "Lead Type" },
+  prefix: { header: "Prefix" },
+  name: { header: "Name" },
+  mobile: { header: "Mobile" },
+  mobileE164: {
+    header: "Mobile (E.164)",
+    value: (lead) => lead.normalizedPhones?.mobile?.e164,
+  },
+  phone: { header: "Phone" },
+  phoneE164: {
+    header: "Phone (E.164)",
+    value: (lead) => lead.normalizedPhones?.phone?.e164,
+  },
+  email: { header: "Email" },
+  company: { header: "Company" },
+  category: { header: "Category" },
+  city: { header: "City" },
+  area: { header: "Area" },
+  brancharea: { header: "Branch Area" },
+  pincode: { header: "Pincode" },
+  branchpin: { header: "Branch Pincode" },
+  parentid: { header: "Parent ID" },
+  dncmobile: { header: "DND Mobile" },
+  dncphone: { header: "DND Phone" },
+  date: { header: "Date", value: (lead) => formatDay(lead.date) },
+  time: { header: "Time" },
+  enquiredAt: {
+    header: "Enquired At",
+    value: (lead) => formatDate(lead.enquiredAt),
+  },
+  status: { header: "Status" },
+  deliveries: {
+    header: "Deliveries",
+    value: (lead) =>
+      (lead.deliveries || [])
+        .map((delivery) => `${delivery.destination}:${delivery.status}`)
+        .join("; "),
+  },
+  attemptCount: { header: "Attempts" },
+  duplicateOf: { header: "Duplicate Of" },
+  createdAt: {
+    header: "Received At",
+    value: (lead) => formatDate(lead.createdAt),
+  },
+  updatedAt: {
+    header: "Updated At",
+    value: (lead) => formatDate(lead.updatedAt),
+  },
+};
+
+export const DEFAULT_EXPORT_COLUMNS = [
+  "leadid",
+  "leadtype",
+  "name",
+  "mobile",
+  "phone",
+  "email",
+  "company",
+  "category",
+  "city",
+  "area",
+  "pincode",
+  "enquiredAt",
+  "status",
+  "createdAt",
+];
+
+/**
+ * Read the value of one export column for a lead
+ * @param {Object} lead - Lead document
+ * @param {string} column - Column key from EXPORT_COLUMNS
+ * @returns {string|number} - Cell value, empty for missing values
+ */
+const readColumn = (lead, column) => {
+  const { value } = EXPORT_COLUMNS[column];
+  const cell = value ? value(lead) : lead[column];
+  return cell ?? "";
+};
+
+// Cells a spreadsheet may run as a formula, and the plain numbers among
+// them (+91 98765 43210, -12.5) that are safe to leave as they are
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?[\d ().-]+$/;
+
+/**
+ * Quote a CSV cell. Cells that a spreadsheet would run as a formula are
+ * prefixed with a quote; cells that are only a phone number or number
+ * are left alone.
+ * @param {string|number} value - Cell value
+ * @returns {string} - CSV-safe cell
+ */
+const toCsvCell = (value) => {
+  let cell = String(value);
+
+  if (FORMULA_PREFIX.test(cell) && !PLAIN_NUMBER.test(cell)) {
+    cell = `'${cell}`;
+  }
+
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Stream leads from a query cursor to a response as CSV
+ * @param {Object} cursor - Mongoose query cursor
+ * @param {Array<string>} columns - Column keys
+ * @param {Object} res - Express response
+ * @returns {Promise<number>} - Number of leads written
+ */
+export const streamCsv = async (cursor, columns, res) => {
+  const writeLine = async (cells) => {
+    if (!res.write(cells.map(toCsvCell).join(",") + "\r\n")) {
+      // Stop waiting if the client goes away mid-export. The listeners of
+      // whichever event didn't fire are removed so they don't pile up.
+      const waiting = new AbortController();
+      const { signal } = waiting;
+
+      try {
+        await Promise.race([
+          once(res, "drain", { signal }),
+          once(res, "close", { signal }),
+        ]);
+      } finally {
+        waiting.abort();
+      }
+    }
+  };
+
+  // Byte order mark so Excel opens the file as UTF-8
+  res.write("\uFEFF");
+  await writeLine(columns.map((column) => EXPORT_COLUMNS[column].header));
+
+  let count = 0;
+  for await (const lead of cursor) {
+    if (res.destroyed) break;
+
+    await writeLine(columns.map((column) => readColumn(lead, column)));
+    count += 1;
+  }
+
+  res.end();
+  return count;
+};
+
+/**
+ * Stream leads from a query cursor to a response as an XLSX workbook.
+ * Rows are committed as they are written so the sheet is never held in
+ * memory.
+ * @param {Object} cursor - Mongoose query cursor
+ * @param {Array<string>} columns - Column keys
+ * @param {Object} res - Express response
+ * @returns {Promise<number>} - Number of leads written
+ */
+export const streamXlsx = async (cursor, columns, res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const worksheet = workbook.addWorksheet("Leads");
+
+  worksheet.columns = columns.map((column) => ({
+    header: EXPORT_COLUMNS[column].header,
+    key: column,
+  }));
+
+  let count = 0;
+  for await (const lead of cursor) {
+    if (res.destroyed) break;
+
+    worksheet
+      .addRow(columns.map((column) => readColumn(lead, column)))
+      .commit();
+    count += 1;
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+  return count;
+};
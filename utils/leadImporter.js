@@ -0,0 +1,293 @@
+import Lead from "../models/Lead.js";
+import ImportJob, { MAX_IMPORT_ERRORS } from "../models/ImportJob.js";
+import { logger } from "./logger.js";
+import { recordAuditEvent } from "./auditLog.js";
+import { enqueueLeadForwarding } from "./forwardQueue.js";
+import {
+  validateLeadData,
+  sanitizeLeadData,
+} from "../middleware/validation.js";
+
+// Job counts are saved after this many rows so progress can be followed
+const PROGRESS_INTERVAL = 100;
+
+// Imports run one at a time, in the order they were uploaded
+let importQueue = Promise.resolve();
+
+/**
+ * Split CSV text into records. Handles quoted fields containing commas,
+ * quotes and line breaks.
+ * @param {string} text - CSV file contents
+ * @returns {Generator<Array<string>>} - Fields of each non-empty record
+ */
+export function* parseCsv(text) {
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      if (record.some((value) => value !== "")) yield record;
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  record.push(field);
+  if (record.some((value) => value !== "")) yield record;
+}
+
+/**
+ * Read the rows of an import file as lead data keyed by field name
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - "csv" (with a header row) or "jsonl"
+ * @returns {Generator<Object>} - `{ row, data }`, or `{ row, error }` for
+ * rows that could not be parsed
+ */
+export function* readImportRows(buffer, format) {
+  // Drop a byte order mark left by spreadsheet exports
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+
+  if (format === "jsonl") {
+    let row = 0;
+    for (const line of text.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      row += 1;
+
+      try {
+        const data = JSON.parse(line);
+        yield data && typeof data === "object" && !Array.isArray(data)
+          ? { row, data }
+          : { row, error: "Row is not a JSON object" };
+      } catch (error) {
+        yield { row, error: `Invalid JSON: ${error.message}` };
+      }
+    }
+    return;
+  }
+
+  const records = parseCsv(text);
+  const header = records.next().value?.map((name) => name.trim().toLowerCase());
+
+  if (!header) {
+    return;
+  }
+
+  let row = 0;
+  for (const record of records) {
+    row += 1;
+
+    // Empty cells are left out so optional fields validate as missing
+    const data = {};
+    header.forEach((name, index) => {
+      if (name && record[index] !== undefined && record[index] !== "") {
+        data[name] = record[index];
+      }
+    });
+
+    yield { row, data };
+  }
+}
+
+/**
+ * Import one row, skipping leads that already exist
+ * @param {Object} job - Import job document
+ * @param {Object} data - Lead data read from the file
+ * @param {Object} context - Audit context of the user who uploaded the file
+ * @returns {Promise<Object>} - `{ result, leadid, errors }` where result
+ * is "imported", "duplicate" or "failed"
+ */
+const importRow = async (job, data, context) => {
+  const { value, errors } = validateLeadData(data);
+
+  if (errors) {
+    return { result: "failed", leadid: data.leadid, errors };
+  }
+
+  const leadData = sanitizeLeadData(value);
+
+  if (await Lead.exists({ leadid: leadData.leadid })) {
+    return { result: "duplicate", leadid: leadData.leadid };
+  }
+
+  // Leads that aren't forwarded are kept out of the forwarding queue
+  const lead = new Lead({
+    ...leadData,
+    status: job.forward ? "pending" : "imported",
+    source: "import",
+    importJob: job._id,
+  });
+
+  try {
+    await lead.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return { result: "duplicate", leadid: leadData.leadid };
+    }
+    if (error.name === "ValidationError") {
+      return {
+        result: "failed",
+        leadid: leadData.leadid,
+        errors: Object.values(error.errors).map((err) => ({
+          field: err.path,
+          message: err.message,
+        })),
+      };
+    }
+    throw error;
+  }
+
+  await recordAuditEvent({
+    action: "lead.imported",
+    entityType: "lead",
+    entityId: lead.leadid,
+    context,
+    newValue: { status: lead.status },
+    metadata: { importJob: job._id, forward: job.forward },
+  });
+
+  if (job.forward) {
+    try {
+      await enqueueLeadForwarding(lead.leadid);
+    } catch (error) {
+      // The lead stays pending and is queued by the worker's recovery sweep
+      logger.error("Failed to queue imported lead for forwarding", {
+        leadid: lead.leadid,
+        error: error.message,
+      });
+    }
+  }
+
+  return { result: "imported", leadid: lead.leadid };
+};
+
+/**
+ * Run an import job over its file
+ * @param {Object} job - Import job document
+ * @param {Buffer} buffer - File contents
+ * @param {Object} context - Audit context of the user who uploaded the file
+ * @returns {Promise<void>}
+ */
+const runImportJob = async (job, buffer, context) => {
+  job.status = "running";
+  job.startedAt = new Date();
+  await job.save();
+
+  try {
+    for (const { row, data, error } of readImportRows(buffer, job.format)) {
+      job.totalRows += 1;
+
+      const outcome = error
+        ? { result: "failed", errors: [{ field: "row", message: error }] }
+        : await importRow(job, data, context);
+
+      if (outcome.result === "imported") {
+        job.imported += 1;
+      } else if (outcome.result === "duplicate") {
+        job.duplicates += 1;
+      } else {
+        job.failed += 1;
+
+        if (job.rowErrors.length < MAX_IMPORT_ERRORS) {
+          job.rowErrors.push({
+            row,
+            leadid: outcome.leadid,
+            details: outcome.errors,
+          });
+        }
+      }
+
+      if (job.totalRows % PROGRESS_INTERVAL === 0) {
+        await job.save();
+      }
+    }
+
+    job.status = "completed";
+  } catch (error) {
+    job.status = "failed";
+    job.error = error.message;
+
+    logger.error("Lead import failed", {
+      importJob: job._id,
+      error: error.message,
+    });
+  }
+
+  job.completedAt = new Date();
+  await job.save();
+
+  logger.info("Lead import finished", {
+    importJob: job._id,
+    status: job.status,
+    totalRows: job.totalRows,
+    imported: job.imported,
+    duplicates: job.duplicates,
+    failed: job.failed,
+    processingTime: job.completedAt - job.startedAt,
+  });
+};
+
+/**
+ * Queue an import job to run in the background
+ * @param {Object} job - Saved import job document
+ * @param {Buffer} buffer - File contents
+ * @param {Object} context - Audit context of the user who uploaded the file
+ * @returns {void}
+ */
+export const startImportJob = (job, buffer, context) => {
+  importQueue = importQueue
+    .then(() => runImportJob(job, buffer, context))
+    .catch((error) => {
+      logger.error("Lead import could not be run", {
+        importJob: job._id,
+        error: error.message,
+      });
+    });
+};
+
+/**
+ * Mark imports left unfinished by a restart as failed. Their files were
+ * only held in memory, so they have to be uploaded again; leads already
+ * imported are skipped as duplicates.
+ * @returns {Promise<number>} - Number of jobs marked failed
+ */
+export const failInterruptedImports = async () => {
+  const result = await ImportJob.updateMany(
+    { status: { $in: ["queued", "running"] } },
+    {
+      $set: {
+        status: "failed",
+        error: "Interrupted by a restart; upload the file again to resume",
+        completedAt: new Date(),
+      },
+    }
+  );
+
+  if (result.modifiedCount > 0) {
+    logger.warn("Interrupted lead imports marked as failed", {
+      count: result.modifiedCount,
+    });
+  }
+
+  return result.modifiedCount;
+};
@@ -0,0 +1,233 @@
+// Metrics are kept in memory and exposed in the Prometheus text format,
+// so each instance of the service is scraped separately.
+const registry = [];
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const escapeLabelValue = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+/**
+ * Format a label set as a Prometheus label list
+ * @param {Object} labels - Label names and values
+ * @returns {string} - `{name="value",...}`, or "" without labels
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+
+  if (entries.length === 0) {
+    return "";
+  }
+
+  return `{${entries
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+    .join(",")}}`;
+};
+
+/**
+ * Register a metric with a series per combination of label values
+ * @param {string} type - counter, gauge or histogram
+ * @param {Object} options
+ * @param {string} options.name - Metric name
+ * @param {string} options.help - Description shown to Prometheus
+ * @param {Array<string>} [options.labelNames=[]] - Label names
+ * @param {Function} createSeries - Builds the initial state of a series
+ * @param {Function} renderSeries - Formats a series as sample lines
+ * @returns {Function} - Looks up the series for a set of label values
+ */
+const registerMetric = (
+  type,
+  { name, help, labelNames = [] },
+  createSeries,
+  renderSeries
+) => {
+  const series = new Map();
+
+  // Series are keyed by their values in labelNames order, so labels can be
+  // passed in any order
+  const getSeries = (labels = {}) => {
+    const values = labelNames.map((label) => String(labels[label] ?? ""));
+    const key = values.join("\u0000");
+
+    if (!series.has(key)) {
+      series.set(key, {
+        labels: Object.fromEntries(
+          labelNames.map((label, index) => [label, values[index]])
+        ),
+        ...createSeries(),
+      });
+    }
+
+    return series.get(key);
+  };
+
+  // Metrics without labels are exposed at zero before their first update
+  if (labelNames.length === 0) {
+    getSeries();
+  }
+
+  registry.push(() =>
+    [
+      `# HELP ${name} ${help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`,
+      `# TYPE ${name} ${type}`,
+      ...[...series.values()].flatMap((entry) => renderSeries(name, entry)),
+    ].join("\n")
+  );
+
+  return getSeries;
+};
+
+const renderValue = (name, { labels, value }) => [
+  `${name}${formatLabels(labels)} ${value}`,
+];
+
+/**
+ * Create a counter
+ * @param {Object} options - Name, help and labelNames
+ * @returns {Object} - `{ inc(labels, value = 1) }`
+ */
+export const createCounter = (options) => {
+  const getSeries = registerMetric(
+    "counter",
+    options,
+    () => ({ value: 0 }),
+    renderValue
+  );
+
+  return {
+    inc: (labels, value = 1) => {
+      getSeries(labels).value += value;
+    },
+  };
+};
+
+/**
+ * Create a gauge
+ * @param {Object} options - Name, help and labelNames
+ * @returns {Object} - `{ set(labels, value) }`
+ */
+export const createGauge = (options) => {
+  const getSeries = registerMetric(
+    "gauge",
+    options,
+    () => ({ value: 0 }),
+    renderValue
+  );
+
+  return {
+    set: (labels, value) => {
+      getSeries(labels).value = value;
+    },
+  };
+};
+
+/**
+ * Create a histogram with cumulative buckets
+ * @param {Object} options - Name, help and labelNames
+ * @param {Array<number>} options.buckets - Upper bounds of the buckets
+ * @returns {Object} - `{ observe(labels, value) }`
+ */
+export const createHistogram = ({ buckets, ...options }) => {
+  const bounds = [...buckets].sort((a, b) => a - b);
+
+  const getSeries = registerMetric(
+    "histogram",
+    options,
+    () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }),
+    (name, { labels, counts, sum, count }) => [
+      ...bounds.map(
+        (bound, index) =>
+          `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`
+      ),
+      `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`,
+    ]
+  );
+
+  return {
+    observe: (labels, value) => {
+      const series = getSeries(labels);
+
+      bounds.forEach((bound, index) => {
+        if (value <= bound) series.counts[index] += 1;
+      });
+      series.sum += value;
+      series.count += 1;
+    },
+  };
+};
+
+/**
+ * Render every registered metric in the Prometheus text format
+ * @returns {string} - Exposition text
+ */
+export const renderMetrics = () =>
+  `${registry.map((render) => render()).join("\n")}\n`;
+
+export const leadsReceived = createCounter({
+  name: "leads_received_total",
+  help: "Leads received from the JustDial webhook",
+  labelNames: ["method"],
+});
+
+export const leadsValidated = createCounter({
+  name: "leads_validated_total",
+  help: "Received leads that passed validation",
+});
+
+export const leadsRejected = createCounter({
+  name: "leads_rejected_total",
+  help: "Received leads rejected by validation",
+});
+
+export const leadsDuplicated = createCounter({
+  name: "leads_duplicated_total",
+  help: "Received leads that had already been received",
+});
+
+export const forwardOutcomes = createCounter({
+  name: "lead_forwards_total",
+  help: "Lead deliveries to destinations by outcome (delivered, blocked, deferred or failed)",
+  labelNames: ["destination", "outcome"],
+});
+
+export const validationDuration = createHistogram({
+  name: "lead_validation_duration_seconds",
+  help: "Time taken to validate a received lead",
+  buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1],
+});
+
+export const dbCommandDuration = createHistogram({
+  name: "mongodb_command_duration_seconds",
+  help: "Time taken by MongoDB commands",
+  labelNames: ["command", "success"],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+});
+
+export const forwardDuration = createHistogram({
+  name: "lead_forward_duration_seconds",
+  help: "Time taken by requests forwarding leads to destinations",
+  labelNames: ["destination"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+});
+
+export const forwardQueueDepth = createGauge({
+  name: "forward_queue_jobs",
+  help: "Forward jobs waiting in or being worked from the queue",
+  labelNames: ["status"],
+});
+
+export const forwardWorkerInFlight = createGauge({
+  name: "forward_worker_in_flight_jobs",
+  help: "Forward jobs being run by this instance's worker",
+});
+
+export const mongoConnectionState = createGauge({
+  name: "mongodb_connection_state",
+  help: "MongoDB connection state, 1 for the current state",
+  labelNames: ["state"],
+});
@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+
+/**
+ * Encode the position after a document as an opaque cursor
+ * @param {Object} doc - Last document of the page
+ * @param {string} sortBy - Sort field
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {string} - Cursor
+ */
+export const encodeCursor = (doc, sortBy, direction) => {
+  const value = doc[sortBy] ?? null;
+
+  return Buffer.from(
+    JSON.stringify({
+      s: sortBy,
+      d: direction,
+      v: value instanceof Date ? value.toISOString() : value,
+      t: value instanceof Date ? "date" : undefined,
+      id: String(doc._id),
+    })
+  ).toString("base64url");
+};
+
+// Sort values a cursor may carry. Anything else, such as an object, could
+// put operators like $ne into the page filter.
+const isScalar = (value) =>
+  value === null || ["string", "number", "boolean"].includes(typeof value);
+
+/**
+ * Decode a cursor made by encodeCursor for the same sort
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sortBy - Sort field
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {Object|null} - `{ value, id }`, or null when the cursor is
+ * malformed or was made for a different sort
+ */
+export const decodeCursor = (cursor, sortBy, direction) => {
+  if (typeof cursor !== "string") {
+    return null;
+  }
+
+  try {
+    const { s, d, v, t, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+
+    if (
+      s !== sortBy ||
+      d !== direction ||
+      typeof id !== "string" ||
+      !/^[a-f0-9]{24}$/.test(id)
+    ) {
+      return null;
+    }
+
+    if (t === "date") {
+      const value = typeof v === "string" ? new Date(v) : null;
+      return value && !isNaN(value.getTime()) ? { value, id } : null;
+    }
+
+    return t === undefined && isScalar(v) ? { value: v, id } : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Build the filter for documents after a cursor. Ties on the sort field
+ * are broken by _id, and missing values sort before every other value.
+ * @param {Object} position - Decoded cursor
+ * @param {string} sortBy - Sort field
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {Object} - Query filter
+ */
+export const buildCursorFilter = ({ value, id }, sortBy, direction) => {
+  const op = direction === 1 ? "$gt" : "$lt";
+  const _id = new mongoose.Types.ObjectId(id);
+
+  if (value === null) {
+    return direction === 1
+      ? {
+          $or: [
+            { [sortBy]: null, _id: { $gt: _id } },
+            { [sortBy]: { $ne: null } },
+          ],
+        }
+      : { [sortBy]: null, _id: { $lt: _id } };
+  }
+
+  const after = [
+    { [sortBy]: { [op]: value } },
+    { [sortBy]: value, _id: { [op]: _id } },
+  ];
+
+  if (direction === -1) {
+    after.push({ [sortBy]: null });
+  }
+
+  return { $or: after };
+};
+
+/**
+ * Parse a comma-separated `fields` parameter into a projection
+ * @param {string} fields - Requested fields
+ * @param {Array<string>} allowed - Fields that may be requested
+ * @returns {Object} - `{ projection, invalid }` where projection is null
+ * when no fields were requested
+ */
+export const parseProjection = (fields, allowed) => {
+  if (!fields) {
+    return { projection: null, invalid: [] };
+  }
+
+  const requested = [
+    ...new Set(
+      String(fields)
+        .split(",")
+        .map((field) => field.trim())
+        .filter(Boolean)
+    ),
+  ];
+
+  const invalid = requested.filter(
+    (field) => !allowed.includes(field.split(".")[0])
+  );
+
+  return {
+    projection: Object.fromEntries(requested.map((field) => [field, 1])),
+    invalid,
+  };
+};
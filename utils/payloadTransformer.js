@@ -0,0 +1,241 @@
+import { combineDateAndTime, getZonedParts } from "./dateTime.js";
+
+// Lead fields that templates can read and the "lead" base copies
+export const LEAD_FIELDS = [
+  "leadid",
+  "leadtype",
+  "prefix",
+  "name",
+  "mobile",
+  "phone",
+  "email",
+  "date",
+  "time",
+  "category",
+  "city",
+  "area",
+  "brancharea",
+  "dncmobile",
+  "dncphone",
+  "company",
+  "pincode",
+  "branchpin",
+  "parentid",
+];
+
+/**
+ * Get the instant a lead was enquired, combining its date and time in the
+ * source timezone for leads saved before enquiredAt was stored
+ * @param {Object} leadData - The lead data
+ * @returns {Date|null} - Enquiry date and time
+ */
+export const getEnquiryDateTime = (leadData) =>
+  leadData.enquiredAt
+    ? new Date(leadData.enquiredAt)
+    : combineDateAndTime(leadData.date, leadData.time);
+
+// Computed values that templates can use as a source
+const VIRTUAL_FIELDS = {
+  fullName: (leadData) =>
+    [leadData.prefix, leadData.name].filter(Boolean).join(" "),
+  phoneNumber: (leadData) => leadData.mobile || leadData.phone,
+  enquiryDateTime: getEnquiryDateTime,
+};
+
+export const TRANSFORM_SOURCES = [
+  ...LEAD_FIELDS,
+  ...Object.keys(VIRTUAL_FIELDS),
+];
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+const readSource = (leadData, source) =>
+  VIRTUAL_FIELDS[source] ? VIRTUAL_FIELDS[source](leadData) : leadData[source];
+
+/**
+ * Transform lead data to the default format expected by external APIs
+ * @param {Object} leadData - The original lead data
+ * @returns {Object} - Transformed data for API
+ */
+export const transformLeadData = (leadData) => {
+  const transformed = {};
+
+  // Map fields according to requirements
+  if (leadData.prefix && leadData.name) {
+    transformed.name = `${leadData.prefix} ${leadData.name}`.trim();
+  } else if (leadData.name) {
+    transformed.name = leadData.name;
+  }
+
+  // Phone number - prefer mobile over phone
+  if (leadData.mobile) {
+    transformed["phone-number"] = leadData.mobile;
+  } else if (leadData.phone) {
+    transformed["phone-number"] = leadData.phone;
+  }
+
+  // Email
+  if (leadData.email) {
+    transformed["email-address"] = leadData.email;
+  }
+
+  // Date and time combination
+  const enquiryDateTime = getEnquiryDateTime(leadData);
+  if (enquiryDateTime) {
+    transformed["enquiry-date-time"] = enquiryDateTime.toISOString();
+  }
+
+  // Category
+  if (leadData.category) {
+    transformed.category = leadData.category;
+  }
+
+  // City
+  if (leadData.city) {
+    transformed.city = leadData.city;
+  }
+
+  // Area
+  if (leadData.area) {
+    transformed.area = leadData.area;
+  }
+
+  // Branch area
+  if (leadData.brancharea) {
+    transformed["branch-area"] = leadData.brancharea;
+  }
+
+  // Pincode
+  if (leadData.pincode) {
+    transformed.pincode = leadData.pincode;
+  }
+
+  return transformed;
+};
+
+/**
+ * Format a date for a payload
+ * @param {Date|string} value - The date to format
+ * @param {string} [format="iso"] - "iso", "epoch", "epoch_seconds" or a
+ * pattern using the YYYY, MM, DD, HH, mm and ss tokens
+ * @param {string} [timezone="UTC"] - IANA timezone used for patterns
+ * @returns {string|number|undefined} - Formatted date
+ */
+export const formatDateValue = (value, format = "iso", timezone = "UTC") => {
+  const date = value instanceof Date ? value : new Date(value);
+
+  if (isNaN(date)) {
+    return undefined;
+  }
+
+  if (format === "iso") return date.toISOString();
+  if (format === "epoch") return date.getTime();
+  if (format === "epoch_seconds") return Math.floor(date.getTime() / 1000);
+
+  const parts = getZonedParts(date, timezone);
+
+  const tokens = {
+    YYYY: parts.year,
+    MM: parts.month,
+    DD: parts.day,
+    HH: parts.hour,
+    mm: parts.minute,
+    ss: parts.second,
+  };
+
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => tokens[token]);
+};
+
+/**
+ * Resolve the value of one field mapping
+ * @param {Object} leadData - The lead data
+ * @param {Object} mapping - Field mapping from a transform template
+ * @returns {*} - Mapped value
+ */
+const resolveMapping = (leadData, mapping) => {
+  switch (mapping.type) {
+    case "constant":
+      return mapping.value;
+
+    case "concat": {
+      const values = (mapping.sources || [])
+        .map((source) => readSource(leadData, source))
+        .filter((value) => !isEmpty(value));
+      return values.length > 0
+        ? values.join(mapping.separator ?? " ")
+        : undefined;
+    }
+
+    case "date": {
+      const value = readSource(leadData, mapping.source || "enquiryDateTime");
+      return isEmpty(value)
+        ? undefined
+        : formatDateValue(value, mapping.format, mapping.timezone);
+    }
+
+    default:
+      return readSource(leadData, mapping.source);
+  }
+};
+
+/**
+ * Copy the raw lead fields into a payload
+ * @param {Object} leadData - The lead data
+ * @returns {Object} - Lead fields with empty values left out
+ */
+const pickLeadFields = (leadData) => {
+  const payload = {};
+
+  for (const field of LEAD_FIELDS) {
+    const value = leadData[field];
+
+    if (isEmpty(value)) continue;
+
+    payload[field] =
+      value instanceof Date ? value.toISOString().split("T")[0] : value;
+  }
+
+  return payload;
+};
+
+/**
+ * Build the payload for a destination from its transform template.
+ * The template starts from a base payload ("default" shape, raw "lead"
+ * fields or "none"), applies its field mappings in order and finally
+ * removes excluded fields.
+ * @param {Object} leadData - The lead data
+ * @param {Object} [transform] - Transform template, the default shape is
+ * used when omitted
+ * @returns {Object} - Payload for the destination
+ */
+export const applyTransform = (leadData, transform) => {
+  const base = transform?.base || "default";
+
+  const payload =
+    base === "default"
+      ? transformLeadData(leadData)
+      : base === "lead"
+        ? pickLeadFields(leadData)
+        : {};
+
+  for (const mapping of transform?.fields || []) {
+    let value = resolveMapping(leadData, mapping);
+
+    if (isEmpty(value)) {
+      value = mapping.fallback;
+    }
+
+    if (isEmpty(value) && transform.omitEmpty !== false) {
+      continue;
+    }
+
+    payload[mapping.target] = value ?? null;
+  }
+
+  for (const field of transform?.exclude || []) {
+    delete payload[field];
+  }
+
+  return payload;
+};
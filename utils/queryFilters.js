@@ -0,0 +1,33 @@
+/**
+ * Escape a string for use as a literal in a regular expression
+ * @param {string} value - User input
+ * @returns {string} - Escaped pattern
+ */
+export const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Build a case-insensitive regular expression matching user input
+ * literally
+ * @param {string} value - User input
+ * @param {boolean} [exact=false] - Match the whole value instead of any
+ * part of it
+ * @returns {RegExp}
+ */
+export const literalRegex = (value, exact = false) => {
+  const pattern = escapeRegex(value);
+  return new RegExp(exact ? `^${pattern}$` : pattern, "i");
+};
+
+/**
+ * Read a multi-value query parameter, given either repeated or
+ * comma-separated
+ * @param {string|Array<string>} value - Query parameter
+ * @returns {Array<string>} - Non-empty values
+ */
+export const parseList = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .filter((item) => typeof item === "string")
+    .flatMap((item) => item.split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
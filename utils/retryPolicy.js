@@ -0,0 +1,24 @@
+/**
+ * Read the forwarding retry policy from the environment
+ * @returns {Object} - Retry policy
+ */
+export const getRetryPolicy = () => ({
+  maxAttempts: parseInt(process.env.FORWARD_MAX_ATTEMPTS) || 8,
+  baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS) || 60 * 1000,
+  maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS) || 6 * 60 * 60 * 1000,
+});
+
+/**
+ * Compute the delay before the next forwarding attempt using exponential
+ * backoff with jitter, so leads that failed together don't retry together
+ * @param {number} attemptCount - Number of attempts made so far
+ * @param {Object} [policy] - Retry policy, defaults to the configured one
+ * @returns {number} - Delay in milliseconds
+ */
+export const computeRetryDelay = (attemptCount, policy = getRetryPolicy()) => {
+  const exponent = Math.max(attemptCount - 1, 0);
+  const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** exponent);
+
+  // Keep at least half of the delay and randomise the rest
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
@@ -0,0 +1,132 @@
+import cron from "node-cron";
+import Lead from "../models/Lead.js";
+import { logger } from "./logger.js";
+import { enqueueLeadForwarding } from "./forwardQueue.js";
+import { recordAuditEvent } from "./auditLog.js";
+
+const DEFAULT_RETRY_SCHEDULE = "* * * * *"; // every minute
+const RETRY_BATCH_SIZE = 200;
+// Lead statuses that are forwarded again, by the schedule or on request
+export const RETRYABLE_STATUSES = ["failed", "partially_processed", "deferred"];
+
+let retryTask = null;
+let sweeping = false;
+
+/**
+ * Queue failed, partially processed and deferred leads whose next retry
+ * time has passed
+ * @returns {Promise<number>} - Number of leads queued for retry
+ */
+export const queueDueRetries = async () => {
+  const now = new Date();
+
+  const dueLeads = await Lead.find({
+    status: { $in: RETRYABLE_STATUSES },
+    nextRetryAt: { $lte: now },
+    deletedAt: null,
+  })
+    .sort({ nextRetryAt: 1 })
+    .limit(RETRY_BATCH_SIZE)
+    .select("leadid status")
+    .lean();
+
+  let queued = 0;
+
+  for (const { _id, leadid, status } of dueLeads) {
+    // Claim the retry so other instances running the scheduler skip it
+    const claimed = await Lead.updateOne(
+      {
+        _id,
+        status: { $in: RETRYABLE_STATUSES },
+        nextRetryAt: { $lte: now },
+        deletedAt: null,
+      },
+      { $set: { status: "pending", nextRetryAt: null } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+      continue;
+    }
+
+    await recordAuditEvent({
+      action: "lead.retry_scheduled",
+      entityType: "lead",
+      entityId: leadid,
+      oldValue: { status },
+      newValue: { status: "pending" },
+    });
+
+    try {
+      await enqueueLeadForwarding(leadid);
+      queued++;
+    } catch (error) {
+      // The lead stays pending and is queued by the worker's recovery sweep
+      logger.error("Failed to queue lead for retry", {
+        leadid,
+        error: error.message,
+      });
+    }
+  }
+
+  if (queued > 0) {
+    logger.info("Failed leads queued for retry", { queued });
+  }
+
+  return queued;
+};
+
+const runRetrySweep = async () => {
+  // Skip the tick if the previous sweep is still running
+  if (sweeping) {
+    return;
+  }
+
+  sweeping = true;
+
+  try {
+    await queueDueRetries();
+  } catch (error) {
+    logger.error("Retry sweep failed", { error: error.message });
+  } finally {
+    sweeping = false;
+  }
+};
+
+/**
+ * Start the cron job that re-queues failed leads for forwarding
+ * @returns {void}
+ */
+export const startRetryScheduler = () => {
+  if (retryTask) {
+    return;
+  }
+
+  let schedule = process.env.RETRY_SCHEDULE || DEFAULT_RETRY_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    logger.warn("Invalid RETRY_SCHEDULE, using default", {
+      schedule,
+      default: DEFAULT_RETRY_SCHEDULE,
+    });
+    schedule = DEFAULT_RETRY_SCHEDULE;
+  }
+
+  retryTask = cron.schedule(schedule, runRetrySweep);
+
+  logger.info("Retry scheduler started", { schedule });
+};
+
+/**
+ * Stop the retry cron job
+ * @returns {void}
+ */
+export const stopRetryScheduler = () => {
+  if (!retryTask) {
+    return;
+  }
+
+  retryTask.stop();
+  retryTask = null;
+
+  logger.info("Retry scheduler stopped");
+};
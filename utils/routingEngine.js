@@ -0,0 +1,201 @@
+import RoutingRule from "../models/RoutingRule.js";
+import { logger } from "./logger.js";
+import { DEFAULT_DESTINATION } from "../config/destinations.js";
+
+// Built-in category mappings, used when no routing rule applies.
+// Categories not listed here go to the default destination.
+const CATEGORY_MAPPINGS = {
+  // Marketing and advertising categories - go to the marketing API
+  MARKETING_API: [
+    "Advertising Agencies",
+    "Branding Services",
+    "Website Marketing Services",
+    "Campaign Management Services",
+    "Content Creation Services",
+    "Digital Marketing Services",
+    "Google Ads Certified Partners",
+    "Marketing Agencies",
+    "Marketing Services",
+    "Pay Per Click Services",
+    "Social Media Consultants",
+    "Social Media Marketing Agencies",
+  ],
+
+  // WhatsApp and broadcast categories - go to the WhatsApp API
+  WHATSAPP_API: [
+    "Broadcast Services",
+    "Whatsapp Business Api Services",
+    "Whatsapp Marketing Services",
+    "Bulk Whatsapp Messaging Services",
+  ],
+};
+
+const cache = {
+  rules: null,
+  loadedAt: 0,
+};
+
+const getCacheTtl = () =>
+  parseInt(process.env.ROUTING_RULES_CACHE_TTL_MS) || 30 * 1000;
+
+/**
+ * Compile a stored rule into a form that is cheap to evaluate
+ * @param {Object} rule - Routing rule document
+ * @returns {Object} - Compiled rule
+ */
+const compileRule = (rule) => {
+  const conditions = rule.conditions || {};
+  const compiled = { rule, matchers: [] };
+  const category = conditions.category;
+
+  if (category?.value) {
+    if (category.matchType === "exact") {
+      compiled.matchers.push(
+        (lead) => lead.category?.trim() === category.value
+      );
+    } else if (category.matchType === "regex") {
+      const pattern = new RegExp(category.value, "i");
+      compiled.matchers.push((lead) => pattern.test(lead.category || ""));
+    } else {
+      const expected = category.value.toLowerCase();
+      compiled.matchers.push(
+        (lead) => lead.category?.trim().toLowerCase() === expected
+      );
+    }
+  }
+
+  if (conditions.cities?.length) {
+    const cities = new Set(conditions.cities.map((c) => c.toLowerCase()));
+    compiled.matchers.push((lead) =>
+      cities.has(lead.city?.trim().toLowerCase())
+    );
+  }
+
+  if (conditions.leadtypes?.length) {
+    const leadtypes = new Set(conditions.leadtypes);
+    compiled.matchers.push((lead) => leadtypes.has(lead.leadtype));
+  }
+
+  if (conditions.pincodeRanges?.length) {
+    const ranges = conditions.pincodeRanges.map(({ from, to }) => ({
+      from: parseInt(from),
+      to: parseInt(to),
+    }));
+    compiled.matchers.push((lead) => {
+      const pincode = parseInt(lead.pincode);
+      return (
+        !isNaN(pincode) &&
+        ranges.some(({ from, to }) => pincode >= from && pincode <= to)
+      );
+    });
+  }
+
+  if (conditions.parentids?.length) {
+    const parentids = new Set(conditions.parentids);
+    compiled.matchers.push((lead) => parentids.has(lead.parentid));
+  }
+
+  return compiled;
+};
+
+/**
+ * Load enabled routing rules, using the in-memory cache while it is fresh
+ * @returns {Promise<Array>} - Compiled rules ordered by priority
+ */
+const loadRules = async () => {
+  if (cache.rules && Date.now() - cache.loadedAt < getCacheTtl()) {
+    return cache.rules;
+  }
+
+  const rules = await RoutingRule.find({ enabled: true })
+    .sort({ priority: -1, createdAt: 1 })
+    .lean();
+
+  const compiled = [];
+  for (const rule of rules) {
+    try {
+      compiled.push(compileRule(rule));
+    } catch (error) {
+      logger.error("Skipping invalid routing rule", {
+        rule: rule.name,
+        error: error.message,
+      });
+    }
+  }
+
+  cache.rules = compiled;
+  cache.loadedAt = Date.now();
+
+  return compiled;
+};
+
+/**
+ * Drop cached rules so the next lead is routed with the current rules.
+ * Other instances pick up changes once their cache TTL expires.
+ * @returns {void}
+ */
+export const invalidateRoutingRules = () => {
+  cache.rules = null;
+  cache.loadedAt = 0;
+};
+
+/**
+ * Determine the destination using the built-in category mappings
+ * @param {string} category - The lead category
+ * @returns {string} - Destination name
+ */
+export const getDefaultDestination = (category) => {
+  if (!category) {
+    logger.warn("No category provided, defaulting to marketing API");
+    return DEFAULT_DESTINATION;
+  }
+
+  const normalizedCategory = category.trim();
+
+  for (const [destination, categories] of Object.entries(CATEGORY_MAPPINGS)) {
+    if (categories.includes(normalizedCategory)) {
+      return destination;
+    }
+  }
+
+  return DEFAULT_DESTINATION;
+};
+
+/**
+ * Check whether a compiled rule matches a lead
+ * @param {Object} compiledRule - Compiled rule
+ * @param {Object} leadData - The lead data
+ * @returns {boolean}
+ */
+const matchesLead = (compiledRule, leadData) =>
+  compiledRule.matchers.every((matcher) => matcher(leadData));
+
+/**
+ * Resolve the destinations for a lead. Rules are tried by priority, then
+ * fallback rules, then the built-in category mappings.
+ * @param {Object} leadData - The lead data
+ * @returns {Promise<Object>} - `{ destinations, rule }`, rule is the name of
+ * the matching rule or null when the built-in mappings were used
+ */
+export const resolveRoute = async (leadData) => {
+  const rules = await loadRules();
+
+  const ruleMatch =
+    rules.find(
+      (compiled) => !compiled.rule.isFallback && matchesLead(compiled, leadData)
+    ) || rules.find((compiled) => compiled.rule.isFallback);
+
+  if (ruleMatch) {
+    const { destinations, name } = ruleMatch.rule;
+
+    logger.info(
+      `Category "${leadData.category}" routed to ${destinations.join(", ")} by rule "${name}"`
+    );
+    return { destinations, rule: name };
+  }
+
+  const destination = getDefaultDestination(leadData.category);
+  logger.info(`Category "${leadData.category}" mapped to ${destination}`);
+
+  return { destinations: [destination], rule: null };
+};
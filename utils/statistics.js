@@ -0,0 +1,55 @@
+// Latency histogram bins are 1/20 of a natural log unit wide (about 5%),
+// so a bin's midpoint is within 2.5% of every latency counted in it
+export const LATENCY_BINS_PER_LOG_UNIT = 20;
+
+/**
+ * Build the aggregation expression that puts a latency into its bin
+ * @param {string} field - Field path holding a latency above zero, e.g. "$processingTime"
+ * @returns {Object} - Expression evaluating to the bin index
+ */
+export const latencyBinExpression = (field) => ({
+  $floor: { $multiply: [{ $ln: field }, LATENCY_BINS_PER_LOG_UNIT] },
+});
+
+/**
+ * Read the latency a histogram bin stands for
+ * @param {number} bin - Bin index from latencyBinExpression
+ * @returns {number} - Latency in milliseconds at the bin's midpoint
+ */
+export const latencyFromBin = (bin) =>
+  Math.round(Math.exp((bin + 0.5) / LATENCY_BINS_PER_LOG_UNIT));
+
+/**
+ * Read a percentile from histogram bins using the nearest-rank method
+ * @param {Array<{bin: number, count: number}>} sorted - Bins in ascending order
+ * @param {number} total - Number of latencies across all bins
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} - Percentile value, or null without latencies
+ */
+export const percentile = (sorted, total, p) => {
+  if (total === 0) {
+    return null;
+  }
+
+  const rank = Math.min(Math.max(Math.ceil((p / 100) * total), 1), total);
+  let seen = 0;
+  const { bin } = sorted.find(({ count }) => (seen += count) >= rank);
+  return latencyFromBin(bin);
+};
+
+/**
+ * Summarise latencies counted into histogram bins
+ * @param {Array<{bin: number, count: number}>} bins - Latency count per bin
+ * @returns {Object} - `{ count, p50, p95, p99 }`
+ */
+export const summarizeLatencies = (bins) => {
+  const sorted = [...bins].sort((a, b) => a.bin - b.bin);
+  const count = sorted.reduce((sum, bin) => sum + bin.count, 0);
+
+  return {
+    count,
+    p50: percentile(sorted, count, 50),
+    p95: percentile(sorted, count, 95),
+    p99: percentile(sorted, count, 99),
+  };
+};
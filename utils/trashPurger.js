@@ -0,0 +1,133 @@
+import cron from "node-cron";
+import Lead from "../models/Lead.js";
+import ForwardJob from "../models/ForwardJob.js";
+import DeliveryAttempt from "../models/DeliveryAttempt.js";
+import { logger } from "./logger.js";
+import { recordAuditEvent } from "./auditLog.js";
+
+const DEFAULT_PURGE_SCHEDULE = "0 3 * * *"; // daily at 03:00
+const PURGE_BATCH_SIZE = 500;
+
+let purgeTask = null;
+let purging = false;
+
+const getRetentionDays = () =>
+  parseInt(process.env.LEAD_TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * Permanently delete leads that have been in the trash for longer than
+ * the retention period, along with their forward jobs and delivery
+ * attempts
+ * @returns {Promise<number>} - Number of leads purged
+ */
+export const purgeTrashedLeads = async () => {
+  const cutoff = new Date(
+    Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000
+  );
+  let purged = 0;
+
+  for (;;) {
+    const leads = await Lead.find({ deletedAt: { $ne: null, $lte: cutoff } })
+      .select("leadid deletedAt")
+      .limit(PURGE_BATCH_SIZE)
+      .lean();
+
+    if (leads.length === 0) break;
+
+    for (const lead of leads) {
+      // Re-check deletedAt so a lead restored meanwhile is kept, along
+      // with its history
+      const result = await Lead.deleteOne({
+        _id: lead._id,
+        deletedAt: { $ne: null, $lte: cutoff },
+      });
+
+      if (result.deletedCount === 0) continue;
+
+      await ForwardJob.deleteMany({ leadid: lead.leadid });
+      await DeliveryAttempt.deleteMany({ leadid: lead.leadid });
+
+      // Only the fact of the purge is kept; the lead's contact details
+      // must not outlive it in the audit trail
+      await recordAuditEvent({
+        action: "lead.purged",
+        entityType: "lead",
+        entityId: lead.leadid,
+        oldValue: { deletedAt: lead.deletedAt },
+        metadata: { purgedAt: new Date() },
+      });
+
+      purged++;
+    }
+
+    if (leads.length < PURGE_BATCH_SIZE) break;
+  }
+
+  if (purged > 0) {
+    logger.info("Trashed leads purged", {
+      purged,
+      retentionDays: getRetentionDays(),
+    });
+  }
+
+  return purged;
+};
+
+const runPurge = async () => {
+  // Skip the tick if the previous purge is still running
+  if (purging) {
+    return;
+  }
+
+  purging = true;
+
+  try {
+    await purgeTrashedLeads();
+  } catch (error) {
+    logger.error("Trash purge failed", { error: error.message });
+  } finally {
+    purging = false;
+  }
+};
+
+/**
+ * Start the cron job that purges expired leads from the trash
+ * @returns {void}
+ */
+export const startTrashPurger = () => {
+  if (purgeTask) {
+    return;
+  }
+
+  let schedule = process.env.TRASH_PURGE_SCHEDULE || DEFAULT_PURGE_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    logger.warn("Invalid TRASH_PURGE_SCHEDULE, using default", {
+      schedule,
+      default: DEFAULT_PURGE_SCHEDULE,
+    });
+    schedule = DEFAULT_PURGE_SCHEDULE;
+  }
+
+  purgeTask = cron.schedule(schedule, runPurge);
+
+  logger.info("Trash purger started", {
+    schedule,
+    retentionDays: getRetentionDays(),
+  });
+};
+
+/**
+ * Stop the trash purge cron job
+ * @returns {void}
+ */
+export const stopTrashPurger = () => {
+  if (!purgeTask) {
+    return;
+  }
+
+  purgeTask.stop();
+  purgeTask = null;
+
+  logger.info("Trash purger stopped");
+};